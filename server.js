@@ -1,15 +1,21 @@
+// Load environment variables before any module that reads them
+import "dotenv/config";
 import app from "./src/app.js";
 import http from 'http';
 import initSocketServer from "./src/socket/socket.server.js";
 import connectToDB from "./src/db/db.js";
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import {startDeletionScheduler} from "./src/auth/privacy.manager.js";
+import {backfillEmailVerification} from "./src/auth/account.manager.js";
 
 // Connect to database
 connectToDB();
 
+// Accounts from before email verification don't get locked out
+backfillEmailVerification().catch((err) => console.error("Email verification backfill failed:", err.message));
+
+// Purge accounts whose deletion grace period is over
+startDeletionScheduler();
+
 const httpServer=http.createServer(app);
 const PORT=process.env.PORT||3000;
 
@@ -1,9 +1,9 @@
 import cookieParser from "cookie-parser";
 import express from "express";
-import {configDotenv} from 'dotenv';
 import authRoutes from '../src/routes/auth.route.js';
 import participantRoutes from '../src/routes/participant.route.js';
 import roomRoutes from '../src/routes/room.route.js';
+import mockIdpRoutes from '../src/auth/mock.idp.js';
 import cors from 'cors'
 import morgan from 'morgan'
 
@@ -14,7 +14,6 @@ import axios from "axios";
     const res=await axios.get("https://api.ipify.org?format=json");
     console.log("🌍 Public IP:", res.data.ip);
 })();
-configDotenv();
 const app=express();
 
 app.use(express.json());
@@ -23,6 +22,7 @@ app.use(cookieParser());
 app.use(cors({
     origin: "https://meet-flow-zy99.vercel.app",   // your React frontend URL
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-CSRF-Token"],
     credentials: true,   // IMPORTANT (allows cookies)
 }));
 app.use(morgan('dev'));
@@ -30,5 +30,11 @@ app.use("/api/auth", authRoutes);
 app.use("/api/room", roomRoutes);
 app.use("/api/participant", participantRoutes);
 
+// local OpenID Connect provider for SSO tests - never in production
+if (process.env.OIDC_MOCK_IDP==="on")
+{
+    app.use("/mock-idp", mockIdpRoutes);
+}
+
 
 export default app;
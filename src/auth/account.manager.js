@@ -0,0 +1,171 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/account.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Email verification + password reset
+//
+// TOKENS:
+// - Random, sent only in the email link; the database keeps the sha256
+// - Single use: consuming one is an atomic "set usedAt where usedAt is null"
+// - Asking again replaces older unused tokens of the same kind
+// - EMAIL_VERIFICATION_TTL_HOURS (default 24), PASSWORD_RESET_TTL_MINUTES (60)
+//
+// LINKS: APP_URL (the frontend) + /verify-email?token=... or /reset-password?token=...
+//
+// EXISTING ACCOUNTS: Users created before verification existed have no
+// email_verified field at all. backfillEmailVerification() (at startup)
+// marks them verified, so requireVerifiedEmail doesn't lock them out
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import tokenModel from "../model/token.model.js";
+import userModel from "../model/user.model.js";
+import {sendMail} from "./mailer.js";
+import {AuthError, revokeUserSessions} from "./session.manager.js";
+import {unlockAccount} from "./login.guard.js";
+
+const APP_URL=process.env.APP_URL||"https://meet-flow-zy99.vercel.app";
+const EMAIL_VERIFICATION_TTL_MS=(Number(process.env.EMAIL_VERIFICATION_TTL_HOURS)||24)*60*60*1000;
+const PASSWORD_RESET_TTL_MS=(Number(process.env.PASSWORD_RESET_TTL_MINUTES)||60)*60*1000;
+
+const hashToken=(token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const issueToken=async (user, type, ttlMs) =>
+{
+    const token=crypto.randomBytes(32).toString("base64url");
+
+    await tokenModel.deleteMany({userId: user._id, type, usedAt: null});
+    await tokenModel.create({
+        userId: user._id,
+        type,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now()+ttlMs),
+    });
+
+    return token;
+};
+
+const consumeToken=async (token, type) =>
+{
+    if (typeof token!=="string"||!token) throw new AuthError("Invalid or expired link", 400);
+
+    const consumed=await tokenModel.findOneAndUpdate(
+        {tokenHash: hashToken(token), type, usedAt: null, expiresAt: {$gt: new Date()}},
+        {$set: {usedAt: new Date()}},
+        {new: true}
+    );
+
+    if (!consumed) throw new AuthError("Invalid or expired link", 400);
+    return consumed;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: sendVerificationEmail
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const sendVerificationEmail=async (user) =>
+{
+    const token=await issueToken(user, "email_verification", EMAIL_VERIFICATION_TTL_MS);
+    const link=`${APP_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.name},\n\nPlease confirm your email address:\n${link}\n\nThe link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS/3600000)} hours.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Confirm your email address</a></p>`,
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: verifyEmail
+// RETURNS: The verified user
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const verifyEmail=async (token) =>
+{
+    const consumed=await consumeToken(token, "email_verification");
+
+    // The link is for the address it was sent to - not one changed since
+    const user=await userModel.findOneAndUpdate(
+        {_id: consumed.userId, email: consumed.email},
+        {$set: {email_verified: true, email_verified_at: new Date()}},
+        {new: true}
+    );
+
+    if (!user) throw new AuthError("Invalid or expired link", 400);
+    return user;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: sendPasswordResetEmail
+// PURPOSE: Unknown addresses are silently ignored (no account probing)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const sendPasswordResetEmail=async (email) =>
+{
+    const user=await userModel.findOne({email: String(email).toLowerCase().trim()});
+    if (!user) return;
+
+    const token=await issueToken(user, "password_reset", PASSWORD_RESET_TTL_MS);
+    const link=`${APP_URL}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you:\n${link}\n\nThe link expires in ${Math.round(PASSWORD_RESET_TTL_MS/60000)} minutes. Otherwise just ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Reset your password</a></p><p>If you didn't ask for this, ignore this email.</p>`,
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: resetPassword
+// PURPOSE: Set the new password, log out every session and lift a login lockout
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const resetPassword=async (token, password) =>
+{
+    const consumed=await consumeToken(token, "password_reset");
+
+    const user=await userModel.findByIdAndUpdate(
+        consumed.userId,
+        {$set: {password: await bcrypt.hash(password, 10)}},
+        {new: true}
+    );
+
+    if (!user) throw new AuthError("Invalid or expired link", 400);
+
+    // Only someone with access to the inbox gets here, so it proves the email too
+    if (!user.email_verified&&user.email===consumed.email)
+    {
+        await userModel.updateOne({_id: user._id}, {$set: {email_verified: true, email_verified_at: new Date()}});
+    }
+
+    await tokenModel.deleteMany({userId: user._id, type: "password_reset", usedAt: null});
+    await revokeUserSessions(user._id, {reason: "password reset"});
+    await unlockAccount({email: user.email, userId: user._id});
+
+    return user;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: backfillEmailVerification
+// PURPOSE: Accounts from before email verification count as verified
+// NOTE: New accounts always store email_verified (false until confirmed),
+//       so only the old ones are missing it
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const backfillEmailVerification=async () =>
+{
+    const {modifiedCount}=await userModel.updateMany(
+        {email_verified: {$exists: false}},
+        {$set: {email_verified: true}}
+    );
+
+    if (modifiedCount) console.log(`✉️ ${modifiedCount} existing accounts marked as verified`);
+    return modifiedCount;
+};
+
+const escapeHtml=(text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
@@ -0,0 +1,232 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/apikey.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: API keys for recorders, translators, dashboards ... anything that
+// calls the API or joins meetings without a human typing a password
+//
+// KEYS:
+// - Format: "mfk_<keyId>.<secret>" - sent as "Authorization: Bearer <key>"
+//   (REST) or as the handshake token (socket, see socket/socket.auth.js)
+// - Owned by a user (there are no organizations yet) and act as that user,
+//   but ONLY for the routes their scopes allow
+// - Only the sha256 of the secret is stored; rotating swaps the secret and
+//   keeps the id, name and scopes
+//
+// SCOPES:
+// - rooms:read            GET room data (rooms, transcripts, summaries ...)
+// - rooms:write           Create / change / delete rooms and participants
+// - meetings:join-as-bot  Join meetings over the socket as a bot
+// - admin:read            Read admin data (audit trail) - admins only
+//
+// apiKeyEvents emits "revoked" { keyId, userId } so bots in meetings are
+// disconnected at once
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+import {EventEmitter} from "events";
+import apiKeyModel from "../model/apikey.model.js";
+import {AuthError} from "./session.manager.js";
+
+export const API_KEY_PREFIX="mfk_";
+
+export const API_KEY_SCOPES=apiKeyModel.schema.path("scopes").caster.enumValues;
+
+export const ADMIN_SCOPES=["admin:read"];
+// Only users with role "admin" can create keys with these
+
+const TOUCH_INTERVAL_MS=60000;
+// "Last used" is written at most once a minute per key
+
+const lastTouched=new Map();
+
+export const apiKeyEvents=new EventEmitter();
+// "revoked": { keyId, userId }
+
+const hashSecret=(secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret=() => crypto.randomBytes(32).toString("base64url");
+
+export const isApiKey=(token) => typeof token==="string"&&token.startsWith(API_KEY_PREFIX);
+
+const parseApiKey=(key) =>
+{
+    const [keyId, secret]=String(key).slice(API_KEY_PREFIX.length).split(".");
+    if (!keyId||!secret) return null;
+    return {keyId, secret};
+};
+
+const describeKey=(key) => ({
+    id: key._id.toString(),
+    name: key.name,
+    keyId: key.keyId,
+    prefix: `${API_KEY_PREFIX}${key.keyId}`,
+    scopes: key.scopes,
+    expiresAt: key.expiresAt||null,
+    lastUsedAt: key.lastUsedAt||null,
+    lastUsedIp: key.lastUsedIp||null,
+    rotatedAt: key.rotatedAt||null,
+    createdAt: key.createdAt,
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: validateScopes
+// RETURNS: null when fine, otherwise the reason they aren't
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateScopes=(scopes, user) =>
+{
+    if (!Array.isArray(scopes)||scopes.length===0) return "At least one scope is required";
+
+    const unknown=scopes.find((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown) return `Unknown scope: ${unknown}`;
+
+    if (user.role!=="admin"&&scopes.some((scope) => ADMIN_SCOPES.includes(scope)))
+    {
+        return "Only admins can create keys with admin scopes";
+    }
+
+    return null;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: createApiKey
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// RETURNS: { key, apiKey } - "key" is the full secret key, shown ONCE
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const createApiKey=async (userId, {name, scopes, expiresAt=null}) =>
+{
+    const keyId=crypto.randomBytes(8).toString("hex");
+    const secret=newSecret();
+
+    const apiKey=await apiKeyModel.create({
+        userId,
+        name,
+        keyId,
+        secretHash: hashSecret(secret),
+        scopes: [...new Set(scopes)],
+        expiresAt,
+    });
+
+    return {key: `${API_KEY_PREFIX}${keyId}.${secret}`, apiKey: describeKey(apiKey)};
+};
+
+export const listApiKeys=async (userId) =>
+{
+    const keys=await apiKeyModel.find({userId, revokedAt: null}).sort({createdAt: -1});
+    return keys.map(describeKey);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: rotateApiKey
+// PURPOSE: New secret, same key - the old secret stops working at once
+// RETURNS: { key, apiKey } or null when the key isn't theirs / is revoked
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const rotateApiKey=async (userId, id) =>
+{
+    const secret=newSecret();
+
+    const apiKey=await apiKeyModel.findOneAndUpdate(
+        {_id: id, userId, revokedAt: null},
+        {$set: {secretHash: hashSecret(secret), rotatedAt: new Date()}},
+        {new: true}
+    );
+    if (!apiKey) return null;
+
+    // Bots still connected with the old secret have to reconnect
+    apiKeyEvents.emit("revoked", {keyId: apiKey.keyId, userId: userId.toString()});
+
+    return {key: `${API_KEY_PREFIX}${apiKey.keyId}.${secret}`, apiKey: describeKey(apiKey)};
+};
+
+export const revokeApiKey=async (userId, id) =>
+{
+    const apiKey=await apiKeyModel.findOneAndUpdate(
+        {_id: id, userId, revokedAt: null},
+        {$set: {revokedAt: new Date()}},
+        {new: true}
+    );
+    if (!apiKey) return null;
+
+    apiKeyEvents.emit("revoked", {keyId: apiKey.keyId, userId: userId.toString()});
+    return describeKey(apiKey);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: verifyApiKey
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - key: The full key from the request
+// - ip: Recorded as "last used from"
+//
+// RETURNS: { id, keyId, name, scopes, expiresAt, apiKey: true } - "id" is
+// the owner's user id, so code written for req.user keeps working
+// THROWS: AuthError
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const verifyApiKey=async (key, {ip}={}) =>
+{
+    const parsed=parseApiKey(key);
+    if (!parsed) throw new AuthError("Invalid API key");
+
+    const apiKey=await apiKeyModel.findOne({keyId: parsed.keyId});
+    if (!apiKey) throw new AuthError("Invalid API key");
+
+    const expected=Buffer.from(apiKey.secretHash);
+    const given=Buffer.from(hashSecret(parsed.secret));
+    if (expected.length!==given.length||!crypto.timingSafeEqual(expected, given))
+    {
+        throw new AuthError("Invalid API key");
+    }
+
+    if (apiKey.revokedAt) throw new AuthError("API key has been revoked");
+    if (apiKey.expiresAt&&apiKey.expiresAt<=new Date()) throw new AuthError("API key has expired");
+
+    touchApiKey(apiKey, ip);
+
+    return {
+        id: apiKey.userId.toString(),
+        keyId: apiKey.keyId,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt||null,
+        apiKey: true,
+    };
+};
+
+const touchApiKey=(apiKey, ip) =>
+{
+    const now=Date.now();
+    if (now-(lastTouched.get(apiKey.keyId)||0)<TOUCH_INTERVAL_MS) return;
+
+    lastTouched.set(apiKey.keyId, now);
+
+    apiKeyModel.updateOne({_id: apiKey._id}, {$set: {lastUsedAt: new Date(now), lastUsedIp: ip}}).catch((err) =>
+    {
+        console.error(`Could not update API key ${apiKey.keyId}:`, err.message);
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: revokeUserApiKeys
+// PURPOSE: Every key of one user stops working (account deletion)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const revokeUserApiKeys=async (userId) =>
+{
+    const keys=await apiKeyModel.find({userId, revokedAt: null}).select("keyId");
+    await apiKeyModel.updateMany({userId, revokedAt: null}, {$set: {revokedAt: new Date()}});
+
+    for (const {keyId} of keys)
+    {
+        apiKeyEvents.emit("revoked", {keyId, userId: userId.toString()});
+    }
+    return keys.length;
+};
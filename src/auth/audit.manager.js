@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/audit.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Write security events to the Audit collection
+//
+// EVENTS (so far):
+// - login_failed:     Wrong email or password (details.reason)
+// - login_blocked:    Attempt refused while delayed or locked
+// - account_locked:   Too many failures - account or IP locked for a while
+// - login_succeeded
+// - account_unlocked: Lock lifted by a password reset
+// - api_key_created / api_key_rotated / api_key_revoked
+//
+// Audit writes never fail the request they describe - errors are logged
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import mongoose from "mongoose";
+import auditModel from "../model/audit.model.js";
+
+export const recordAuditEvent=async (event, {userId=null, email, ip, userAgent, ...details}={}) =>
+{
+    try
+    {
+        await auditModel.create({
+            event,
+            userId: mongoose.isValidObjectId(userId)? userId:null,
+            email,
+            ip,
+            userAgent,
+            details,
+        });
+    } catch (err)
+    {
+        console.error(`Could not write audit event ${event}:`, err.message);
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getAuditTrail
+// RETURNS: The newest events for one user
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getAuditTrail=(userId, {limit=100}={}) =>
+    auditModel.find({userId}).sort({createdAt: -1}).limit(limit).lean();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: searchAuditTrail
+// PURPOSE: Admin view - newest events, optionally for one user / event type
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const searchAuditTrail=({userId, event, before, limit=100}={}) =>
+{
+    const filter={};
+    if (userId) filter.userId=userId;
+    if (event) filter.event=event;
+    if (before) filter.createdAt={$lt: before};
+
+    return auditModel.find(filter).sort({createdAt: -1}).limit(limit).lean();
+};
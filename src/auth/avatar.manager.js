@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/avatar.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Profile pictures on local disk
+//
+// RULES:
+// - PNG, JPEG or WebP only - checked by the file's magic bytes, not just the
+//   Content-Type the client claims
+// - At most AVATAR_MAX_BYTES (default 2 MB)
+// - One file per user: AVATAR_DIR/<userId>.<ext> (default ./uploads/avatars)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import fs from "fs/promises";
+import path from "path";
+
+export const AVATAR_MAX_BYTES=Number(process.env.AVATAR_MAX_BYTES)||2*1024*1024;
+
+export const AVATAR_TYPES={
+    "image/png": {extension: "png", matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))},
+    "image/jpeg": {extension: "jpg", matches: (data) => data[0]===0xff&&data[1]===0xd8&&data[2]===0xff},
+    "image/webp": {extension: "webp", matches: (data) => data.toString("ascii", 0, 4)==="RIFF"&&data.toString("ascii", 8, 12)==="WEBP"},
+};
+
+const avatarDir=() => path.resolve(process.env.AVATAR_DIR||"uploads/avatars");
+
+const avatarPath=(userId, contentType) =>
+    path.join(avatarDir(), `${userId}.${AVATAR_TYPES[contentType].extension}`);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: validateAvatar
+// RETURNS: null when fine, otherwise the reason it isn't
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateAvatar=(data, contentType) =>
+{
+    if (!Buffer.isBuffer(data)||data.length===0) return "Image is required";
+    if (data.length>AVATAR_MAX_BYTES) return `Image must be at most ${Math.round(AVATAR_MAX_BYTES/1024)} KB`;
+
+    const type=AVATAR_TYPES[contentType];
+    if (!type) return `Image must be one of: ${Object.keys(AVATAR_TYPES).join(", ")}`;
+    if (!type.matches(data)) return `File is not a valid ${contentType} image`;
+
+    return null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: saveAvatar / deleteAvatar / getAvatarPath
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const saveAvatar=async (userId, data, contentType) =>
+{
+    await fs.mkdir(avatarDir(), {recursive: true});
+    await deleteAvatar(userId);
+    // A new PNG must not leave the old JPEG behind
+
+    await fs.writeFile(avatarPath(userId, contentType), data);
+};
+
+export const deleteAvatar=async (userId) =>
+{
+    for (const contentType of Object.keys(AVATAR_TYPES))
+    {
+        await fs.rm(avatarPath(userId, contentType), {force: true});
+    }
+};
+
+export const getAvatarPath=(userId, contentType) =>
+    AVATAR_TYPES[contentType]? avatarPath(userId, contentType):null;
@@ -0,0 +1,202 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/cookie.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Browser sessions - tokens in httpOnly cookies + CSRF protection
+//
+// COOKIES:
+// - token:         Access token   (httpOnly, every path)
+// - refresh_token: Refresh token  (httpOnly, only sent to /api/auth)
+// - csrf_token:    CSRF token     (readable by JS on the same site)
+//
+// CSRF (double submit, tied to the session):
+// - The CSRF token is an HMAC of the session id, so it needs no storage and
+//   changes with every login
+// - Cookie-authenticated POST/PUT/PATCH/DELETE requests must send it back in
+//   the X-CSRF-Token header. The frontend is on another site and can't read
+//   our cookies, so it's also returned in the login/refresh/csrf-token body
+// - Bearer-authenticated requests are exempt: browsers never add that header
+//   on their own, so a forged request can't carry it
+//
+// COOKIE FLAGS:
+// - COOKIE_SECURE:    "true"/"false" (default: true in production)
+// - COOKIE_SAME_SITE: "strict" | "lax" | "none"
+//                     (default: "none" when secure - frontend is cross-site -
+//                     otherwise "lax", as browsers reject insecure "none")
+// - COOKIE_DOMAIN:    Optional
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+
+export const ACCESS_COOKIE="token";
+export const REFRESH_COOKIE="refresh_token";
+export const CSRF_COOKIE="csrf_token";
+export const CSRF_HEADER="x-csrf-token";
+
+const REFRESH_COOKIE_PATH="/api/auth";
+// The refresh token only travels to the endpoints that use it
+
+const SAFE_METHODS=new Set(["GET", "HEAD", "OPTIONS"]);
+
+const isSecure=() => process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE==="true"
+    :process.env.NODE_ENV==="production";
+
+export const baseCookieOptions=() =>
+{
+    const secure=isSecure();
+
+    return {
+        secure,
+        sameSite: process.env.COOKIE_SAME_SITE||(secure? "none":"lax"),
+        domain: process.env.COOKIE_DOMAIN||undefined,
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getCsrfToken / isValidCsrfToken
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getCsrfToken=(sessionId) =>
+    crypto.createHmac("sha256", process.env.JWT_SECRET)
+        .update(`csrf:${sessionId}`)
+        .digest("base64url");
+
+export const isValidCsrfToken=(sessionId, token) =>
+{
+    if (!sessionId||typeof token!=="string") return false;
+
+    const expected=Buffer.from(getCsrfToken(sessionId));
+    const given=Buffer.from(token);
+
+    return expected.length===given.length&&crypto.timingSafeEqual(expected, given);
+};
+
+export const isSafeMethod=(method) => SAFE_METHODS.has(method);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: setAuthCookies
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - res: Express response
+// - tokens: What createSession / rotateRefreshToken returned
+//
+// RETURNS: The CSRF token (for the response body)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const setAuthCookies=(res, tokens) =>
+{
+    const options=baseCookieOptions();
+    const csrfToken=getCsrfToken(tokens.sessionId);
+
+    res.cookie(ACCESS_COOKIE, tokens.accessToken, {
+        ...options,
+        httpOnly: true,
+        path: "/",
+        expires: tokens.accessTokenExpiresAt,
+    });
+
+    // No refresh token = a concurrent refresh already set the new one
+    if (tokens.refreshToken)
+    {
+        res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+            ...options,
+            httpOnly: true,
+            path: REFRESH_COOKIE_PATH,
+            expires: tokens.refreshTokenExpiresAt,
+        });
+    }
+
+    res.cookie(CSRF_COOKIE, csrfToken, {
+        ...options,
+        httpOnly: false,
+        path: "/",
+        expires: tokens.refreshTokenExpiresAt,
+    });
+
+    return csrfToken;
+};
+
+export const setCsrfCookie=(res, sessionId) =>
+{
+    const csrfToken=getCsrfToken(sessionId);
+    res.cookie(CSRF_COOKIE, csrfToken, {...baseCookieOptions(), httpOnly: false, path: "/"});
+    return csrfToken;
+};
+
+export const clearAuthCookies=(res) =>
+{
+    const options=baseCookieOptions();
+
+    // Same path/domain as when set, or the browser keeps them
+    res.clearCookie(ACCESS_COOKIE, {...options, httpOnly: true, path: "/"});
+    res.clearCookie(REFRESH_COOKIE, {...options, httpOnly: true, path: REFRESH_COOKIE_PATH});
+    res.clearCookie(CSRF_COOKIE, {...options, path: "/"});
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: getRequestToken
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Find the access token of a request
+//
+// PRECEDENCE:
+// 1. Authorization header - if present it MUST be "Bearer <token>"; a bad
+//    header is an error, we don't quietly fall back to the cookie
+// 2. The httpOnly "token" cookie
+//
+// RETURNS: { token, source: "bearer" | "cookie" } or { error }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const getRequestToken=(req) =>
+{
+    const authHeader=req.headers.authorization;
+    if (authHeader)
+    {
+        const [scheme, token]=authHeader.split(" ");
+        if (scheme?.toLowerCase()!=="bearer"||!token)
+        {
+            return {error: "Invalid token format"};
+        }
+        return {token, source: "bearer"};
+    }
+
+    const token=req.cookies?.[ACCESS_COOKIE];
+    if (token) return {token, source: "cookie"};
+
+    return {error: "No token provided"};
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getHandshakeToken
+// PURPOSE: Same as getRequestToken, for a Socket.IO handshake
+// ORDER: auth payload { token } → Authorization header → "token" cookie
+// RETURNS: { token, source: "auth" | "bearer" | "cookie" } or { error }
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getHandshakeToken=(handshake) =>
+{
+    if (handshake.auth?.token)
+    {
+        return typeof handshake.auth.token==="string"
+            ? {token: handshake.auth.token, source: "auth"}
+            :{error: "Invalid token format"};
+    }
+
+    const cookies={};
+    for (const pair of (handshake.headers.cookie||"").split(";"))
+    {
+        const index=pair.indexOf("=");
+        if (index<1) continue;
+
+        const name=pair.slice(0, index).trim();
+        const value=pair.slice(index+1).trim();
+        try {cookies[name]=decodeURIComponent(value);} catch {cookies[name]=value;}
+    }
+
+    return getRequestToken({headers: handshake.headers, cookies});
+};
@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/login.guard.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Slow down and stop password guessing
+//
+// TRACKED PER ACCOUNT ("email:<email>", even for emails with no account, so
+// answers don't reveal which exist) AND PER CLIENT ("ip:<ip>"):
+// - Failures count within LOGIN_WINDOW_MINUTES (default 15) of each other
+// - After LOGIN_FREE_ATTEMPTS (3) failures, every further failure makes the
+//   next attempt wait longer: 1s, 2s, 4s ... up to LOGIN_MAX_DELAY_SECONDS (30)
+// - LOGIN_LOCKOUT_THRESHOLD (10) account failures, or LOGIN_IP_LOCKOUT_THRESHOLD
+//   (50) from one IP, lock logins for LOGIN_LOCKOUT_MINUTES (15)
+// - A successful login clears the account's record (never the IP's)
+// - A password reset clears the account's record (unlockAccount)
+//
+// Everything is written to the audit trail (audit.manager.js)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import attemptModel from "../model/attempt.model.js";
+import {recordAuditEvent} from "./audit.manager.js";
+
+const WINDOW_MS=(Number(process.env.LOGIN_WINDOW_MINUTES)||15)*60*1000;
+const FREE_ATTEMPTS=Number(process.env.LOGIN_FREE_ATTEMPTS??3);
+const MAX_DELAY_MS=(Number(process.env.LOGIN_MAX_DELAY_SECONDS)||30)*1000;
+const LOCKOUT_MS=(Number(process.env.LOGIN_LOCKOUT_MINUTES)||15)*60*1000;
+
+const THRESHOLDS={
+    email: Number(process.env.LOGIN_LOCKOUT_THRESHOLD)||10,
+    ip: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD)||50,
+};
+
+const normalizeEmail=(email) => String(email||"").toLowerCase().trim();
+
+const attemptKeys=({email, ip}) =>
+{
+    const keys=[{kind: "email", key: `email:${normalizeEmail(email)}`}];
+    if (ip) keys.push({kind: "ip", key: `ip:${ip}`});
+    return keys;
+};
+
+// How long the next attempt has to wait after this many failures in a row
+export const delayAfter=(failures) =>
+{
+    if (failures<=FREE_ATTEMPTS) return 0;
+    return Math.min(1000*2**(failures-FREE_ATTEMPTS-1), MAX_DELAY_MS);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: checkLoginAllowed
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Called BEFORE the password is checked
+//
+// RETURNS: { allowed: true } or { allowed: false, locked, retryAfterMs }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const checkLoginAllowed=async ({email, ip, userAgent}) =>
+{
+    const now=Date.now();
+    const records=await attemptModel.find({key: {$in: attemptKeys({email, ip}).map(({key}) => key)}});
+
+    let retryAfterMs=0;
+    let locked=false;
+
+    for (const record of records)
+    {
+        if (record.lockedUntil&&record.lockedUntil.getTime()>now)
+        {
+            locked=true;
+            retryAfterMs=Math.max(retryAfterMs, record.lockedUntil.getTime()-now);
+        }
+        else if (record.nextAttemptAt&&record.nextAttemptAt.getTime()>now)
+        {
+            retryAfterMs=Math.max(retryAfterMs, record.nextAttemptAt.getTime()-now);
+        }
+    }
+
+    if (retryAfterMs===0) return {allowed: true};
+
+    await recordAuditEvent("login_blocked", {email: normalizeEmail(email), ip, userAgent, locked, retryAfterMs});
+    return {allowed: false, locked, retryAfterMs};
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: recordLoginFailure
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - email / ip / userAgent: The attempt
+// - userId: The account, when the email exists
+// - reason: "unknown_email" | "bad_password" ... (audit only, never sent back)
+//
+// RETURNS: { locked } - whether this failure locked the account or IP
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const recordLoginFailure=async ({email, ip, userAgent, userId=null, reason}) =>
+{
+    const now=new Date();
+    let locked=false;
+    let accountFailures=0;
+
+    for (const {kind, key} of attemptKeys({email, ip}))
+    {
+        // ─── Start over when the last failure is outside the window ───
+        await attemptModel.updateOne(
+            {key, lastFailedAt: {$lt: new Date(now.getTime()-WINDOW_MS)}},
+            {$set: {failures: 0, firstFailedAt: now, nextAttemptAt: null}}
+        );
+
+        const record=await attemptModel.findOneAndUpdate(
+            {key},
+            {
+                $inc: {failures: 1},
+                $set: {lastFailedAt: now},
+                $setOnInsert: {firstFailedAt: now},
+            },
+            {upsert: true, new: true}
+        );
+
+        const update={
+            nextAttemptAt: new Date(now.getTime()+delayAfter(record.failures)),
+            expiresAt: new Date(now.getTime()+Math.max(WINDOW_MS, LOCKOUT_MS)),
+        };
+
+        if (record.failures>=THRESHOLDS[kind]&&!(record.lockedUntil>now))
+        {
+            update.lockedUntil=new Date(now.getTime()+LOCKOUT_MS);
+            update.failures=0;
+            // The next round of failures after the lock starts from zero
+            locked=true;
+
+            await recordAuditEvent("account_locked", {
+                userId, email: normalizeEmail(email), ip, userAgent,
+                scope: kind, failures: record.failures, lockedUntil: update.lockedUntil,
+            });
+        }
+
+        await attemptModel.updateOne({key}, {$set: update});
+
+        if (kind==="email") accountFailures=record.failures;
+    }
+
+    await recordAuditEvent("login_failed", {userId, email: normalizeEmail(email), ip, userAgent, reason, failedAttempts: accountFailures});
+
+    return {locked};
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: recordLoginSuccess
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const recordLoginSuccess=async ({email, ip, userAgent, userId}) =>
+{
+    await attemptModel.deleteOne({key: `email:${normalizeEmail(email)}`});
+    await recordAuditEvent("login_succeeded", {userId, email: normalizeEmail(email), ip, userAgent});
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: unlockAccount
+// PURPOSE: Proving access to the inbox (password reset) lifts the lock
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const unlockAccount=async ({email, userId}) =>
+{
+    const removed=await attemptModel.findOneAndDelete({key: `email:${normalizeEmail(email)}`});
+    if (!removed) return;
+
+    await recordAuditEvent("account_unlocked", {
+        userId, email: normalizeEmail(email),
+        reason: "password_reset", wasLocked: Boolean(removed.lockedUntil>new Date()),
+    });
+};
@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/mailer.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Send account emails (verification, password reset) - SMTP or API
+// based providers plug in here
+//
+// THE MAILER INTERFACE:
+// - send({ from, to, subject, text, html }) → { id }
+//
+// CHOOSING A MAILER:
+// - MAILER env variable (default: "console")
+//   "console": Prints the email to the server log
+//   "file":    Writes every email as JSON into MAIL_OUTBOX_DIR
+//              (default: <tmp>/meetflow-outbox) - handy for testing offline
+// - Providers call registerMailer("name", factory) before first use
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const MAIL_FROM=process.env.MAIL_FROM||"MeetFlow <no-reply@meetflow.local>";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: ConsoleMailer / FileMailer
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Offline stand-ins - nothing leaves the machine
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class ConsoleMailer
+{
+    constructor()
+    {
+        this.name="console";
+    }
+
+    async send({to, subject, text})
+    {
+        const id=crypto.randomUUID();
+        console.log(`📧 Mail ${id} to ${to}: ${subject}\n${text}`);
+        return {id};
+    }
+}
+
+export class FileMailer
+{
+    constructor(directory=process.env.MAIL_OUTBOX_DIR||path.join(os.tmpdir(), "meetflow-outbox"))
+    {
+        this.name="file";
+        this.directory=directory;
+    }
+
+    async send({from, to, subject, text, html})
+    {
+        const id=crypto.randomUUID();
+        const sentAt=new Date();
+
+        await fs.mkdir(this.directory, {recursive: true});
+        await fs.writeFile(
+            path.join(this.directory, `${sentAt.getTime()}-${id}.json`),
+            JSON.stringify({id, from, to, subject, text, html, sentAt}, null, 2)
+        );
+
+        console.log(`📧 Mail ${id} to ${to} written to ${this.directory}`);
+        return {id};
+    }
+}
+
+const mailerFactories=new Map([
+    ["console", () => new ConsoleMailer()],
+    ["file", () => new FileMailer()],
+]);
+
+let activeMailer=null;
+
+const assertMailer=(mailer, name) =>
+{
+    if (typeof mailer?.send!=="function")
+    {
+        throw new Error(`Mailer "${name}" is missing send()`);
+    }
+    return mailer;
+};
+
+export const registerMailer=(name, factory) =>
+{
+    mailerFactories.set(name, factory);
+};
+
+export const getMailer=() =>
+{
+    if (activeMailer) return activeMailer;
+
+    const name=process.env.MAILER||"console";
+    const factory=mailerFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown mailer: ${name}`);
+    }
+
+    activeMailer=assertMailer(factory(), name);
+    return activeMailer;
+};
+
+export const setMailer=(mailer) =>
+{
+    activeMailer=mailer? assertMailer(mailer, mailer.name||"custom"):null;
+};
+
+export const sendMail=(message) => getMailer().send({from: MAIL_FROM, ...message});
@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/mock.idp.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: A tiny OpenID Connect provider for local development and automated
+// tests of the SSO flow - NEVER enable it in production
+//
+// ENABLE: OIDC_MOCK_IDP=on → mounted at /mock-idp, registered as provider "mock"
+//
+// WHO LOGS IN: No login form - /authorize approves at once as
+// ?login_hint=<email> (default: OIDC_MOCK_EMAIL or "sso.user@example.com").
+// ?mock_email_verified=false simulates an IdP that didn't verify the email
+//
+// SUPPORTS: Discovery, /authorize (code + S256 PKCE only), /token, /jwks
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+const CODE_TTL_MS=60*1000;
+const KEY_ID="mock-idp-key";
+
+const {privateKey, publicKey}=crypto.generateKeyPairSync("rsa", {modulusLength: 2048});
+// New keys on every start - the mock's tokens never outlive the process
+
+const codes=new Map();
+// STRUCTURE: code → { clientId, redirectUri, codeChallenge, nonce, email, emailVerified, expiresAt }
+
+const issuerOf=(req) => `${process.env.API_URL||`${req.protocol}://${req.get("host")}`}${req.baseUrl}`;
+
+const router=express.Router();
+
+router.get("/.well-known/openid-configuration", (req, res) =>
+{
+    const issuer=issuerOf(req);
+
+    res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: ["client_secret_post", "client_secret_basic"],
+    });
+});
+
+router.get("/jwks", (req, res) =>
+{
+    res.json({keys: [{...publicKey.export({format: "jwk"}), kid: KEY_ID, use: "sig", alg: "RS256"}]});
+});
+
+router.get("/authorize", (req, res) =>
+{
+    const {response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint, mock_email_verified}=req.query;
+
+    if (response_type!=="code"||!client_id||!redirect_uri||!code_challenge||code_challenge_method!=="S256")
+    {
+        return res.status(400).json({error: "invalid_request"});
+    }
+
+    const code=crypto.randomBytes(24).toString("base64url");
+    codes.set(code, {
+        clientId: client_id,
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        nonce,
+        email: login_hint||process.env.OIDC_MOCK_EMAIL||"sso.user@example.com",
+        emailVerified: mock_email_verified!=="false",
+        expiresAt: Date.now()+CODE_TTL_MS,
+    });
+
+    const target=new URL(redirect_uri);
+    target.searchParams.set("code", code);
+    if (state) target.searchParams.set("state", state);
+
+    res.redirect(target.toString());
+});
+
+router.post("/token", express.urlencoded({extended: false}), (req, res) =>
+{
+    let {client_id}=req.body;
+    const {grant_type, code, redirect_uri, code_verifier}=req.body;
+
+    const basic=req.headers.authorization?.match(/^Basic (.+)$/);
+    if (basic)
+    {
+        client_id=decodeURIComponent(Buffer.from(basic[1], "base64").toString().split(":")[0]);
+    }
+
+    const grant=codes.get(code);
+    codes.delete(code);
+    // Codes are single use, even when the exchange fails
+
+    if (grant_type!=="authorization_code"||!grant||grant.expiresAt<Date.now())
+    {
+        return res.status(400).json({error: "invalid_grant"});
+    }
+    if (grant.clientId!==client_id||grant.redirectUri!==redirect_uri)
+    {
+        return res.status(400).json({error: "invalid_grant"});
+    }
+    if (crypto.createHash("sha256").update(code_verifier||"").digest("base64url")!==grant.codeChallenge)
+    {
+        return res.status(400).json({error: "invalid_grant", error_description: "PKCE verification failed"});
+    }
+
+    const subject=crypto.createHash("sha256").update(grant.email).digest("hex").slice(0, 24);
+
+    const idToken=jwt.sign(
+        {
+            sub: subject,
+            email: grant.email,
+            email_verified: grant.emailVerified,
+            name: grant.email.split("@")[0],
+            nonce: grant.nonce,
+        },
+        privateKey,
+        {algorithm: "RS256", keyid: KEY_ID, issuer: issuerOf(req), audience: grant.clientId, expiresIn: "5m"}
+    );
+
+    res.json({
+        access_token: crypto.randomBytes(24).toString("base64url"),
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: idToken,
+    });
+});
+
+export default router;
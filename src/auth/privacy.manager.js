@@ -0,0 +1,235 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/privacy.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: "Export my data" and "delete my account"
+//
+// EXPORT (buildDataExport): one .zip with everything stored about the user -
+// profile, rooms they created, Participant records, their transcript
+// segments, sessions, usage and audit events (+ avatar image)
+//
+// DELETION:
+// 1. scheduleAccountDeletion(): due in ACCOUNT_DELETION_GRACE_DAYS (default 30);
+//    other sessions are logged out, the user gets an email
+// 2. cancelAccountDeletion(): any time before it's due
+// 3. The deletion scheduler (startDeletionScheduler, hourly) purges due accounts:
+//    - Rooms they created are deleted with their participants, transcripts
+//      and usage (CASCADE)
+//    - In other people's rooms they are removed from the participant list
+//      and their transcript lines become "Deleted user" (ANONYMIZE - the
+//      meeting record of the others stays readable)
+//    - Sessions, API keys, email tokens and login attempts are deleted,
+//      audit events lose email / IP / user agent, the avatar file is removed
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import fs from "fs/promises";
+import roomModel from "../model/room.model.js";
+import participantModel from "../model/participant.model.js";
+import transcriptModel from "../model/transcript.model.js";
+import usageModel from "../model/usage.model.js";
+import sessionModel from "../model/session.model.js";
+import tokenModel from "../model/token.model.js";
+import attemptModel from "../model/attempt.model.js";
+import auditModel from "../model/audit.model.js";
+import apiKeyModel from "../model/apikey.model.js";
+import userModel from "../model/user.model.js";
+import {AVATAR_TYPES, deleteAvatar, getAvatarPath} from "./avatar.manager.js";
+import {recordAuditEvent} from "./audit.manager.js";
+import {revokeUserSessions} from "./session.manager.js";
+import {revokeUserApiKeys} from "./apikey.manager.js";
+import {sendMail} from "./mailer.js";
+import {createZip} from "./zip.writer.js";
+
+const GRACE_DAYS=Number(process.env.ACCOUNT_DELETION_GRACE_DAYS??30);
+const SCHEDULER_INTERVAL_MS=60*60*1000;
+const DELETED_USER_NAME="Deleted user";
+
+const README=`This archive contains the personal data we store about your account.
+
+profile.json       Your account (passwords, 2FA secrets and recovery codes are
+                   stored only as one-way hashes and are not included)
+rooms.json         Rooms you created, with glossary and meeting summary
+participants.json  Every meeting you joined (languages, join/leave times)
+transcripts.json   Everything you said in meetings, as transcribed
+sessions.json      Devices logged into your account
+usage.json         Translation usage billed to you
+audit.json         Security events (logins, password changes ...)
+api-keys.json      API keys you created (names, scopes, last use - not the keys)
+avatar.*           Your profile picture, if you uploaded one
+
+Chat messages are delivered live and are not stored on our servers, so there
+are none to export.
+`;
+
+const toJson=(value) => JSON.stringify(value, null, 2);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: buildDataExport
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// RETURNS: { filename, archive } - archive is the .zip Buffer, or null
+// when the user doesn't exist
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const buildDataExport=async (userId) =>
+{
+    const user=await userModel.findById(userId).lean();
+    if (!user) return null;
+
+    const [rooms, participants, transcripts, sessions, usage, audit, apiKeys]=await Promise.all([
+        roomModel.find({createdBy: userId}).lean(),
+        participantModel.find({userId}).lean(),
+        transcriptModel.find({speakerId: userId}).sort({roomId: 1, startedAt: 1}).lean(),
+        sessionModel.find({userId}).select("-refreshTokenHash").lean(),
+        usageModel.find({userId}).sort({day: 1}).lean(),
+        auditModel.find({userId}).sort({createdAt: 1}).lean(),
+        apiKeyModel.find({userId}).select("-secretHash").lean(),
+    ]);
+
+    const files=[
+        {name: "README.txt", data: README},
+        {name: "profile.json", data: toJson(user)},
+        {name: "rooms.json", data: toJson(rooms)},
+        {name: "participants.json", data: toJson(participants)},
+        {name: "transcripts.json", data: toJson(transcripts)},
+        {name: "sessions.json", data: toJson(sessions)},
+        {name: "usage.json", data: toJson(usage)},
+        {name: "audit.json", data: toJson(audit)},
+        {name: "api-keys.json", data: toJson(apiKeys)},
+    ];
+
+    const avatarPath=getAvatarPath(userId, user.avatar?.content_type);
+    if (avatarPath)
+    {
+        try
+        {
+            files.push({name: `avatar.${AVATAR_TYPES[user.avatar.content_type].extension}`, data: await fs.readFile(avatarPath)});
+        } catch (err)
+        {
+            console.error(`Avatar of ${userId} missing from disk:`, err.message);
+        }
+    }
+
+    return {
+        filename: `meetflow-data-${userId}-${new Date().toISOString().slice(0, 10)}.zip`,
+        archive: createZip(files),
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: scheduleAccountDeletion
+// RETURNS: When the account will be deleted
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const scheduleAccountDeletion=async (user, {keepSessionId, ip, userAgent}={}) =>
+{
+    const scheduledFor=new Date(Date.now()+GRACE_DAYS*24*60*60*1000);
+
+    await userModel.updateOne({_id: user._id}, {
+        $set: {"deletion.requested_at": new Date(), "deletion.scheduled_for": scheduledFor},
+    });
+
+    // Only the device that asked stays logged in (so it can still cancel)
+    await revokeUserSessions(user._id, {except: keepSessionId, reason: "account deletion requested"});
+    await recordAuditEvent("account_deletion_scheduled", {userId: user._id, email: user.email, ip, userAgent, scheduledFor});
+
+    sendMail({
+        to: user.email,
+        subject: "Your account will be deleted",
+        text: `Hi ${user.name},\n\nYour account and its data will be deleted on ${scheduledFor.toUTCString()}.\nChanged your mind? Log in and cancel the deletion before then.`,
+    }).catch((err) => console.error("Could not send deletion email:", err.message));
+
+    return scheduledFor;
+};
+
+export const cancelAccountDeletion=async (user, {ip, userAgent}={}) =>
+{
+    await userModel.updateOne({_id: user._id}, {$unset: {deletion: ""}});
+    await recordAuditEvent("account_deletion_cancelled", {userId: user._id, email: user.email, ip, userAgent});
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: purgeUser
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Delete one account for good (see the header for what happens)
+//
+// Only while the deletion is still due - an account whose owner cancelled
+// in the meantime is left alone
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const purgeUser=async (userId) =>
+{
+    const user=await userModel.findOne({_id: userId, "deletion.scheduled_for": {$lte: new Date()}});
+    if (!user) return;
+
+    // ─── Step 1: Log out everywhere (live sockets and bots are disconnected) ───
+    await revokeUserSessions(user._id, {reason: "account deleted"});
+    await revokeUserApiKeys(user._id);
+
+    // ─── Step 2: CASCADE - rooms they own, and everything in them ───
+    const ownedRooms=(await roomModel.find({createdBy: user._id}).select("_id")).map((room) => room._id);
+
+    await participantModel.deleteMany({roomId: {$in: ownedRooms}});
+    await transcriptModel.deleteMany({roomId: {$in: ownedRooms}});
+    await usageModel.deleteMany({roomId: {$in: ownedRooms}});
+    await roomModel.deleteMany({_id: {$in: ownedRooms}});
+
+    // ─── Step 3: ANONYMIZE - their traces in other people's rooms ───
+    await participantModel.deleteMany({userId: user._id});
+    await roomModel.updateMany({participants: user._id}, {$pull: {participants: user._id}});
+    await roomModel.updateMany({coHosts: user._id}, {$pull: {coHosts: user._id}});
+    await transcriptModel.updateMany(
+        {speakerId: user._id},
+        {$set: {speakerName: DELETED_USER_NAME}, $unset: {speakerId: ""}}
+    );
+
+    // ─── Step 4: Account data ───
+    await sessionModel.deleteMany({userId: user._id});
+    await apiKeyModel.deleteMany({userId: user._id});
+    await tokenModel.deleteMany({userId: user._id});
+    await attemptModel.deleteMany({key: `email:${user.email}`});
+    await auditModel.updateMany({userId: user._id}, {$unset: {email: "", ip: "", userAgent: ""}});
+    await deleteAvatar(user._id.toString());
+    await userModel.deleteOne({_id: user._id});
+
+    await recordAuditEvent("account_deleted", {userId: user._id, ownedRooms: ownedRooms.length});
+    console.log(`🗑️ Account ${user._id} deleted (${ownedRooms.length} rooms)`);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: startDeletionScheduler
+// PURPOSE: Purge accounts whose grace period is over (hourly + at start)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const purgeDueAccounts=async () =>
+{
+    const due=await userModel.find({"deletion.scheduled_for": {$lte: new Date()}}).select("_id");
+
+    for (const {_id} of due)
+    {
+        try
+        {
+            await purgeUser(_id);
+        } catch (err)
+        {
+            console.error(`Could not delete account ${_id}:`, err.message);
+            // Retried on the next run
+        }
+    }
+
+    return due.length;
+};
+
+export const startDeletionScheduler=() =>
+{
+    const run=() => purgeDueAccounts().catch((err) => console.error("Account deletion run failed:", err.message));
+
+    run();
+    const timer=setInterval(run, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,340 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/session.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Short-lived access tokens + rotating refresh tokens
+//
+// TOKENS:
+// - Access token:  JWT { id, sid } valid for ACCESS_TOKEN_TTL (default 15m)
+//                  Sent on every request / socket join
+// - Refresh token: "<sessionId>.<secret>" valid for REFRESH_TOKEN_TTL_DAYS
+//                  (default 30) - only the sha256 of the secret is stored
+//
+// ROTATION + REUSE DETECTION:
+// - Every refresh swaps the secret, so each refresh token works ONCE
+// - A refresh token for the right session but an old secret means it was
+//   stolen (or replayed) → the whole session (token family) is revoked
+// - EXCEPT the secret replaced in the last REFRESH_GRACE_MS: two tabs that
+//   refresh with the same cookie at once both succeed. The late one gets
+//   a new access token but NO refresh token - the winner's one stays valid
+//
+// REVOCATION:
+// - verifyAccessToken() rejects tokens whose session was revoked, even if
+//   the JWT itself hasn't expired yet
+// - sessionEvents emits "revoked" { sessionId, userId, reason } so live
+//   socket connections of that session can be closed
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+import {EventEmitter} from "events";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import sessionModel from "../model/session.model.js";
+
+const ACCESS_TOKEN_TTL=process.env.ACCESS_TOKEN_TTL||"15m";
+const REFRESH_TOKEN_TTL_DAYS=Number(process.env.REFRESH_TOKEN_TTL_DAYS)||30;
+
+const RECENT_LOGIN_MS=(Number(process.env.RECENT_LOGIN_MINUTES)||5)*60*1000;
+// WHAT: How fresh a login must be for isRecentLogin() (sensitive changes
+// on accounts without a password to re-enter)
+
+const REFRESH_GRACE_MS=10000;
+// WHAT: How long the refresh token replaced last still works (see above)
+
+const SESSION_CACHE_MS=15000;
+// WHAT: How long a "this session is still active" answer is trusted
+// WHY: Saves a query per request; revocations on THIS server apply at once
+
+const sessionCache=new Map();
+// STRUCTURE: sessionId → { active, checkedAt }
+
+const MAX_CACHED_SESSIONS=10000;
+
+const TOUCH_INTERVAL_MS=60000;
+// WHAT: "Last seen" is written at most once a minute per session
+
+const lastTouched=new Map();
+// STRUCTURE: sessionId → time lastUsedAt was last written
+
+export const sessionEvents=new EventEmitter();
+// "revoked": { sessionId, userId, reason }
+
+const cacheSession=(sessionId, active) =>
+{
+    sessionCache.delete(sessionId);
+    sessionCache.set(sessionId, {active, checkedAt: Date.now()});
+
+    if (sessionCache.size>MAX_CACHED_SESSIONS)
+    {
+        sessionCache.delete(sessionCache.keys().next().value);
+        // Oldest first (Map keeps insertion order)
+    }
+};
+
+export class AuthError extends Error
+{
+    constructor(message, status=401)
+    {
+        super(message);
+        this.name="AuthError";
+        this.status=status;
+    }
+}
+
+const hashSecret=(secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret=() => crypto.randomBytes(32).toString("base64url");
+
+const parseRefreshToken=(refreshToken) =>
+{
+    const [sessionId, secret]=String(refreshToken||"").split(".");
+    if (!secret||!mongoose.isValidObjectId(sessionId)) return null;
+    return {sessionId, secret};
+};
+
+const signAccessToken=(userId, sessionId) =>
+    jwt.sign({id: userId.toString(), sid: sessionId.toString()}, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+
+const issueTokens=(session, secret) =>
+{
+    const accessToken=signAccessToken(session.userId, session._id);
+
+    return {
+        accessToken,
+        refreshToken: secret? `${session._id}.${secret}`:null,
+        accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp*1000),
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id.toString(),
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: createSession
+// PURPOSE: Log a user in - new session, first access + refresh token
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const createSession=async (userId, {userAgent, ip}={}) =>
+{
+    const secret=newSecret();
+
+    const session=await sessionModel.create({
+        userId,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now()+REFRESH_TOKEN_TTL_DAYS*24*60*60*1000),
+        userAgent,
+        ip,
+    });
+
+    return issueTokens(session, secret);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: rotateRefreshToken
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Trade a refresh token for a new access + refresh token pair
+//
+// RETURNS: Same as createSession - refreshToken is null when a concurrent
+// refresh replaced the token a moment ago (keep the token that one got)
+// THROWS: AuthError when the token is unknown, expired, revoked or reused
+// (reuse also revokes the session)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const rotateRefreshToken=async (refreshToken, {userAgent, ip}={}) =>
+{
+    const parsed=parseRefreshToken(refreshToken);
+    if (!parsed) throw new AuthError("Invalid refresh token");
+
+    const session=await sessionModel.findById(parsed.sessionId);
+    if (!session) throw new AuthError("Invalid refresh token");
+    if (session.revokedAt) throw new AuthError("Session has been revoked");
+    if (session.expiresAt<=new Date()) throw new AuthError("Refresh token expired");
+
+    const secret=newSecret();
+    const presentedHash=hashSecret(parsed.secret);
+
+    // ─── Swap the secret only if the presented one is still current ───
+    // (atomic: two refreshes racing with the same token can't both win)
+    const rotated=await sessionModel.findOneAndUpdate(
+        {_id: session._id, refreshTokenHash: presentedHash, revokedAt: null},
+        {
+            $set: {
+                refreshTokenHash: hashSecret(secret),
+                previousRefreshTokenHash: presentedHash,
+                rotatedAt: new Date(),
+                lastUsedAt: new Date(),
+                userAgent,
+                ip,
+            },
+        },
+        {new: true}
+    );
+
+    if (!rotated)
+    {
+        // ─── Lost a race against another tab? Not theft ───
+        const current=await sessionModel.findById(session._id);
+        if (current&&!current.revokedAt
+            &&current.previousRefreshTokenHash===presentedHash
+            &&Date.now()-current.rotatedAt<=REFRESH_GRACE_MS)
+        {
+            return issueTokens(current, null);
+        }
+
+        await revokeSession(session._id, "refresh token reuse");
+        console.warn(`🔐 Refresh token reuse detected - session ${session._id} revoked`);
+        throw new AuthError("Refresh token reuse detected - please log in again");
+    }
+
+    return issueTokens(rotated, secret);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: revokeSession
+// PURPOSE: Log one session out (its refresh AND access tokens stop working)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const revokeSession=async (sessionId, reason="logout") =>
+{
+    cacheSession(sessionId.toString(), false);
+
+    const session=await sessionModel.findOneAndUpdate(
+        {_id: sessionId, revokedAt: null},
+        {$set: {revokedAt: new Date(), revokedReason: reason}}
+    );
+
+    if (session)
+    {
+        sessionEvents.emit("revoked", {sessionId: session._id.toString(), userId: session.userId.toString(), reason});
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: revokeUserSessions
+// PURPOSE: Log a user out everywhere (optionally keeping one session)
+// RETURNS: The revoked session ids
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const revokeUserSessions=async (userId, {except=null, reason="logout everywhere"}={}) =>
+{
+    const filter={userId, revokedAt: null};
+    if (except) filter._id={$ne: except};
+
+    const sessions=await sessionModel.find(filter).select("_id");
+    for (const {_id} of sessions)
+    {
+        cacheSession(_id.toString(), false);
+    }
+
+    await sessionModel.updateMany(filter, {$set: {revokedAt: new Date(), revokedReason: reason}});
+
+    const revoked=sessions.map(({_id}) => _id.toString());
+    for (const sessionId of revoked)
+    {
+        sessionEvents.emit("revoked", {sessionId, userId: userId.toString(), reason});
+    }
+
+    return revoked;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: listUserSessions
+// RETURNS: The user's sessions that still work, most recently used first
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const listUserSessions=(userId) =>
+    sessionModel
+        .find({userId, revokedAt: null, expiresAt: {$gt: new Date()}})
+        .sort({lastUsedAt: -1})
+        .select("userAgent ip lastUsedAt createdAt expiresAt")
+        .lean();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: touchSession
+// PURPOSE: Keep "last seen" current without a write per request
+// ─────────────────────────────────────────────────────────────────────────────
+
+const touchSession=(sessionId) =>
+{
+    const now=Date.now();
+    if (now-(lastTouched.get(sessionId)||0)<TOUCH_INTERVAL_MS) return;
+
+    lastTouched.set(sessionId, now);
+    if (lastTouched.size>MAX_CACHED_SESSIONS) lastTouched.delete(lastTouched.keys().next().value);
+
+    sessionModel.updateOne({_id: sessionId}, {$set: {lastUsedAt: new Date(now)}}).catch((err) =>
+    {
+        console.error(`Could not update session ${sessionId}:`, err.message);
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: isSessionActive
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const isSessionActive=async (sessionId) =>
+{
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const cached=sessionCache.get(sessionId);
+    if (cached&&Date.now()-cached.checkedAt<SESSION_CACHE_MS) return cached.active;
+
+    const session=await sessionModel.findById(sessionId).select("revokedAt expiresAt");
+    const active=Boolean(session&&!session.revokedAt&&session.expiresAt>new Date());
+
+    cacheSession(sessionId, active);
+    return active;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: isRecentLogin
+// PURPOSE: Did this session's user sign in within RECENT_LOGIN_MINUTES?
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const isRecentLogin=async (sessionId) =>
+{
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const session=await sessionModel.findById(sessionId).select("authenticatedAt revokedAt");
+    if (!session?.authenticatedAt||session.revokedAt) return false;
+
+    return Date.now()-session.authenticatedAt<=RECENT_LOGIN_MS;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: verifyAccessToken
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Signature + expiry + "session not revoked" in one place
+// (used by authMiddleware and the socket "joinRoom" handler)
+//
+// RETURNS: The decoded payload { id, sid, iat, exp }
+// THROWS: AuthError
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const verifyAccessToken=async (token) =>
+{
+    let decoded;
+    try
+    {
+        decoded=jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err)
+    {
+        throw new AuthError(err.message);
+    }
+
+    if (!decoded?.id||!decoded.sid) throw new AuthError("Invalid token");
+
+    if (!await isSessionActive(decoded.sid))
+    {
+        throw new AuthError("Session has been revoked");
+    }
+
+    touchSession(decoded.sid);
+    return decoded;
+};
@@ -0,0 +1,341 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/sso.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Log in with a corporate identity provider (OpenID Connect)
+//
+// FLOW (authorization code + PKCE):
+// 1. buildAuthorizationRequest(): random state, nonce and PKCE verifier; the
+//    browser is sent to the IdP with the verifier's S256 challenge
+// 2. The IdP sends the browser back to our callback with ?code&state
+// 3. completeAuthorization(): code + verifier → tokens at the token endpoint,
+//    then the id_token's signature (JWKS), issuer, audience and nonce are checked
+// 4. findOrCreateSsoUser(): same IdP identity → same user. Otherwise a user
+//    with the same VERIFIED email is linked, or a new one (no password) is made
+//
+// PROVIDERS:
+// - OIDC_PROVIDERS env variable, a JSON array:
+//   [{ "name": "corp", "displayName": "Acme SSO", "issuer": "https://...",
+//      "clientId": "...", "clientSecret": "...", "scopes": "openid email profile",
+//      "tokenAuthMethod": "client_secret_post" | "client_secret_basic" }]
+// - OIDC_MOCK_IDP=on registers "mock", the local IdP in mock.idp.js
+// - Code can call registerSsoProvider(name, config) too
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import axios from "axios";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import userModel from "../model/user.model.js";
+import {recordAuditEvent} from "./audit.manager.js";
+import {AuthError, revokeUserSessions} from "./session.manager.js";
+import {revokeUserApiKeys} from "./apikey.manager.js";
+import {isSupportedLanguage} from "../translation/languages.js";
+
+const DEFAULT_SCOPES="openid email profile";
+const METADATA_CACHE_MS=60*60*1000;
+const STATE_TOKEN_TTL="10m";
+
+const providers=new Map();
+// STRUCTURE: name → { name, displayName, issuer, clientId, clientSecret, scopes, tokenAuthMethod }
+
+const metadataCache=new Map();
+// STRUCTURE: issuer → { fetchedAt, metadata, jwks }
+
+export const registerSsoProvider=(name, config) =>
+{
+    if (!config?.issuer||!config.clientId)
+    {
+        throw new Error(`SSO provider "${name}" needs an issuer and a clientId`);
+    }
+
+    providers.set(name, {
+        name,
+        displayName: config.displayName||name,
+        issuer: config.issuer.replace(/\/$/, ""),
+        clientId: config.clientId,
+        clientSecret: config.clientSecret||null,
+        scopes: config.scopes||DEFAULT_SCOPES,
+        tokenAuthMethod: config.tokenAuthMethod||"client_secret_post",
+    });
+};
+
+// Providers configured in the environment
+const loadEnvProviders=() =>
+{
+    if (process.env.OIDC_PROVIDERS)
+    {
+        try
+        {
+            for (const config of JSON.parse(process.env.OIDC_PROVIDERS))
+            {
+                registerSsoProvider(config.name, config);
+            }
+        } catch (err)
+        {
+            console.error("Could not read OIDC_PROVIDERS:", err.message);
+        }
+    }
+
+    if (process.env.OIDC_MOCK_IDP==="on"&&!providers.has("mock"))
+    {
+        const apiUrl=process.env.API_URL||`http://localhost:${process.env.PORT||3000}`;
+        registerSsoProvider("mock", {
+            displayName: "Mock IdP",
+            issuer: `${apiUrl}/mock-idp`,
+            clientId: "meetflow-local",
+            clientSecret: "mock-secret",
+        });
+    }
+};
+
+loadEnvProviders();
+
+const getProvider=(name) =>
+{
+    const provider=providers.get(name);
+    if (!provider) throw new AuthError(`Unknown SSO provider: ${name}`, 404);
+    return provider;
+};
+
+export const listSsoProviders=() =>
+{
+    return [...providers.values()].map(({name, displayName}) => ({name, displayName}));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getProviderMetadata
+// PURPOSE: Discovery document + signing keys, cached for an hour
+// ─────────────────────────────────────────────────────────────────────────────
+
+const getProviderMetadata=async (provider, {refresh=false}={}) =>
+{
+    const cached=metadataCache.get(provider.issuer);
+    if (!refresh&&cached&&Date.now()-cached.fetchedAt<METADATA_CACHE_MS) return cached;
+
+    const {data: metadata}=await axios.get(`${provider.issuer}/.well-known/openid-configuration`, {timeout: 10000});
+    const {data: jwks}=await axios.get(metadata.jwks_uri, {timeout: 10000});
+
+    const entry={fetchedAt: Date.now(), metadata, jwks};
+    metadataCache.set(provider.issuer, entry);
+    return entry;
+};
+
+const base64UrlSha256=(text) => crypto.createHash("sha256").update(text).digest("base64url");
+
+const randomToken=() => crypto.randomBytes(32).toString("base64url");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: buildAuthorizationRequest
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - providerName: Which IdP
+// - redirectUri: Our callback URL (must be registered at the IdP)
+// - returnTo: Frontend path to land on afterwards
+//
+// RETURNS: { url, stateToken } - stateToken goes in a short-lived cookie and
+// carries state, nonce and the PKCE verifier to the callback
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const buildAuthorizationRequest=async (providerName, {redirectUri, returnTo="/"}) =>
+{
+    const provider=getProvider(providerName);
+    const {metadata}=await getProviderMetadata(provider);
+
+    const state=randomToken();
+    const nonce=randomToken();
+    const codeVerifier=randomToken();
+
+    const params=new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: base64UrlSha256(codeVerifier),
+        code_challenge_method: "S256",
+    });
+
+    const stateToken=jwt.sign(
+        {purpose: "sso", provider: provider.name, state, nonce, codeVerifier, returnTo: safeReturnTo(returnTo)},
+        process.env.JWT_SECRET,
+        {expiresIn: STATE_TOKEN_TTL}
+    );
+
+    return {url: `${metadata.authorization_endpoint}?${params}`, stateToken};
+};
+
+// Only paths on our own frontend - never "//evil.com" or "https://..."
+export const safeReturnTo=(returnTo) =>
+    typeof returnTo==="string"&&/^\/(?![/\\])/.test(returnTo)? returnTo:"/";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: completeAuthorization
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - providerName: From the callback URL
+// - code / state: From the callback query
+// - stateToken: The cookie set by the login step
+// - redirectUri: Same value as in the login step
+//
+// RETURNS: { claims, returnTo } - claims of the verified id_token
+// THROWS: AuthError
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const completeAuthorization=async (providerName, {code, state, stateToken, redirectUri}) =>
+{
+    const provider=getProvider(providerName);
+
+    // ─── Step 1: The callback belongs to a login WE started, in THIS browser ───
+    let expected;
+    try
+    {
+        expected=jwt.verify(stateToken||"", process.env.JWT_SECRET);
+    } catch (err)
+    {
+        throw new AuthError("SSO login expired - please try again");
+    }
+
+    if (expected.purpose!=="sso"||expected.provider!==provider.name||!state||expected.state!==state)
+    {
+        throw new AuthError("SSO state mismatch");
+    }
+    if (!code) throw new AuthError("SSO login was cancelled");
+
+    // ─── Step 2: Code + PKCE verifier → tokens ───
+    const {metadata}=await getProviderMetadata(provider);
+
+    const form=new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: expected.codeVerifier,
+    });
+    const headers={"Content-Type": "application/x-www-form-urlencoded"};
+
+    if (provider.clientSecret&&provider.tokenAuthMethod==="client_secret_basic")
+    {
+        const credentials=`${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization=`Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+    else
+    {
+        form.set("client_id", provider.clientId);
+        if (provider.clientSecret) form.set("client_secret", provider.clientSecret);
+    }
+
+    let tokens;
+    try
+    {
+        ({data: tokens}=await axios.post(metadata.token_endpoint, form, {headers, timeout: 10000}));
+    } catch (err)
+    {
+        throw new AuthError(`SSO token exchange failed: ${err.response?.data?.error||err.message}`);
+    }
+
+    if (!tokens?.id_token) throw new AuthError("SSO provider returned no id_token");
+
+    // ─── Step 3: Verify the id_token ───
+    const claims=await verifyIdToken(provider, tokens.id_token);
+    if (claims.nonce!==expected.nonce) throw new AuthError("SSO nonce mismatch");
+
+    return {claims, returnTo: expected.returnTo};
+};
+
+const verifyIdToken=async (provider, idToken) =>
+{
+    const decoded=jwt.decode(idToken, {complete: true});
+    if (!decoded) throw new AuthError("Invalid id_token");
+
+    let {jwks}=await getProviderMetadata(provider);
+    let jwk=jwks.keys?.find((key) => key.kid===decoded.header.kid);
+
+    if (!jwk)
+    {
+        // The IdP may have rotated its keys since we cached them
+        ({jwks}=await getProviderMetadata(provider, {refresh: true}));
+        jwk=jwks.keys?.find((key) => key.kid===decoded.header.kid);
+    }
+    if (!jwk) throw new AuthError("Unknown id_token signing key");
+
+    try
+    {
+        return jwt.verify(idToken, crypto.createPublicKey({key: jwk, format: "jwk"}), {
+            algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384"],
+            audience: provider.clientId,
+            issuer: provider.issuer,
+        });
+    } catch (err)
+    {
+        throw new AuthError(`Invalid id_token: ${err.message}`);
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: findOrCreateSsoUser
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// RETURNS: The user to log in
+// THROWS: AuthError when the IdP hasn't verified the email
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const findOrCreateSsoUser=async (providerName, claims, {ip, userAgent}={}) =>
+{
+    const identity={provider: providerName, subject: String(claims.sub)};
+
+    // ─── Seen this identity before ───
+    const linked=await userModel.findOne({sso_identities: {$elemMatch: identity}});
+    if (linked) return linked;
+
+    // ─── Otherwise match by email, but only one the IdP vouches for ───
+    const email=String(claims.email||"").toLowerCase().trim();
+    const emailVerified=claims.email_verified===true||claims.email_verified==="true";
+    if (!email||!emailVerified)
+    {
+        throw new AuthError("Your identity provider did not share a verified email", 403);
+    }
+
+    const existing=await userModel.findOne({email});
+    if (existing)
+    {
+        // Never verified = nobody proved they own this email. Whoever
+        // registered it may not be the person signing in now, so their
+        // password, 2FA, sessions and API keys stop working (pre-hijack)
+        if (!existing.email_verified)
+        {
+            await userModel.updateOne({_id: existing._id}, {$unset: {password: "", two_factor: ""}});
+            await revokeUserSessions(existing._id, {reason: "unverified account linked to SSO"});
+            await revokeUserApiKeys(existing._id);
+
+            existing.two_factor.enabled=false;
+            existing.email_verified=true;
+            existing.email_verified_at=new Date();
+        }
+        existing.sso_identities.push({...identity, linked_at: new Date()});
+        await existing.save();
+
+        await recordAuditEvent("sso_linked", {userId: existing._id, email, ip, userAgent, provider: providerName});
+        return existing;
+    }
+
+    // "fr-CA" → "fr", kept only if we translate into it
+    const locale=String(claims.locale||"").split(/[-_]/)[0].toLowerCase();
+
+    const user=await userModel.create({
+        name: claims.name||[claims.given_name, claims.family_name].filter(Boolean).join(" ")||email.split("@")[0],
+        email,
+        email_verified: true,
+        email_verified_at: new Date(),
+        sso_identities: [{...identity, linked_at: new Date()}],
+        ...(isSupportedLanguage(locale)? {preferred_language: locale}:{}),
+    });
+
+    await recordAuditEvent("sso_user_created", {userId: user._id, email, ip, userAgent, provider: providerName});
+    return user;
+};
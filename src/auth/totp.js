@@ -0,0 +1,137 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/totp.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Time-based one-time passwords (RFC 6238) - what authenticator
+// apps (Google Authenticator, Authy, 1Password ...) generate
+//
+// PARAMETERS (the defaults every app understands):
+// - HMAC-SHA1, 6 digits, 30 second steps
+// - Secrets are 20 random bytes, shown to the user in base32
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import crypto from "crypto";
+
+const DIGITS=6;
+const STEP_SECONDS=30;
+const BASE32_ALPHABET="ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Base32 (RFC 4648, no padding)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const base32Encode=(buffer) =>
+{
+    let bits=0;
+    let value=0;
+    let output="";
+
+    for (const byte of buffer)
+    {
+        value=(value<<8)|byte;
+        bits+=8;
+
+        while (bits>=5)
+        {
+            output+=BASE32_ALPHABET[(value>>>(bits-5))&31];
+            bits-=5;
+        }
+    }
+
+    if (bits>0) output+=BASE32_ALPHABET[(value<<(5-bits))&31];
+    return output;
+};
+
+const base32Decode=(text) =>
+{
+    const clean=text.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+    const bytes=[];
+    let bits=0;
+    let value=0;
+
+    for (const char of clean)
+    {
+        const index=BASE32_ALPHABET.indexOf(char);
+        if (index===-1) throw new Error("Invalid base32 secret");
+
+        value=(value<<5)|index;
+        bits+=5;
+
+        if (bits>=8)
+        {
+            bytes.push((value>>>(bits-8))&255);
+            bits-=8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+export const generateSecret=() => base32Encode(crypto.randomBytes(20));
+
+export const currentStep=(now=Date.now()) => Math.floor(now/1000/STEP_SECONDS);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: generateCode
+// PURPOSE: The code for one 30s step (HOTP with the step as counter)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const generateCode=(secret, step=currentStep()) =>
+{
+    const counter=Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac=crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset=hmac[hmac.length-1]&15;
+    const binary=hmac.readUInt32BE(offset)&0x7fffffff;
+
+    return String(binary%10**DIGITS).padStart(DIGITS, "0");
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: verifyCode
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - secret: base32 secret
+// - code: What the user typed (spaces allowed)
+// - window: Steps either side accepted, for clock drift (default 1 = ±30s)
+//
+// RETURNS: The matching step (callers store it to stop replays) or null
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const verifyCode=(secret, code, {window=1}={}) =>
+{
+    const clean=String(code||"").replace(/\s+/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+    const now=currentStep();
+    for (let step=now-window; step<=now+window; step++)
+    {
+        const expected=Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+    }
+
+    return null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: buildOtpauthUri
+// PURPOSE: What the enrollment QR code encodes
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const buildOtpauthUri=({secret, account, issuer}) =>
+{
+    const label=encodeURIComponent(`${issuer}:${account}`);
+    const params=new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,248 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/twofactor.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Optional TOTP two-factor authentication for accounts
+//
+// SETUP:
+// 1. enrollTwoFactor():   New secret (pending) + otpauth:// URI for the QR code
+// 2. activateTwoFactor(): First valid code turns it on, returns recovery codes
+//                         (shown ONCE - only their sha256 is stored)
+//
+// LOGIN (see loginController):
+// 1. Right password + 2FA on → no session yet, just a short-lived
+//    "two factor token" (JWT, purpose "2fa", TWO_FACTOR_LOGIN_TTL default 5m)
+// 2. That token + a TOTP or recovery code → verifySecondFactor() → session
+//
+// The two factor token has no session id, so verifyAccessToken (and with it
+// authMiddleware) never accepts it as an access token
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import userModel from "../model/user.model.js";
+import {recordAuditEvent} from "./audit.manager.js";
+import {AuthError, isRecentLogin} from "./session.manager.js";
+import {buildOtpauthUri, generateSecret, verifyCode} from "./totp.js";
+
+const ISSUER=process.env.TWO_FACTOR_ISSUER||"MeetFlow";
+const LOGIN_TOKEN_TTL=process.env.TWO_FACTOR_LOGIN_TTL||"5m";
+const RECOVERY_CODE_COUNT=10;
+
+const SECRET_FIELDS="+two_factor.secret +two_factor.pending_secret +two_factor.recovery_codes +two_factor.last_used_step";
+
+const hashCode=(code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+const normalizeRecoveryCode=(code) => String(code||"").replace(/[\s-]/g, "").toLowerCase();
+
+const generateRecoveryCodes=() => Array.from({length: RECOVERY_CODE_COUNT}, () =>
+{
+    const raw=crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const loadUser=async (userId) =>
+{
+    const user=await userModel.findById(userId).select(SECRET_FIELDS);
+    if (!user) throw new AuthError("User not found", 404);
+    return user;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: useTotpCode
+// PURPOSE: Check a code and remember its step (atomic - no replays)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const useTotpCode=async (user, secret, code) =>
+{
+    const step=verifyCode(secret, code);
+    if (step===null) return false;
+
+    const result=await userModel.updateOne(
+        {
+            _id: user._id,
+            $or: [
+                {"two_factor.last_used_step": {$exists: false}},
+                {"two_factor.last_used_step": null},
+                {"two_factor.last_used_step": {$lt: step}},
+            ],
+        },
+        {$set: {"two_factor.last_used_step": step}}
+    );
+
+    return result.modifiedCount===1;
+};
+
+const useRecoveryCode=async (user, code) =>
+{
+    const hash=hashCode(code);
+
+    const result=await userModel.updateOne(
+        {_id: user._id, "two_factor.recovery_codes": hash},
+        {$pull: {"two_factor.recovery_codes": hash}}
+    );
+
+    return result.modifiedCount===1;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: enrollTwoFactor
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// RETURNS: { secret, otpauthUri } - nothing changes for login until activated
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const enrollTwoFactor=async (userId) =>
+{
+    const user=await loadUser(userId);
+    if (user.two_factor?.enabled) throw new AuthError("Two-factor authentication is already enabled", 400);
+
+    const secret=generateSecret();
+    await userModel.updateOne({_id: user._id}, {$set: {"two_factor.pending_secret": secret}});
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({secret, account: user.email, issuer: ISSUER}),
+    };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: activateTwoFactor
+// RETURNS: The recovery codes (plain text, shown once)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const activateTwoFactor=async (userId, code) =>
+{
+    const user=await loadUser(userId);
+    if (user.two_factor?.enabled) throw new AuthError("Two-factor authentication is already enabled", 400);
+
+    const secret=user.two_factor?.pending_secret;
+    if (!secret) throw new AuthError("Start two-factor enrollment first", 400);
+
+    const step=verifyCode(secret, code);
+    if (step===null) throw new AuthError("Invalid code", 400);
+
+    const recoveryCodes=generateRecoveryCodes();
+
+    await userModel.updateOne({_id: user._id}, {
+        $set: {
+            "two_factor.enabled": true,
+            "two_factor.secret": secret,
+            "two_factor.recovery_codes": recoveryCodes.map(hashCode),
+            "two_factor.last_used_step": step,
+            "two_factor.enabled_at": new Date(),
+        },
+        $unset: {"two_factor.pending_secret": ""},
+    });
+
+    await recordAuditEvent("two_factor_enabled", {userId: user._id, email: user.email});
+    return recoveryCodes;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: verifyUserCode
+// PURPOSE: TOTP code or recovery code for an account with 2FA on
+// RETURNS: "totp" | "recovery" | null
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const verifyUserCode=async (userId, {code, recoveryCode}) =>
+{
+    const user=await loadUser(userId);
+    if (!user.two_factor?.enabled) return null;
+
+    if (code&&await useTotpCode(user, user.two_factor.secret, code)) return "totp";
+    if (recoveryCode&&await useRecoveryCode(user, recoveryCode)) return "recovery";
+
+    return null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: disableTwoFactor
+// PURPOSE: Needs the password AND a code - a stolen session alone can't do it
+// NOTE: SSO-only accounts have no password - their session must come from
+// an SSO login in the last few minutes instead (isRecentLogin)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const disableTwoFactor=async (userId, {password, code, recoveryCode, sessionId}) =>
+{
+    const user=await userModel.findById(userId).select("+password");
+    if (!user) throw new AuthError("User not found", 404);
+    if (!user.two_factor?.enabled) throw new AuthError("Two-factor authentication is not enabled", 400);
+
+    if (user.password)
+    {
+        if (!password||!await bcrypt.compare(password, user.password))
+        {
+            throw new AuthError("Incorrect password", 400);
+        }
+    }
+    else if (!await isRecentLogin(sessionId))
+    {
+        throw new AuthError("Sign in again with SSO to turn off two-factor authentication", 403);
+        // No password to re-enter - a fresh SSO login proves it's them
+    }
+    if (!await verifyUserCode(userId, {code, recoveryCode}))
+    {
+        throw new AuthError("Invalid code", 400);
+    }
+
+    await userModel.updateOne({_id: user._id}, {
+        $set: {"two_factor.enabled": false},
+        $unset: {
+            "two_factor.secret": "",
+            "two_factor.pending_secret": "",
+            "two_factor.recovery_codes": "",
+            "two_factor.last_used_step": "",
+            "two_factor.enabled_at": "",
+        },
+    });
+
+    await recordAuditEvent("two_factor_disabled", {userId: user._id, email: user.email});
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: regenerateRecoveryCodes
+// PURPOSE: Replace all recovery codes (old ones stop working)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const regenerateRecoveryCodes=async (userId, code) =>
+{
+    const user=await loadUser(userId);
+    if (!user.two_factor?.enabled) throw new AuthError("Two-factor authentication is not enabled", 400);
+
+    if (!await useTotpCode(user, user.two_factor.secret, code))
+    {
+        throw new AuthError("Invalid code", 400);
+    }
+
+    const recoveryCodes=generateRecoveryCodes();
+    await userModel.updateOne({_id: user._id}, {$set: {"two_factor.recovery_codes": recoveryCodes.map(hashCode)}});
+
+    await recordAuditEvent("recovery_codes_regenerated", {userId: user._id, email: user.email});
+    return recoveryCodes;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Two factor login token (between the password step and the code step)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const signTwoFactorToken=(userId) =>
+    jwt.sign({id: userId.toString(), purpose: "2fa"}, process.env.JWT_SECRET, {expiresIn: LOGIN_TOKEN_TTL});
+
+export const verifyTwoFactorToken=(token) =>
+{
+    let decoded;
+    try
+    {
+        decoded=jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err)
+    {
+        throw new AuthError("Login expired - please enter your password again");
+    }
+
+    if (decoded?.purpose!=="2fa"||!decoded.id) throw new AuthError("Invalid two factor token");
+    return decoded;
+};
@@ -0,0 +1,92 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// auth/zip.writer.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Build a .zip file in memory (for the personal data export)
+//
+// Just enough of the ZIP format for a handful of files:
+// - DEFLATE compression (zlib), CRC-32, no ZIP64 (each file and the whole
+//   archive stay well under 4 GB)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import zlib from "zlib";
+
+// MS-DOS date/time, the only timestamp every unzip tool understands
+const dosDateTime=(date) => ({
+    time: (date.getHours()<<11)|(date.getMinutes()<<5)|Math.floor(date.getSeconds()/2),
+    date: ((date.getFullYear()-1980)<<9)|((date.getMonth()+1)<<5)|date.getDate(),
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: createZip
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - files: [{ name, data }] - data is a Buffer or a string (UTF-8)
+//
+// RETURNS: The archive as a Buffer
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const createZip=(files, {modifiedAt=new Date()}={}) =>
+{
+    const {time, date}=dosDateTime(modifiedAt);
+    const localParts=[];
+    const centralParts=[];
+    let offset=0;
+
+    for (const file of files)
+    {
+        const name=Buffer.from(file.name, "utf8");
+        const data=Buffer.isBuffer(file.data)? file.data:Buffer.from(String(file.data), "utf8");
+        const compressed=zlib.deflateRawSync(data);
+        const crc=zlib.crc32(data);
+
+        // ─── Local file header ───
+        const local=Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // flags: UTF-8 names
+        local.writeUInt16LE(8, 8);           // method: deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);          // extra field length
+
+        // ─── Central directory entry ───
+        const central=Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);        // version made by
+        central.writeUInt16LE(20, 6);        // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);   // where the local header starts
+        // (extra/comment lengths, disk number and attributes stay 0)
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset+=local.length+name.length+compressed.length;
+    }
+
+    const centralDirectory=Buffer.concat(centralParts);
+
+    // ─── End of central directory ───
+    const end=Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
@@ -0,0 +1,203 @@
+import mongoose from "mongoose";
+import userModel from "../model/user.model.js";
+import {createApiKey, listApiKeys, revokeApiKey, rotateApiKey, validateScopes} from "../auth/apikey.manager.js";
+import {recordAuditEvent, searchAuditTrail} from "../auth/audit.manager.js";
+
+const MAX_EXPIRY_DAYS=365;
+
+const auditInfo=(req) => ({userId: req.user.id, ip: req.ip, userAgent: req.headers["user-agent"]});
+
+export const createApiKeyController=async (req, res) =>
+{
+    try
+    {
+        const {name, scopes, expiresInDays}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (typeof name!=="string"||!name.trim())
+        {
+            return res.status(400).json({success: false, message: "Name is required"});
+        }
+        if (expiresInDays!==undefined&&!(Number.isInteger(expiresInDays)&&expiresInDays>0&&expiresInDays<=MAX_EXPIRY_DAYS))
+        {
+            return res.status(400).json({success: false, message: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`});
+        }
+
+        const user=await userModel.findById(req.user.id).select("role");
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+
+        const invalid=validateScopes(scopes, user);
+        if (invalid)
+        {
+            return res.status(400).json({success: false, message: invalid});
+        }
+
+        // 2️⃣ Create it - the full key is in this response and nowhere else
+        const {key, apiKey}=await createApiKey(user._id, {
+            name: name.trim(),
+            scopes,
+            expiresAt: expiresInDays? new Date(Date.now()+expiresInDays*24*60*60*1000):null,
+        });
+
+        await recordAuditEvent("api_key_created", {...auditInfo(req), keyId: apiKey.keyId, scopes: apiKey.scopes});
+
+        return res.status(201).json({
+            success: true,
+            message: "API key created - copy it now, it is shown only once",
+            key,
+            apiKey,
+        });
+    } catch (error)
+    {
+        console.error("Error in creating API key:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while creating API key",
+            error: error.message,
+        });
+    }
+};
+
+export const getApiKeys=async (req, res) =>
+{
+    try
+    {
+        const apiKeys=await listApiKeys(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            message: "API keys fetched successfully",
+            apiKeys,
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching API keys:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching API keys",
+            error: error.message,
+        });
+    }
+};
+
+export const rotateApiKeyController=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({success: false, message: "Invalid API key id"});
+        }
+
+        // 1️⃣ New secret, same key - the old one stops working right away
+        const rotated=await rotateApiKey(req.user.id, id);
+        if (!rotated)
+        {
+            return res.status(404).json({success: false, message: "API key not found"});
+        }
+
+        await recordAuditEvent("api_key_rotated", {...auditInfo(req), keyId: rotated.apiKey.keyId});
+
+        return res.status(200).json({
+            success: true,
+            message: "API key rotated - copy the new key now, it is shown only once",
+            key: rotated.key,
+            apiKey: rotated.apiKey,
+        });
+    } catch (error)
+    {
+        console.error("Error in rotating API key:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while rotating API key",
+            error: error.message,
+        });
+    }
+};
+
+export const revokeApiKeyController=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({success: false, message: "Invalid API key id"});
+        }
+
+        // 1️⃣ Revoke it - bots using it are kicked out of their meetings
+        const apiKey=await revokeApiKey(req.user.id, id);
+        if (!apiKey)
+        {
+            return res.status(404).json({success: false, message: "API key not found"});
+        }
+
+        await recordAuditEvent("api_key_revoked", {...auditInfo(req), keyId: apiKey.keyId});
+
+        return res.status(200).json({
+            success: true,
+            message: "API key revoked",
+        });
+    } catch (error)
+    {
+        console.error("Error in revoking API key:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while revoking API key",
+            error: error.message,
+        });
+    }
+};
+
+export const getAdminAuditTrail=async (req, res) =>
+{
+    try
+    {
+        const {userId, event, before, limit}=req.query;
+
+        // 1️⃣ Only admins (or their keys with admin:read)
+        const user=await userModel.findById(req.user.id).select("role");
+        if (user?.role!=="admin")
+        {
+            return res.status(403).json({success: false, message: "Admins only"});
+        }
+
+        // 2️⃣ Validate filters
+        if (userId&&!mongoose.isValidObjectId(userId))
+        {
+            return res.status(400).json({success: false, message: "Invalid user id"});
+        }
+        const beforeDate=before? new Date(before):undefined;
+        if (beforeDate&&isNaN(beforeDate))
+        {
+            return res.status(400).json({success: false, message: "Invalid date for before"});
+        }
+
+        const events=await searchAuditTrail({
+            userId,
+            event,
+            before: beforeDate,
+            limit: Math.min(Math.max(Number(limit)||100, 1), 500),
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Audit trail fetched successfully",
+            events,
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching audit trail:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching audit trail",
+            error: error.message,
+        });
+    }
+};
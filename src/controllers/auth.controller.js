@@ -1,6 +1,53 @@
 import userModel from "../model/user.model.js";
-import jwt from "jsonwebtoken";
 import bcrypt from 'bcryptjs'
+import {AuthError, createSession, revokeSession, rotateRefreshToken} from "../auth/session.manager.js";
+import {resetPassword, sendPasswordResetEmail, sendVerificationEmail, verifyEmail} from "../auth/account.manager.js";
+import {checkLoginAllowed, recordLoginFailure, recordLoginSuccess} from "../auth/login.guard.js";
+import {signTwoFactorToken, verifyTwoFactorToken, verifyUserCode} from "../auth/twofactor.manager.js";
+import {isSupportedLanguage} from "../translation/languages.js";
+import {CSRF_HEADER, REFRESH_COOKIE, clearAuthCookies, isValidCsrfToken, setAuthCookies, setCsrfCookie} from "../auth/cookie.manager.js";
+
+// who is logging in from where (shown in session lists later)
+const clientInfo=(req) => ({
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+});
+
+// same answer for "no such user" and "wrong password"
+const INVALID_CREDENTIALS="Invalid email or password";
+
+// compared against when the email is unknown, so both cases take as long
+let dummyHash=null;
+const getDummyHash=async () => dummyHash??=await bcrypt.hash("not-a-real-password", 10);
+
+const sendTooManyAttempts=(res, guard) =>
+{
+    res.set("Retry-After", String(Math.ceil(guard.retryAfterMs/1000)));
+    return res.status(429).json({
+        message: guard.locked
+            ? "Too many failed attempts - try again later or reset your password"
+            :"Too many failed attempts - please wait before trying again",
+        retryAfter: Math.ceil(guard.retryAfterMs/1000)
+    });
+}
+
+// new session: cookies for browsers, tokens in the body for API clients
+const sendSession=async (req, res, user, message) =>
+{
+    const userResponse=user.toObject();
+    delete userResponse.password;
+    const tokens=await createSession(user._id, clientInfo(req));
+    const csrfToken=setAuthCookies(res, tokens);
+    return res.status(200).json({
+        message,
+        user: userResponse,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        csrfToken,
+        accessTokenExpiresAt: tokens.accessTokenExpiresAt,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    });
+}
 
 export const registerController=async (req, res) =>
 {
@@ -33,6 +80,12 @@ export const registerController=async (req, res) =>
                 message: "Preferred languuage is required",
             });
         }
+        if (!isSupportedLanguage(preferred_language))
+        {
+            return res.status(400).json({
+                message: `Unsupported language: ${preferred_language}`,
+            });
+        }
         const existingUser=await userModel.findOne({
             email
         });
@@ -57,17 +110,11 @@ export const registerController=async (req, res) =>
                 message: "User Creation Unsuccessfull"
             })
         }
-        const userResponse=user.toObject();
-        delete userResponse.password;
-        const token=jwt.sign({id: user._id}, process.env.JWT_SECRET, {
-            expiresIn: "7d",
-        });
-        res.cookie("token", token);
-        return res.status(200).json({
-            message: "User Created Successfully",
-            user: userResponse,
-            token
-        });
+
+        // a failed email shouldn't fail the signup - they can ask for another
+        sendVerificationEmail(user).catch((err) => console.error("Could not send verification email:", err.message));
+
+        return sendSession(req, res, user, "User Created Successfully");
     } catch (error)
     {
         return res.status(404).json({
@@ -95,34 +142,45 @@ export const loginController=async (req, res) =>
                 message: "Password is required"
             });
         }
+        const client=clientInfo(req);
+
+        // too many failures lately? (account or IP)
+        const guard=await checkLoginAllowed({email, ...client});
+        if (!guard.allowed)
+        {
+            return sendTooManyAttempts(res, guard);
+        }
+
         const userExists=await userModel.findOne({
             email
         }).select("+password");
-        if (!userExists)
+        const isPasswordValid=await bcrypt.compare(password, userExists?.password||await getDummyHash());
+        if (!userExists||!isPasswordValid)
         {
+            await recordLoginFailure({
+                email,
+                ...client,
+                userId: userExists?._id,
+                reason: userExists? "bad_password":"unknown_email"
+            });
             return res.status(401).json({
-                message: "User Doesnt exists"
+                message: INVALID_CREDENTIALS
             });
-
         }
-        const isPasswordValid=await bcrypt.compare(password, userExists.password)
-        if (!isPasswordValid)
+
+        // 2FA on: no session until the code is checked (loginTwoFactorController)
+        // failures aren't cleared yet, so codes can't be guessed forever
+        if (userExists.two_factor?.enabled)
         {
-            return res.status(400).json({
-                message: "Incorrect Password"
-            })
+            return res.status(200).json({
+                message: "Two-factor code required",
+                twoFactorRequired: true,
+                twoFactorToken: signTwoFactorToken(userExists._id)
+            });
         }
-        const userResponse=userExists.toObject();
-        delete userResponse.password;
-        const token=jwt.sign({id: userExists._id}, process.env.JWT_SECRET, {
-            expiresIn: "7d",
-        });
-        res.cookie("token", token);
-        return res.status(200).json({
-            message: "User Created Successfully",
-            user: userResponse,
-            token
-        });
+
+        await recordLoginSuccess({email, ...client, userId: userExists._id});
+        return sendSession(req, res, userExists, "User Created Successfully");
     } catch (error)
     {
         console.log(error);
@@ -160,4 +218,268 @@ export const currentUser=async (req, res) =>
             message: "Error in fetching user"
         })
     }
-}
\ No newline at end of file
+}
+
+export const refreshController=async (req, res) =>
+{
+    try
+    {
+        // body (API clients) wins over the httpOnly cookie (browsers)
+        const fromBody=req.body?.refreshToken;
+        const refreshToken=fromBody||req.cookies?.[REFRESH_COOKIE];
+        if (!refreshToken)
+        {
+            return res.status(401).json({
+                message: "Refresh token is required"
+            });
+        }
+
+        if (!fromBody&&!isValidCsrfToken(refreshToken.split(".")[0], req.get(CSRF_HEADER)))
+        {
+            return res.status(403).json({
+                message: "Forbidden - Invalid CSRF token"
+            });
+        }
+
+        // one-time use: the old refresh token stops working now
+        const tokens=await rotateRefreshToken(refreshToken, clientInfo(req));
+        const csrfToken=setAuthCookies(res, tokens);
+        return res.status(200).json({
+            message: "Token refreshed successfully",
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            csrfToken,
+            accessTokenExpiresAt: tokens.accessTokenExpiresAt,
+            refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+        });
+    } catch (error)
+    {
+        if (error instanceof AuthError)
+        {
+            return res.status(error.status).json({
+                message: error.message
+            });
+        }
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in refreshing token"
+        });
+    }
+}
+
+export const logoutController=async (req, res) =>
+{
+    try
+    {
+        // authMiddleware already checked the access token
+        await revokeSession(req.user.sid, "logout");
+        clearAuthCookies(res);
+        return res.status(200).json({
+            message: "Logged out successfully"
+        });
+    } catch (error)
+    {
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in logging out"
+        });
+    }
+}
+
+export const getCsrfToken=async (req, res) =>
+{
+    try
+    {
+        // for frontends on another site, which can't read the csrf_token cookie
+        const csrfToken=setCsrfCookie(res, req.user.sid);
+        return res.status(200).json({
+            message: "CSRF token fetched successfully",
+            csrfToken
+        });
+    } catch (error)
+    {
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in fetching CSRF token"
+        });
+    }
+}
+
+export const verifyEmailController=async (req, res) =>
+{
+    try
+    {
+        const user=await verifyEmail(req.body?.token);
+        return res.status(200).json({
+            message: "Email verified successfully",
+            user
+        });
+    } catch (error)
+    {
+        if (error instanceof AuthError)
+        {
+            return res.status(error.status).json({
+                message: error.message
+            });
+        }
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in verifying email"
+        });
+    }
+}
+
+export const resendVerificationController=async (req, res) =>
+{
+    try
+    {
+        const user=await userModel.findById(req.user.id);
+        if (!user)
+        {
+            return res.status(401).json({
+                message: "User Not exists"
+            });
+        }
+        if (user.email_verified)
+        {
+            return res.status(400).json({
+                message: "Email is already verified"
+            });
+        }
+
+        await sendVerificationEmail(user);
+        return res.status(200).json({
+            message: "Verification email sent"
+        });
+    } catch (error)
+    {
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in sending verification email"
+        });
+    }
+}
+
+export const forgotPasswordController=async (req, res) =>
+{
+    try
+    {
+        const {email}=req.body||{};
+        if (!email)
+        {
+            return res.status(400).json({
+                message: "Email is required"
+            });
+        }
+
+        await sendPasswordResetEmail(email);
+
+        // same answer whether or not the account exists
+        return res.status(200).json({
+            message: "If an account exists for this email, a reset link has been sent"
+        });
+    } catch (error)
+    {
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in sending reset email"
+        });
+    }
+}
+
+export const resetPasswordController=async (req, res) =>
+{
+    try
+    {
+        const {token, password}=req.body||{};
+        if (!password)
+        {
+            return res.status(400).json({
+                message: "Password is required"
+            });
+        }
+
+        await resetPassword(token, password);
+
+        // every session was logged out - including this browser's
+        clearAuthCookies(res);
+        return res.status(200).json({
+            message: "Password reset successfully - please log in again"
+        });
+    } catch (error)
+    {
+        if (error instanceof AuthError)
+        {
+            return res.status(error.status).json({
+                message: error.message
+            });
+        }
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in resetting password"
+        });
+    }
+}
+
+export const loginTwoFactorController=async (req, res) =>
+{
+    try
+    {
+        const {twoFactorToken, code, recoveryCode}=req.body||{};
+        if (!twoFactorToken)
+        {
+            return res.status(401).json({
+                message: "Two factor token is required"
+            });
+        }
+        if (!code&&!recoveryCode)
+        {
+            return res.status(400).json({
+                message: "Code is required"
+            });
+        }
+
+        const {id}=verifyTwoFactorToken(twoFactorToken);
+        const user=await userModel.findById(id);
+        if (!user)
+        {
+            return res.status(401).json({
+                message: INVALID_CREDENTIALS
+            });
+        }
+
+        // codes are guessed like passwords - same throttling and lockout
+        const client=clientInfo(req);
+        const guard=await checkLoginAllowed({email: user.email, ...client});
+        if (!guard.allowed)
+        {
+            return sendTooManyAttempts(res, guard);
+        }
+
+        const method=await verifyUserCode(user._id, {code, recoveryCode});
+        if (!method)
+        {
+            await recordLoginFailure({email: user.email, ...client, userId: user._id, reason: "bad_two_factor_code"});
+            return res.status(401).json({
+                message: "Invalid code"
+            });
+        }
+
+        await recordLoginSuccess({email: user.email, ...client, userId: user._id});
+        return sendSession(req, res, user, method==="recovery"
+            ? "Logged in with a recovery code - it can't be used again"
+            :"Logged in successfully");
+    } catch (error)
+    {
+        if (error instanceof AuthError)
+        {
+            return res.status(error.status).json({
+                message: error.message
+            });
+        }
+        console.error('Error:', error);
+        return res.status(500).json({
+            message: "Error in verifying code"
+        });
+    }
+}
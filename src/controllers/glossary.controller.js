@@ -0,0 +1,247 @@
+import roomModel from "../model/room.model.js";
+import {isRoomMember} from "../mediasoup/room.access.js";
+import {csvToGlossary, glossaryToCsv, invalidateRoomGlossary} from "../translation/glossary.manager.js";
+import {clearTranscriptTranslations} from "../translation/transcript.manager.js";
+
+const MAX_GLOSSARY_TERMS=2000;
+
+const isNonEmptyString=(value) => typeof value==="string"&&value.trim()!=="";
+
+// Returns an error message, or null when the glossary is valid
+const validateGlossary=({entries, doNotTranslate}) =>
+{
+    if (!Array.isArray(entries)||!Array.isArray(doNotTranslate))
+    {
+        return "entries and doNotTranslate must be arrays";
+    }
+    if (entries.length+doNotTranslate.length>MAX_GLOSSARY_TERMS)
+    {
+        return `A glossary can hold at most ${MAX_GLOSSARY_TERMS} terms`;
+    }
+
+    const badEntry=entries.findIndex((entry) =>
+        !isNonEmptyString(entry?.sourceLanguage)||
+        !isNonEmptyString(entry?.targetLanguage)||
+        !isNonEmptyString(entry?.source)||
+        !isNonEmptyString(entry?.target)
+    );
+    if (badEntry!==-1)
+    {
+        return `Entry ${badEntry+1} needs sourceLanguage, targetLanguage, source and target`;
+    }
+
+    if (!doNotTranslate.every(isNonEmptyString))
+    {
+        return "doNotTranslate terms must be non-empty strings";
+    }
+
+    return null;
+};
+
+const normalizeGlossary=({entries, doNotTranslate}) => ({
+    entries: entries.map((entry) => ({
+        sourceLanguage: entry.sourceLanguage.trim(),
+        targetLanguage: entry.targetLanguage.trim(),
+        source: entry.source.trim(),
+        target: entry.target.trim(),
+    })),
+    doNotTranslate: [...new Set(doNotTranslate.map((term) => term.trim()))],
+});
+
+// Later entries for the same language pair + source term win
+const mergeGlossaries=(current, incoming) =>
+{
+    const entries=new Map();
+    for (const entry of [...current.entries, ...incoming.entries])
+    {
+        entries.set(`${entry.sourceLanguage}|${entry.targetLanguage}|${entry.source.toLowerCase()}`, entry);
+    }
+
+    return {
+        entries: [...entries.values()],
+        doNotTranslate: [...current.doNotTranslate, ...incoming.doNotTranslate],
+    };
+};
+
+const toPlainGlossary=(room) => ({
+    entries: (room.glossary?.entries||[]).map(({sourceLanguage, targetLanguage, source, target}) => ({sourceLanguage, targetLanguage, source, target})),
+    doNotTranslate: [...(room.glossary?.doNotTranslate||[])],
+});
+
+const saveGlossary=async (room, glossary) =>
+{
+    room.glossary=glossary;
+    await room.save();
+
+    // 🔄 Translations from now on use the new glossary
+    invalidateRoomGlossary(room._id);
+    await clearTranscriptTranslations(room._id);
+};
+
+export const getGlossary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({success: false, message: "Room not found"});
+        }
+
+        if (!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({success: false, message: "Unauthorized"});
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Glossary fetched successfully",
+            glossary: toPlainGlossary(room),
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching glossary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching glossary",
+            error: error.message,
+        });
+    }
+};
+
+export const updateGlossary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {entries=[], doNotTranslate=[]}=req.body||{};
+
+        // 1️⃣ Validate input
+        const validationError=validateGlossary({entries, doNotTranslate});
+        if (validationError)
+        {
+            return res.status(400).json({success: false, message: validationError});
+        }
+
+        // 2️⃣ Only the creator edits the glossary
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({success: false, message: "Room not found"});
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({success: false, message: "Only the room creator can edit the glossary"});
+        }
+
+        // 3️⃣ Replace and save
+        await saveGlossary(room, normalizeGlossary({entries, doNotTranslate}));
+
+        return res.status(200).json({
+            success: true,
+            message: "Glossary updated successfully",
+            glossary: toPlainGlossary(room),
+        });
+    } catch (error)
+    {
+        console.error("Error in updating glossary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating glossary",
+            error: error.message,
+        });
+    }
+};
+
+export const importGlossary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const mode=req.query.mode==="merge"? "merge":"replace";
+        const csv=typeof req.body==="string"? req.body:req.body?.csv;
+
+        // 1️⃣ Validate input
+        if (!isNonEmptyString(csv))
+        {
+            return res.status(400).json({success: false, message: "CSV body is required"});
+        }
+
+        let incoming;
+        try
+        {
+            incoming=csvToGlossary(csv);
+        } catch (err)
+        {
+            return res.status(400).json({success: false, message: err.message});
+        }
+
+        // 2️⃣ Only the creator edits the glossary
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({success: false, message: "Room not found"});
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({success: false, message: "Only the room creator can edit the glossary"});
+        }
+
+        // 3️⃣ Replace or merge with what's there
+        const glossary=mode==="merge"? mergeGlossaries(toPlainGlossary(room), incoming):incoming;
+
+        const validationError=validateGlossary(glossary);
+        if (validationError)
+        {
+            return res.status(400).json({success: false, message: validationError});
+        }
+
+        await saveGlossary(room, normalizeGlossary(glossary));
+
+        return res.status(200).json({
+            success: true,
+            message: `Glossary imported successfully (${mode})`,
+            glossary: toPlainGlossary(room),
+        });
+    } catch (error)
+    {
+        console.error("Error in importing glossary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while importing glossary",
+            error: error.message,
+        });
+    }
+};
+
+export const exportGlossary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({success: false, message: "Room not found"});
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({success: false, message: "Only the room creator can export the glossary"});
+        }
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="glossary-${room._id}.csv"`);
+        return res.status(200).send(glossaryToCsv(toPlainGlossary(room)));
+    } catch (error)
+    {
+        console.error("Error in exporting glossary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while exporting glossary",
+            error: error.message,
+        });
+    }
+};
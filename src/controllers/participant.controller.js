@@ -1,20 +1,29 @@
+import mongoose from "mongoose";
 import participantModel from "../model/participant.model.js";
 import roomModel from "../model/room.model.js";
+import userModel from "../model/user.model.js";
+import {isRoomMember} from "../mediasoup/room.access.js";
+import {isSupportedLanguage} from "../translation/languages.js";
 
 export const addParticipant=async (req, res) =>
 {
     try
     {
-        const {roomId}=req.body;
-        const userId=req.user.id;
+        // Leaving userId out means "add me", as before
+        const {roomId, userId=req.user.id}=req.body;
 
         // 1️⃣ Validate input
         if (!roomId)
         {
             return res.status(400).json({message: "Room ID is required"});
         }
+        if (!mongoose.isValidObjectId(roomId)||!mongoose.isValidObjectId(userId))
+        {
+            return res.status(400).json({message: "A valid room ID and user ID are required"});
+        }
 
-        // 2️⃣ Check if room exists
+        // 2️⃣ Check if room exists - its creator decides who may join, unless
+        //     the room lets people add themselves
         const existingRoom=await roomModel.findOne({
             _id: roomId
         });
@@ -22,6 +31,20 @@ export const addParticipant=async (req, res) =>
         {
             return res.status(404).json({message: "No such room exists"});
         }
+        const isCreator=existingRoom.createdBy.toString()===req.user.id;
+        const isSelfJoin=userId===req.user.id&&existingRoom.isActive&&existingRoom.settings?.allowSelfJoin;
+        if (!isCreator&&!isSelfJoin)
+        {
+            return res.status(403).json({
+                message: userId===req.user.id
+                    ? "This room only takes participants added by its creator"
+                    : "Only the room creator can add participants",
+            });
+        }
+        if (!await userModel.exists({_id: userId}))
+        {
+            return res.status(404).json({message: "User not found"});
+        }
 
         // 3️⃣ Check if user already joined this room
         const existingParticipant=await participantModel.findOne({roomId, userId});
@@ -71,13 +94,22 @@ export const getParticipantById=async (req, res) =>
                 message: "Participant id is required"
             })
         }
-        const participant=await participantModel.findById(id);
+        const participant=mongoose.isValidObjectId(id)? await participantModel.findById(id):null;
         if (!participant)
         {
             return res.status(400).json({
                 message: "Participant not found"
             })
         }
+
+        // Only people in the same room may look at its participants
+        const room=await roomModel.findById(participant.roomId).select("createdBy participants");
+        if (!room||!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({
+                message: "You are not a participant of this room"
+            })
+        }
         return res.status(200).json({
             message: "participant fetched Successfully",
             participant
@@ -102,7 +134,7 @@ export const getParticipantsByRoomId=async (req, res) =>
                 message: "Room id is required"
             })
         };
-        const room=await roomModel.findById(id);
+        const room=mongoose.isValidObjectId(id)? await roomModel.findById(id).select("createdBy participants"):null;
         if (!room)
         {
             return res.status(400).json({
@@ -110,6 +142,12 @@ export const getParticipantsByRoomId=async (req, res) =>
             });
 
         };
+        if (!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({
+                message: "You are not a participant of this room"
+            });
+        }
         return res.status(200).json({
             message: "room participants",
             participants: room.participants
@@ -129,12 +167,29 @@ export const updateParticipant=async (req, res) =>
     try
     {
         const {id}=req.params;
-        const updates=req.body;
 
-        const participant=await participantModel.findByIdAndUpdate(
-            id,
+        // Only their own record, and only these fields (never roomId / userId)
+        const updates={};
+        for (const field of ["languageSpoken", "targetLanguage", "isMuted"])
+        {
+            if (req.body?.[field]!==undefined) updates[field]=req.body[field];
+        }
+        if (!mongoose.isValidObjectId(id)||Object.keys(updates).length===0)
+        {
+            return res.status(400).json({success: false, message: "Nothing to update"});
+        }
+        for (const field of ["languageSpoken", "targetLanguage"])
+        {
+            if (updates[field]!==undefined&&!isSupportedLanguage(updates[field]))
+            {
+                return res.status(400).json({success: false, message: `Unsupported language for ${field}: ${updates[field]}`});
+            }
+        }
+
+        const participant=await participantModel.findOneAndUpdate(
+            {_id: id, userId: req.user.id},
             {$set: updates},
-            {new: true}
+            {new: true, runValidators: true}
         );
 
         if (!participant)
@@ -162,8 +217,7 @@ export const deleteParticipant=async (req, res) =>
     {
         const {id}=req.params; // participant ID from URL
 
-        const participant=await participantModel.findByIdAndDelete(id);
-
+        const participant=mongoose.isValidObjectId(id)? await participantModel.findById(id):null;
         if (!participant)
         {
             return res.status(404).json({
@@ -172,6 +226,20 @@ export const deleteParticipant=async (req, res) =>
             });
         }
 
+        // The room creator removes anyone, participants only themselves
+        const room=await roomModel.findById(participant.roomId).select("createdBy");
+        if (participant.userId.toString()!==req.user.id&&room?.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Unauthorized",
+            });
+        }
+
+        await participantModel.deleteOne({_id: participant._id});
+        await roomModel.updateOne({_id: participant.roomId}, {$pull: {participants: participant.userId, coHosts: participant.userId}});
+        // Removed from the room - isRoomMember no longer lets them in
+
         res.status(200).json({
             success: true,
             message: "Participant removed successfully",
@@ -0,0 +1,121 @@
+import bcrypt from "bcryptjs";
+import userModel from "../model/user.model.js";
+import {buildDataExport, cancelAccountDeletion, scheduleAccountDeletion} from "../auth/privacy.manager.js";
+import {recordAuditEvent} from "../auth/audit.manager.js";
+
+export const exportData=async (req, res) =>
+{
+    try
+    {
+        // 1️⃣ Everything we store about them, zipped
+        const data=await buildDataExport(req.user.id);
+        if (!data)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+
+        await recordAuditEvent("data_exported", {userId: req.user.id, ip: req.ip, userAgent: req.headers["user-agent"]});
+
+        // 2️⃣ Sent as a download
+        res.set({
+            "Content-Type": "application/zip",
+            "Content-Disposition": `attachment; filename="${data.filename}"`,
+            "Cache-Control": "no-store",
+        });
+        return res.status(200).send(data.archive);
+    } catch (error)
+    {
+        console.error("Error in exporting data:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while exporting data",
+            error: error.message,
+        });
+    }
+};
+
+export const requestAccountDeletion=async (req, res) =>
+{
+    try
+    {
+        const {password, email}=req.body||{};
+
+        const user=await userModel.findById(req.user.id).select("+password");
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+        if (user.deletion?.scheduled_for)
+        {
+            return res.status(409).json({
+                success: false,
+                message: "Account deletion is already scheduled",
+                scheduledFor: user.deletion.scheduled_for,
+            });
+        }
+
+        // 1️⃣ Confirm it's really them: password, or typing the email for SSO-only accounts
+        const confirmed=user.password
+            ? Boolean(password)&&await bcrypt.compare(password, user.password)
+            :typeof email==="string"&&email.toLowerCase().trim()===user.email;
+        if (!confirmed)
+        {
+            return res.status(400).json({
+                success: false,
+                message: user.password? "Password is incorrect":"Type your email address to confirm",
+            });
+        }
+
+        // 2️⃣ Schedule it - nothing is deleted until the grace period is over
+        const scheduledFor=await scheduleAccountDeletion(user, {
+            keepSessionId: req.user.sid,
+            ip: req.ip,
+            userAgent: req.headers["user-agent"],
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Account deletion scheduled - you can cancel it until then",
+            scheduledFor,
+        });
+    } catch (error)
+    {
+        console.error("Error in scheduling account deletion:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while scheduling account deletion",
+            error: error.message,
+        });
+    }
+};
+
+export const cancelAccountDeletionRequest=async (req, res) =>
+{
+    try
+    {
+        const user=await userModel.findById(req.user.id);
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+        if (!user.deletion?.scheduled_for)
+        {
+            return res.status(400).json({success: false, message: "No account deletion is scheduled"});
+        }
+
+        await cancelAccountDeletion(user, {ip: req.ip, userAgent: req.headers["user-agent"]});
+
+        return res.status(200).json({
+            success: true,
+            message: "Account deletion cancelled",
+        });
+    } catch (error)
+    {
+        console.error("Error in cancelling account deletion:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while cancelling account deletion",
+            error: error.message,
+        });
+    }
+};
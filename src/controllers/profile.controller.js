@@ -0,0 +1,241 @@
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import userModel from "../model/user.model.js";
+import {findVoice} from "../translation/voice.manager.js";
+import {getSupportedLanguages, isSupportedLanguage} from "../translation/languages.js";
+import {setSpeakerVoice} from "../mediasoup/translation.manager.js";
+import {revokeUserSessions} from "../auth/session.manager.js";
+import {recordAuditEvent} from "../auth/audit.manager.js";
+import {deleteAvatar, getAvatarPath, saveAvatar, validateAvatar} from "../auth/avatar.manager.js";
+
+const MAX_NAME_LENGTH=100;
+
+export const getLanguages=async (req, res) =>
+{
+    return res.status(200).json({
+        success: true,
+        message: "Languages fetched successfully",
+        languages: getSupportedLanguages(),
+    });
+};
+
+export const updateProfile=async (req, res) =>
+{
+    try
+    {
+        const {name, preferred_language, preferred_voice}=req.body||{};
+        const update={};
+
+        // 1️⃣ Validate input (only what was sent is changed)
+        if (name!==undefined)
+        {
+            if (typeof name!=="string"||!name.trim()||name.trim().length>MAX_NAME_LENGTH)
+            {
+                return res.status(400).json({success: false, message: `Name must be 1-${MAX_NAME_LENGTH} characters`});
+            }
+            update.name=name.trim();
+        }
+        if (preferred_language!==undefined)
+        {
+            if (!isSupportedLanguage(preferred_language))
+            {
+                return res.status(400).json({success: false, message: `Unsupported language: ${preferred_language}`});
+            }
+            update.preferred_language=preferred_language;
+        }
+        if (preferred_voice!==undefined)
+        {
+            if (typeof preferred_voice!=="string"||!await findVoice(preferred_voice))
+            {
+                return res.status(400).json({success: false, message: `Unknown voice: ${preferred_voice}`});
+            }
+            update.preferred_voice=preferred_voice;
+        }
+        if (Object.keys(update).length===0)
+        {
+            return res.status(400).json({success: false, message: "Nothing to update"});
+        }
+
+        // 2️⃣ Save it
+        const user=await userModel.findByIdAndUpdate(req.user.id, {$set: update}, {new: true});
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+
+        // 3️⃣ Meetings they're speaking in use a new voice from the next sentence
+        if (update.preferred_voice) setSpeakerVoice(req.user.id, update.preferred_voice);
+
+        return res.status(200).json({
+            success: true,
+            message: "Profile updated successfully",
+            user,
+        });
+    } catch (error)
+    {
+        console.error("Error in updating profile:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating profile",
+            error: error.message,
+        });
+    }
+};
+
+export const changePassword=async (req, res) =>
+{
+    try
+    {
+        const {currentPassword, newPassword}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!currentPassword||!newPassword)
+        {
+            return res.status(400).json({success: false, message: "Current and new password are required"});
+        }
+        if (currentPassword===newPassword)
+        {
+            return res.status(400).json({success: false, message: "New password must be different"});
+        }
+
+        // 2️⃣ Check the current password (SSO-only accounts set one via reset)
+        const user=await userModel.findById(req.user.id).select("+password");
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+        if (!user.password)
+        {
+            return res.status(400).json({success: false, message: "This account has no password - use forgot password to set one"});
+        }
+        if (!await bcrypt.compare(currentPassword, user.password))
+        {
+            return res.status(400).json({success: false, message: "Current password is incorrect"});
+        }
+
+        // 3️⃣ Save it and log out everywhere else
+        user.password=await bcrypt.hash(newPassword, 10);
+        await user.save();
+
+        const revoked=await revokeUserSessions(user._id, {except: req.user.sid, reason: "password changed"});
+        await recordAuditEvent("password_changed", {
+            userId: user._id,
+            email: user.email,
+            ip: req.ip,
+            userAgent: req.headers["user-agent"],
+            revokedSessions: revoked.length,
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Password changed successfully",
+            revokedSessions: revoked.length,
+        });
+    } catch (error)
+    {
+        console.error("Error in changing password:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while changing password",
+            error: error.message,
+        });
+    }
+};
+
+export const uploadAvatar=async (req, res) =>
+{
+    try
+    {
+        // body is the raw image (express.raw on the route)
+        const contentType=req.get("content-type")?.split(";")[0].trim().toLowerCase();
+
+        // 1️⃣ Validate size, type and that the bytes really are that type
+        const problem=validateAvatar(req.body, contentType);
+        if (problem)
+        {
+            return res.status(400).json({success: false, message: problem});
+        }
+
+        // 2️⃣ Store it
+        await saveAvatar(req.user.id, req.body, contentType);
+
+        const user=await userModel.findByIdAndUpdate(
+            req.user.id,
+            {$set: {avatar: {content_type: contentType, updated_at: new Date()}}},
+            {new: true}
+        );
+        if (!user)
+        {
+            await deleteAvatar(req.user.id);
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Avatar uploaded successfully",
+            avatarUrl: `/api/auth/avatar/${user._id}?v=${user.avatar.updated_at.getTime()}`,
+            user,
+        });
+    } catch (error)
+    {
+        console.error("Error in uploading avatar:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while uploading avatar",
+            error: error.message,
+        });
+    }
+};
+
+export const removeAvatar=async (req, res) =>
+{
+    try
+    {
+        await deleteAvatar(req.user.id);
+        const user=await userModel.findByIdAndUpdate(req.user.id, {$unset: {avatar: ""}}, {new: true});
+
+        return res.status(200).json({
+            success: true,
+            message: "Avatar removed successfully",
+            user,
+        });
+    } catch (error)
+    {
+        console.error("Error in removing avatar:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while removing avatar",
+            error: error.message,
+        });
+    }
+};
+
+export const getAvatar=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({success: false, message: "Invalid user id"});
+        }
+
+        const user=await userModel.findById(id).select("avatar");
+        const filePath=getAvatarPath(id, user?.avatar?.content_type);
+        if (!filePath)
+        {
+            return res.status(404).json({success: false, message: "No avatar"});
+        }
+
+        res.set("X-Content-Type-Options", "nosniff");
+        return res.sendFile(filePath, {headers: {"Content-Type": user.avatar.content_type}, maxAge: "1h"});
+    } catch (error)
+    {
+        console.error("Error in fetching avatar:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching avatar",
+            error: error.message,
+        });
+    }
+};
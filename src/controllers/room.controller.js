@@ -1,5 +1,16 @@
+import mongoose from "mongoose";
 import participantModel from "../model/participant.model.js";
 import roomModel from "../model/room.model.js";
+import transcriptModel from "../model/transcript.model.js";
+import usageModel from "../model/usage.model.js";
+import {getTranscriptMeetings, getTranscriptSegments} from "../translation/transcript.manager.js";
+import {TRANSCRIPT_FORMATS, formatTranscript} from "../translation/transcript.format.js";
+import {generateMeetingSummary, getMeetingSummary} from "../translation/summary.manager.js";
+import userModel from "../model/user.model.js";
+import {isRoomMember, validateRoomSettings} from "../mediasoup/room.access.js";
+import {isSupportedLanguage} from "../translation/languages.js";
+import {QuotaExceededError, forgetRoomUsage} from "../translation/usage.manager.js";
+import {closeMeeting, setRoomCoHosts} from "../mediasoup/room.controller.js";
 
 export const roomCreate=async (req, res) =>
 {
@@ -8,7 +19,7 @@ export const roomCreate=async (req, res) =>
         const {name}=req.body;
         const userId=req.user.id;
 
-        // 1️⃣ Validate room name
+        // 1️⃣ Validate room name and settings
         if (!name||name.trim()==="")
         {
             return res.status(400).json({
@@ -17,6 +28,15 @@ export const roomCreate=async (req, res) =>
             });
         }
 
+        const {settings, error}=validateRoomSettings(req.body.settings);
+        if (error)
+        {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
         // 2️⃣ Check if the user already created a room with same name
         const existingRoom=await roomModel.findOne({
             name: name.trim(),
@@ -36,6 +56,7 @@ export const roomCreate=async (req, res) =>
             name: name.trim(),
             createdBy: userId,
             participants: [userId],
+            settings,
         });
 
         if (!room)
@@ -140,13 +161,427 @@ export const endRoom=async (req, res) =>
         })
     }
     const roomDel=await roomModel.findByIdAndDelete(id);
-    const participant=await participantModel.findOneAndDelete({
-        roomId: id
-    })
+    // Its glossary and summary live on the Room document and go with it
+    closeMeeting(id, "The room was deleted");
+    // A meeting still running in it ends too
+
+    // Everything else kept for the room goes with it (as when its owner is deleted)
+    const participants=await participantModel.deleteMany({roomId: id});
+    await transcriptModel.deleteMany({roomId: id});
+    await usageModel.deleteMany({roomId: id});
+    forgetRoomUsage(id);
 
     return res.status(200).json({
         message: "Room ended Successfully",
         roomDel,
-        participant
+        participantsRemoved: participants.deletedCount
     })
-}
\ No newline at end of file
+}
+
+export const getTranscript=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {language, meeting}=req.query;
+
+        // 1️⃣ Validate the language and the meeting (its start time, from "meetings")
+        if (language&&language!=="original"&&!isSupportedLanguage(language))
+        {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported language: ${language}`,
+            });
+        }
+
+        if (meeting&&Number.isNaN(Date.parse(meeting)))
+        {
+            return res.status(400).json({
+                success: false,
+                message: "meeting must be a meeting start time",
+            });
+        }
+
+        // 2️⃣ Check if room exists
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        // 3️⃣ Only the creator and participants may read it
+        if (!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Unauthorized",
+            });
+        }
+
+        // 4️⃣ Fetch one meeting's segments (the latest unless asked),
+        // translated if a language was requested
+        const meetings=await getTranscriptMeetings(room._id);
+        const meetingStartedAt=meeting? new Date(meeting):meetings.at(-1)||null;
+        const segments=await getTranscriptSegments(room._id, language, {meetingStartedAt, userId: req.user.id});
+
+        return res.status(200).json({
+            success: true,
+            message: "Transcript fetched successfully",
+            language: language||"original",
+            meeting: meetingStartedAt,
+            meetings,
+            segments,
+        });
+    } catch (error)
+    {
+        if (error instanceof QuotaExceededError)
+        {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.error("Error in fetching transcript:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching transcript",
+            error: error.message,
+        });
+    }
+};
+
+export const exportTranscript=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {language, meeting}=req.query;
+        const format=(req.query.format||"txt").toLowerCase();
+
+        // 1️⃣ Validate format, language and meeting
+        const formatInfo=TRANSCRIPT_FORMATS[format];
+        if (!formatInfo)
+        {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(", ")}`,
+            });
+        }
+
+        if (language&&language!=="original"&&!isSupportedLanguage(language))
+        {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported language: ${language}`,
+            });
+        }
+
+        if (meeting&&Number.isNaN(Date.parse(meeting)))
+        {
+            return res.status(400).json({
+                success: false,
+                message: "meeting must be a meeting start time",
+            });
+        }
+
+        // 2️⃣ Check if room exists
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        // 3️⃣ Only the creator and participants may export it
+        if (!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Unauthorized",
+            });
+        }
+
+        // 4️⃣ Build the file (the latest meeting unless asked)
+        const segments=await getTranscriptSegments(room._id, language, {meetingStartedAt: meeting, userId: req.user.id});
+        const fileName=`transcript-${room._id}-${language||"original"}.${formatInfo.extension}`;
+
+        res.setHeader("Content-Type", formatInfo.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+        return res.status(200).send(formatTranscript(segments, format));
+    } catch (error)
+    {
+        if (error instanceof QuotaExceededError)
+        {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.error("Error in exporting transcript:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while exporting transcript",
+            error: error.message,
+        });
+    }
+};
+
+export const getSummary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        // 1️⃣ Check if room exists
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+
+        // 2️⃣ Only the creator and participants may read it
+        if (!await isRoomMember(room, req.user.id))
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Unauthorized",
+            });
+        }
+
+        // 3️⃣ In the requested language, else the user's preferred_language
+        let {language}=req.query;
+        if (language&&language!=="original"&&!isSupportedLanguage(language))
+        {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported language: ${language}`,
+            });
+        }
+
+        if (!language)
+        {
+            const user=await userModel.findById(req.user.id).select("preferred_language");
+            language=isSupportedLanguage(user?.preferred_language)? user.preferred_language:null;
+        }
+
+        const summary=await getMeetingSummary(room, language==="original"? null:language, {userId: req.user.id});
+        if (!summary)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "No summary for this meeting yet",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Summary fetched successfully",
+            summary,
+        });
+    } catch (error)
+    {
+        if (error instanceof QuotaExceededError)
+        {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.error("Error in fetching summary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching summary",
+            error: error.message,
+        });
+    }
+};
+
+export const regenerateSummary=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Only the room creator can regenerate the summary",
+            });
+        }
+
+        const summary=await generateMeetingSummary(room._id, {delayMs: 0});
+        if (!summary)
+        {
+            return res.status(422).json({
+                success: false,
+                message: "Could not generate a summary - is there a transcript?",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Summary generated successfully",
+            summary: await getMeetingSummary(await roomModel.findById(room._id)),
+        });
+    } catch (error)
+    {
+        console.error("Error in generating summary:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while generating summary",
+            error: error.message,
+        });
+    }
+};
+
+export const updateRoomSettings=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        // 1️⃣ Validate input
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid room id",
+            });
+        }
+
+        const {settings, error}=validateRoomSettings(req.body?.settings);
+        if (error||Object.keys(settings).length===0)
+        {
+            return res.status(400).json({
+                success: false,
+                message: error||"No settings to update",
+            });
+        }
+
+        // 2️⃣ Only the creator may change them
+        const room=await roomModel.findById(id).select("createdBy settings");
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Only the room creator can change its settings",
+            });
+        }
+
+        // 3️⃣ Save - new joiners get them right away
+        const update=Object.fromEntries(Object.entries(settings).map(([key, value]) => [`settings.${key}`, value]));
+        const updated=await roomModel.findByIdAndUpdate(id, {$set: update}, {new: true, runValidators: true}).select("settings");
+
+        return res.status(200).json({
+            success: true,
+            message: "Room settings updated successfully",
+            settings: updated.settings,
+        });
+    } catch (error)
+    {
+        console.error("Error in updating room settings:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating room settings",
+            error: error.message,
+        });
+    }
+};
+
+export const updateCoHosts=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {coHosts}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid room id",
+            });
+        }
+        if (!Array.isArray(coHosts)||!coHosts.every((userId) => mongoose.isValidObjectId(userId)))
+        {
+            return res.status(400).json({
+                success: false,
+                message: "coHosts must be a list of user ids",
+            });
+        }
+
+        // 2️⃣ Only the creator picks co-hosts
+        const room=await roomModel.findById(id).select("createdBy participants");
+        if (!room)
+        {
+            return res.status(404).json({
+                success: false,
+                message: "Room not found",
+            });
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Only the room creator can choose co-hosts",
+            });
+        }
+
+        // 3️⃣ Co-hosts must already be participants (the creator hosts anyway)
+        const ids=[...new Set(coHosts.map(String))];
+        const outsider=ids.find((userId) => userId===req.user.id||!room.participants.some((participant) => participant.toString()===userId));
+        if (outsider)
+        {
+            return res.status(400).json({
+                success: false,
+                message: `User ${outsider} is not a participant of this room`,
+            });
+        }
+
+        // 4️⃣ Save, and apply to a meeting that is running right now
+        const updated=await roomModel.findByIdAndUpdate(id, {$set: {coHosts: ids}}, {new: true}).select("coHosts");
+        setRoomCoHosts(id, ids);
+
+        return res.status(200).json({
+            success: true,
+            message: "Co-hosts updated successfully",
+            coHosts: updated.coHosts,
+        });
+    } catch (error)
+    {
+        console.error("Error in updating co-hosts:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating co-hosts",
+            error: error.message,
+        });
+    }
+};
@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import roomModel from "../model/room.model.js";
+import sessionModel from "../model/session.model.js";
+import {listUserSessions, revokeSession, revokeUserSessions} from "../auth/session.manager.js";
+import {recordAuditEvent} from "../auth/audit.manager.js";
+import {clearAuthCookies} from "../auth/cookie.manager.js";
+import {getSessionMeetings} from "../mediasoup/room.controller.js";
+
+const BROWSERS=[["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+const SYSTEMS=[["Android", /Android/], ["iOS", /iPhone|iPad/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+
+// "Chrome on Windows" - good enough to recognise your own devices
+const describeDevice=(userAgent) =>
+{
+    if (!userAgent) return "Unknown device";
+
+    const browser=BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system=SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (!browser&&!system) return userAgent.slice(0, 60);
+    return [browser||"Unknown browser", system].filter(Boolean).join(" on ");
+};
+
+export const getSessions=async (req, res) =>
+{
+    try
+    {
+        // 1️⃣ Sessions that still work
+        const sessions=await listUserSessions(req.user.id);
+
+        // 2️⃣ Which meeting each one is in right now
+        const meetings=getSessionMeetings(sessions.map((session) => session._id));
+
+        const roomIds=[...meetings.values()].flat()
+            .map((meeting) => meeting.roomId)
+            .filter((roomId) => mongoose.isValidObjectId(roomId));
+        const rooms=await roomModel.find({_id: {$in: roomIds}}).select("name");
+        const roomNames=new Map(rooms.map((room) => [room._id.toString(), room.name]));
+
+        return res.status(200).json({
+            success: true,
+            message: "Sessions fetched successfully",
+            sessions: sessions.map((session) =>
+            {
+                const id=session._id.toString();
+                return {
+                    id,
+                    device: describeDevice(session.userAgent),
+                    userAgent: session.userAgent||null,
+                    ip: session.ip||null,
+                    createdAt: session.createdAt,
+                    lastSeenAt: session.lastUsedAt,
+                    expiresAt: session.expiresAt,
+                    isCurrent: id===req.user.sid,
+                    currentMeetings: (meetings.get(id)||[]).map((meeting) => ({
+                        ...meeting,
+                        roomName: roomNames.get(meeting.roomId)||null,
+                    })),
+                };
+            }),
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching sessions:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching sessions",
+            error: error.message,
+        });
+    }
+};
+
+export const revokeSessionById=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        // 1️⃣ Only your own sessions
+        if (!mongoose.isValidObjectId(id))
+        {
+            return res.status(400).json({success: false, message: "Invalid session id"});
+        }
+
+        const session=await sessionModel.findOne({_id: id, userId: req.user.id, revokedAt: null});
+        if (!session)
+        {
+            return res.status(404).json({success: false, message: "Session not found"});
+        }
+
+        // 2️⃣ Its tokens stop working, its sockets are disconnected
+        await revokeSession(session._id, "revoked by user");
+        await recordAuditEvent("session_revoked", {userId: req.user.id, ip: req.ip, userAgent: req.headers["user-agent"], sessionId: id});
+
+        // revoking this very device is a logout
+        if (id===req.user.sid) clearAuthCookies(res);
+
+        return res.status(200).json({
+            success: true,
+            message: "Session revoked successfully",
+            isCurrent: id===req.user.sid,
+        });
+    } catch (error)
+    {
+        console.error("Error in revoking session:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while revoking session",
+            error: error.message,
+        });
+    }
+};
+
+export const revokeOtherSessions=async (req, res) =>
+{
+    try
+    {
+        const revoked=await revokeUserSessions(req.user.id, {except: req.user.sid, reason: "revoked by user"});
+        await recordAuditEvent("sessions_revoked", {userId: req.user.id, ip: req.ip, userAgent: req.headers["user-agent"], count: revoked.length});
+
+        return res.status(200).json({
+            success: true,
+            message: "Other sessions revoked successfully",
+            revokedSessions: revoked.length,
+        });
+    } catch (error)
+    {
+        console.error("Error in revoking sessions:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while revoking sessions",
+            error: error.message,
+        });
+    }
+};
@@ -0,0 +1,115 @@
+import {AuthError, createSession} from "../auth/session.manager.js";
+import {baseCookieOptions, setAuthCookies} from "../auth/cookie.manager.js";
+import {buildAuthorizationRequest, completeAuthorization, findOrCreateSsoUser, listSsoProviders} from "../auth/sso.manager.js";
+import {signTwoFactorToken} from "../auth/twofactor.manager.js";
+import {recordAuditEvent} from "../auth/audit.manager.js";
+
+const APP_URL=process.env.APP_URL||"https://meet-flow-zy99.vercel.app";
+
+const STATE_COOKIE="sso_state";
+const STATE_COOKIE_PATH="/api/auth/sso";
+
+// "lax": the IdP sends the browser back with a top-level GET, which lax allows
+const stateCookieOptions=() => ({
+    ...baseCookieOptions(),
+    sameSite: "lax",
+    httpOnly: true,
+    path: STATE_COOKIE_PATH,
+});
+
+const callbackUrl=(req, provider) =>
+    `${process.env.API_URL||`${req.protocol}://${req.get("host")}`}/api/auth/sso/${encodeURIComponent(provider)}/callback`;
+
+const redirectToApp=(res, path, params={}) =>
+{
+    const target=new URL(path, APP_URL);
+    for (const [key, value] of Object.entries(params)) target.searchParams.set(key, value);
+    return res.redirect(target.toString());
+};
+
+export const getSsoProviders=async (req, res) =>
+{
+    return res.status(200).json({
+        success: true,
+        message: "SSO providers fetched successfully",
+        providers: listSsoProviders(),
+    });
+};
+
+export const ssoLogin=async (req, res) =>
+{
+    try
+    {
+        // 1️⃣ State, nonce and PKCE verifier travel in a short-lived cookie
+        const {url, stateToken}=await buildAuthorizationRequest(req.params.provider, {
+            redirectUri: callbackUrl(req, req.params.provider),
+            returnTo: req.query.returnTo,
+        });
+
+        res.cookie(STATE_COOKIE, stateToken, {...stateCookieOptions(), maxAge: 10*60*1000});
+
+        // 2️⃣ Off to the identity provider
+        return res.redirect(url);
+    } catch (error)
+    {
+        if (error instanceof AuthError)
+        {
+            return res.status(error.status).json({success: false, message: error.message});
+        }
+        console.error("Error in starting SSO login:", error);
+        return res.status(502).json({
+            success: false,
+            message: "Could not reach the identity provider",
+            error: error.message,
+        });
+    }
+};
+
+export const ssoCallback=async (req, res) =>
+{
+    const {provider}=req.params;
+    const client={userAgent: req.headers["user-agent"], ip: req.ip};
+
+    // the state cookie is single use
+    const stateToken=req.cookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+    try
+    {
+        if (req.query.error)
+        {
+            throw new AuthError(`Identity provider error: ${req.query.error}`);
+        }
+
+        // 1️⃣ Code → verified id_token claims
+        const {claims, returnTo}=await completeAuthorization(provider, {
+            code: req.query.code,
+            state: req.query.state,
+            stateToken,
+            redirectUri: callbackUrl(req, provider),
+        });
+
+        // 2️⃣ Linked / matched by verified email / created
+        const user=await findOrCreateSsoUser(provider, claims, client);
+
+        // 3️⃣ Local 2FA still applies
+        if (user.two_factor?.enabled)
+        {
+            return redirectToApp(res, "/login/2fa", {twoFactorToken: signTwoFactorToken(user._id), returnTo});
+        }
+
+        // 4️⃣ Same session + cookies as a password login
+        const tokens=await createSession(user._id, client);
+        setAuthCookies(res, tokens);
+        await recordAuditEvent("sso_login", {userId: user._id, email: user.email, ...client, provider});
+
+        return redirectToApp(res, returnTo);
+    } catch (error)
+    {
+        const message=error instanceof AuthError? error.message:"SSO login failed";
+        if (!(error instanceof AuthError)) console.error("Error in SSO callback:", error);
+
+        await recordAuditEvent("sso_failed", {...client, provider, reason: error.message});
+        return redirectToApp(res, "/login", {error: "sso_failed", message});
+    }
+};
@@ -0,0 +1,112 @@
+import {AuthError} from "../auth/session.manager.js";
+import {activateTwoFactor, disableTwoFactor, enrollTwoFactor, regenerateRecoveryCodes} from "../auth/twofactor.manager.js";
+
+const sendError=(res, error, fallback) =>
+{
+    if (error instanceof AuthError)
+    {
+        return res.status(error.status).json({success: false, message: error.message});
+    }
+
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${fallback.toLowerCase()}`,
+        error: error.message,
+    });
+};
+
+export const enrollTwoFactorController=async (req, res) =>
+{
+    try
+    {
+        // 1️⃣ New secret - the app scans otpauthUri as a QR code
+        const {secret, otpauthUri}=await enrollTwoFactor(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Scan the code with your authenticator app, then activate with a code from it",
+            secret,
+            otpauthUri,
+        });
+    } catch (error)
+    {
+        return sendError(res, error, "Enrolling two-factor authentication");
+    }
+};
+
+export const activateTwoFactorController=async (req, res) =>
+{
+    try
+    {
+        const {code}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!code)
+        {
+            return res.status(400).json({success: false, message: "Code is required"});
+        }
+
+        // 2️⃣ A valid code proves the app has the secret
+        const recoveryCodes=await activateTwoFactor(req.user.id, code);
+
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled - store the recovery codes somewhere safe, they are shown only once",
+            recoveryCodes,
+        });
+    } catch (error)
+    {
+        return sendError(res, error, "Activating two-factor authentication");
+    }
+};
+
+export const disableTwoFactorController=async (req, res) =>
+{
+    try
+    {
+        const {password, code, recoveryCode}=req.body||{};
+
+        // 1️⃣ Validate input - the password (or, for SSO-only accounts, a recent login) is checked by the manager
+        if (!code&&!recoveryCode)
+        {
+            return res.status(400).json({success: false, message: "Code is required"});
+        }
+
+        await disableTwoFactor(req.user.id, {password, code, recoveryCode, sessionId: req.user.sid});
+
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication disabled",
+        });
+    } catch (error)
+    {
+        return sendError(res, error, "Disabling two-factor authentication");
+    }
+};
+
+export const regenerateRecoveryCodesController=async (req, res) =>
+{
+    try
+    {
+        const {code}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!code)
+        {
+            return res.status(400).json({success: false, message: "Code is required"});
+        }
+
+        // 2️⃣ Old codes stop working
+        const recoveryCodes=await regenerateRecoveryCodes(req.user.id, code);
+
+        return res.status(200).json({
+            success: true,
+            message: "New recovery codes generated - the old ones no longer work",
+            recoveryCodes,
+        });
+    } catch (error)
+    {
+        return sendError(res, error, "Generating recovery codes");
+    }
+};
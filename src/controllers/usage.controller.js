@@ -0,0 +1,101 @@
+import roomModel from "../model/room.model.js";
+import {getQuotaStatus, getUsageReport} from "../translation/usage.manager.js";
+
+const MAX_RANGE_DAYS=366;
+
+// ?from=2024-05-01&to=2024-06-01 (to is exclusive) - defaults to this month
+// Returns { from, to } or { error }
+const parseDateRange=({from, to}) =>
+{
+    const now=new Date();
+    const start=from? new Date(from):new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end=to? new Date(to):now;
+
+    if (Number.isNaN(start.getTime())||Number.isNaN(end.getTime()))
+    {
+        return {error: "from and to must be valid dates"};
+    }
+    if (start>=end)
+    {
+        return {error: "from must be before to"};
+    }
+    if (end-start>MAX_RANGE_DAYS*24*60*60*1000)
+    {
+        return {error: `Date range can be at most ${MAX_RANGE_DAYS} days`};
+    }
+
+    return {from: start, to: end};
+};
+
+export const getRoomUsage=async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        // 1️⃣ Validate the date range
+        const range=parseDateRange(req.query);
+        if (range.error)
+        {
+            return res.status(400).json({success: false, message: range.error});
+        }
+
+        // 2️⃣ Only the creator sees what the room costs
+        const room=await roomModel.findById(id);
+        if (!room)
+        {
+            return res.status(404).json({success: false, message: "Room not found"});
+        }
+        if (room.createdBy.toString()!==req.user.id)
+        {
+            return res.status(403).json({success: false, message: "Only the room creator can view usage"});
+        }
+
+        // 3️⃣ Report + where the room stands against this month's quota
+        const usage=await getUsageReport({roomId: room._id}, {...range, groupBy: "userId"});
+        const quota=await getQuotaStatus(room._id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Usage fetched successfully",
+            usage,
+            quota,
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching room usage:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching usage",
+            error: error.message,
+        });
+    }
+};
+
+export const getUserUsage=async (req, res) =>
+{
+    try
+    {
+        const range=parseDateRange(req.query);
+        if (range.error)
+        {
+            return res.status(400).json({success: false, message: range.error});
+        }
+
+        const usage=await getUsageReport({userId: req.user.id}, {...range, groupBy: "roomId"});
+
+        return res.status(200).json({
+            success: true,
+            message: "Usage fetched successfully",
+            usage,
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching user usage:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching usage",
+            error: error.message,
+        });
+    }
+};
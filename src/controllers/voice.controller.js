@@ -0,0 +1,119 @@
+import userModel from "../model/user.model.js";
+import {findVoice, getVoiceCatalog, listVoices, previewVoice} from "../translation/voice.manager.js";
+import {setSpeakerVoice} from "../mediasoup/translation.manager.js";
+
+const MAX_PREVIEW_TEXT_LENGTH=200;
+
+export const getVoices=async (req, res) =>
+{
+    try
+    {
+        const {language}=req.query;
+
+        return res.status(200).json({
+            success: true,
+            message: "Voices fetched successfully",
+            voices: language? {[language]: await listVoices(language)}:await getVoiceCatalog(),
+        });
+    } catch (error)
+    {
+        console.error("Error in fetching voices:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while fetching voices",
+            error: error.message,
+        });
+    }
+};
+
+export const updateVoice=async (req, res) =>
+{
+    try
+    {
+        const {voice}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!voice||typeof voice!=="string")
+        {
+            return res.status(400).json({success: false, message: "Voice is required"});
+        }
+        if (!await findVoice(voice))
+        {
+            return res.status(400).json({success: false, message: `Unknown voice: ${voice}`});
+        }
+
+        // 2️⃣ Save it
+        const user=await userModel.findByIdAndUpdate(
+            req.user.id,
+            {$set: {preferred_voice: voice}},
+            {new: true}
+        );
+        if (!user)
+        {
+            return res.status(404).json({success: false, message: "User not found"});
+        }
+
+        // 3️⃣ Meetings they're speaking in use it from the next sentence
+        setSpeakerVoice(req.user.id, voice);
+
+        return res.status(200).json({
+            success: true,
+            message: "Voice updated successfully",
+            user,
+        });
+    } catch (error)
+    {
+        console.error("Error in updating voice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while updating voice",
+            error: error.message,
+        });
+    }
+};
+
+export const getVoicePreview=async (req, res) =>
+{
+    try
+    {
+        const {voice, language, text}=req.body||{};
+
+        // 1️⃣ Validate input
+        if (!voice||typeof voice!=="string")
+        {
+            return res.status(400).json({success: false, message: "Voice is required"});
+        }
+        if (!await findVoice(voice))
+        {
+            return res.status(400).json({success: false, message: `Unknown voice: ${voice}`});
+        }
+        if (text!==undefined&&(typeof text!=="string"||text.length>MAX_PREVIEW_TEXT_LENGTH))
+        {
+            return res.status(400).json({success: false, message: `Preview text must be at most ${MAX_PREVIEW_TEXT_LENGTH} characters`});
+        }
+
+        // 2️⃣ Synthesize a sample
+        const preview=await previewVoice({voice, language, text});
+
+        return res.status(200).json({
+            success: true,
+            message: "Voice preview generated successfully",
+            preview: {
+                voice: preview.voice,
+                language: preview.language,
+                text: preview.text,
+                codec: "audio/opus",
+                frameDurationMs: 20,
+                frames: preview.frames.map((frame) => frame.toString("base64")),
+            },
+        });
+    } catch (error)
+    {
+        console.error("Error in previewing voice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error while previewing voice",
+            error: error.message,
+        });
+    }
+};
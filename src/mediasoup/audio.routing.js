@@ -0,0 +1,88 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// mediasoup/audio.routing.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Decide which audio each listener hears (room.controller.js
+// creates and repoints the consumers)
+//
+// PARAMETERS (all functions):
+// - listener: The consuming peer ({ targetLanguage, audioMixMode, interpreter })
+// - source: The producer they asked for ({ kind, peerId, appData }), if known
+// - speaker: The peer who produces it, if still in the room
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: chooseListenerAudio
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Serve the speaker's audio in the listener's language when possible
+//
+// PARAMETERS:
+// - producerId: The producer the listener asked for
+// - findTranslation(producerId, language, { mixed }): Translated producer id
+//   or null (translation.manager.js getTranslatedProducerId)
+//
+// RETURNS: { producerId, language, mix } - language null = the original
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const chooseListenerAudio=(listener, {producerId, source, speaker}, findTranslation) =>
+{
+    const original={producerId, language: null};
+
+    if (source?.kind!=="audio") return original;
+
+    if (listener.interpreter) return original;
+    // Interpreters work from what was actually said
+
+    if (listener.audioMixMode==="original") return original;
+
+    if (!speaker||speaker.languageSpoken===listener.targetLanguage) return original;
+
+    // ─── Mixed stream if they asked for it and it exists ───
+    if (listener.audioMixMode==="mixed")
+    {
+        const mixedProducerId=findTranslation(producerId, listener.targetLanguage, {mixed: true});
+        if (mixedProducerId) return {producerId: mixedProducerId, language: listener.targetLanguage, mix: "mixed"};
+    }
+
+    const translatedProducerId=findTranslation(producerId, listener.targetLanguage);
+    if (!translatedProducerId) return original;
+    // No translation (yet) → fall back to the original
+
+    return {producerId: translatedProducerId, language: listener.targetLanguage, mix: "translation"};
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: isAudioHeard
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Interpreter channels replace the floor audio, per language
+//
+// PARAMETERS:
+// - hasInterpretation(language): Is an interpreter live for that language?
+//
+// RETURNS: false when the consumer must stay paused (switched out)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const isAudioHeard=(listener, {source, speaker}, hasInterpretation) =>
+{
+    if (source?.kind!=="audio") return true;
+
+    // Interpreter channels only reach listeners of their language
+    if (source.appData?.source==="interpretation")
+    {
+        return !listener.interpreter&&source.appData.language===listener.targetLanguage;
+    }
+
+    if (listener.interpreter) return true;
+    // Interpreters always hear the floor
+
+    // Floor audio is switched out while an interpreter covers the listener's
+    // language - except speakers who already speak it
+    if (!speaker||speaker.languageSpoken===listener.targetLanguage) return true;
+
+    return !hasInterpretation(listener.targetLanguage);
+};
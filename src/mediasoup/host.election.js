@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// mediasoup/host.election.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Decide who hosts a live meeting (room.controller.js applies it)
+//
+// WHO HOSTS?
+// 1. The room's creator (Room.createdBy) whenever they are in the meeting
+// 2. Otherwise a co-host (Room.coHosts)
+// 3. Otherwise - only after the host left - whoever has been there longest
+// Bots never host. A guest who arrives first does NOT become host.
+//
+// PARAMETERS (all functions):
+// - config: { createdBy: userId, coHosts: Set of userIds } of the room
+// - peers: The peers in the meeting ({ userId, isBot, joinedAt })
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getHostRank
+// RETURNS: 0 = room creator, 1 = co-host, 2 = everyone else
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getHostRank=(config, userId) =>
+{
+    if (config?.createdBy===userId) return 0;
+    if (config?.coHosts.has(userId)) return 1;
+    return 2;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: sortHostCandidates
+// RETURNS: The peers who could host, best first: rank, then longest present
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const sortHostCandidates=(config, peers) =>
+    peers
+        .filter((peer) => peer&&!peer.isBot)
+        .sort((a, b) => getHostRank(config, a.userId)-getHostRank(config, b.userId)||a.joinedAt-b.joinedAt);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: pickOutrankingHost
+// PURPOSE: Someone joined / the co-hosts changed - should the host change?
+// RETURNS: The creator / co-host who outranks the current host, or null
+// (a guest never takes over here - only through pickNextHost)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const pickOutrankingHost=(config, peers, currentHostUserId) =>
+{
+    const best=sortHostCandidates(config, peers)[0];
+    if (!best||getHostRank(config, best.userId)===2) return null;
+
+    if (currentHostUserId&&getHostRank(config, currentHostUserId)<=getHostRank(config, best.userId)) return null;
+
+    return best.userId;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: pickNextHost
+// PURPOSE: The host left - who takes over?
+// RETURNS: The leaving host if they came back, else co-host first, else the
+// participant who has been there longest
+// (null = only bots left - nobody hosts)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const pickNextHost=(config, peers, leavingUserId) =>
+{
+    const candidates=sortHostCandidates(config, peers);
+    if (candidates.some((peer) => peer.userId===leavingUserId)) return leavingUserId;
+
+    return candidates[0]?.userId||null;
+};
@@ -0,0 +1,130 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// mediasoup/room.access.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Tie live meetings to the Room documents created over REST
+//
+// The Room in MongoDB is the single source of truth:
+// - Only existing, active rooms can be joined (the socket roomId IS Room._id)
+// - Only the creator and the room's participants may join
+//   (the creator adds participants: POST /api/participant/add-participant -
+//   people may add themselves only if room.settings.allowSelfJoin)
+// - Bots join on behalf of their key's owner, if the room allows bots
+// - room.settings decides capacity and the languages of first-time joiners
+// - Every join / leave is written to the Participant record
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import mongoose from "mongoose";
+import roomModel from "../model/room.model.js";
+import participantModel from "../model/participant.model.js";
+import {isSupportedLanguage} from "../translation/languages.js";
+
+const MAX_PARTICIPANTS_LIMIT=roomModel.schema.path("settings.maxParticipants").options.max;
+const MIN_PARTICIPANTS_LIMIT=roomModel.schema.path("settings.maxParticipants").options.min;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: isRoomMember
+// RETURNS: true for the creator and anyone who is a participant of the room
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const isRoomMember=async (room, userId) =>
+{
+    if (room.createdBy.toString()===userId) return true;
+    if (room.participants.some((participant) => participant.toString()===userId)) return true;
+
+    const participant=await participantModel.exists({roomId: room._id, userId});
+    return Boolean(participant);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: loadJoinableRoom
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - roomId: What the client sent to "joinRoom"
+// - user: socket.data.user
+//
+// RETURNS: { room } or { error } - the error is safe to show the client
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const loadJoinableRoom=async (roomId, user) =>
+{
+    if (!mongoose.isValidObjectId(roomId)) return {error: "Room not found"};
+
+    const room=await roomModel.findById(roomId).select("-glossary -summary");
+    if (!room||!room.isActive) return {error: "Room not found"};
+    // Same answer for both - ended rooms are as good as gone
+
+    if (!await isRoomMember(room, user.id)) return {error: "You are not a participant of this room"};
+
+    if (user.isBot&&!room.settings.allowBots) return {error: "Bots are not allowed in this room"};
+
+    return {room};
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: recordParticipantJoin
+// PURPOSE: Create / reopen the Participant record of a joining user
+// RETURNS: The Participant (its languages are the ones to use)
+// NOTE: Languages from the join payload only count the first time - after
+//       that the saved record wins
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const recordParticipantJoin=(room, userId, {languageSpoken, targetLanguage}={}) =>
+    participantModel.findOneAndUpdate(
+        {roomId: room._id, userId},
+        {
+            $set: {joinedAt: new Date()},
+            $unset: {leftAt: ""},
+            $setOnInsert: {
+                languageSpoken: languageSpoken||room.settings.languageSpoken,
+                targetLanguage: targetLanguage||room.settings.targetLanguage,
+            },
+        },
+        {upsert: true, new: true}
+    );
+
+export const recordParticipantLeave=(roomId, userId) =>
+    participantModel.updateOne({roomId, userId}, {$set: {leftAt: new Date()}});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: validateRoomSettings
+// PURPOSE: Check settings sent to create-room / update-room-settings
+// RETURNS: { settings } (only the known fields) or { error }
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const validateRoomSettings=(input) =>
+{
+    if (input===undefined) return {settings: {}};
+    if (!input||typeof input!=="object"||Array.isArray(input)) return {error: "Settings must be an object"};
+
+    const settings={};
+    const {maxParticipants, languageSpoken, targetLanguage, allowBots, allowSelfJoin}=input;
+
+    if (maxParticipants!==undefined)
+    {
+        if (!Number.isInteger(maxParticipants)||maxParticipants<MIN_PARTICIPANTS_LIMIT||maxParticipants>MAX_PARTICIPANTS_LIMIT)
+        {
+            return {error: `maxParticipants must be a whole number from ${MIN_PARTICIPANTS_LIMIT} to ${MAX_PARTICIPANTS_LIMIT}`};
+        }
+        settings.maxParticipants=maxParticipants;
+    }
+
+    for (const [field, value] of [["languageSpoken", languageSpoken], ["targetLanguage", targetLanguage]])
+    {
+        if (value===undefined) continue;
+        if (!isSupportedLanguage(value)) return {error: `Unsupported language for ${field}: ${value}`};
+        settings[field]=value;
+    }
+
+    for (const [field, value] of [["allowBots", allowBots], ["allowSelfJoin", allowSelfJoin]])
+    {
+        if (value===undefined) continue;
+        if (typeof value!=="boolean") return {error: `${field} must be true or false`};
+        settings[field]=value;
+    }
+
+    return {settings};
+};
@@ -11,9 +11,11 @@
 // 3. Manages producers (sending video/audio)
 // 4. Manages consumers (receiving video/audio)
 // 5. Handles chat, hand raise, and other features
+// 6. Routes translated audio and live captions by language
+// 7. Switches listeners to human interpreter channels
 //
 // FLOW OF A VIDEO CALL:
-// 1. User connects via Socket.IO
+// 1. User connects via Socket.IO (logged in - see socket/socket.auth.js)
 // 2. User emits "joinRoom" → Server creates router, returns capabilities
 // 3. User emits "createTransport" (send) → Server creates send transport
 // 4. User emits "createTransport" (recv) → Server creates receive transport
@@ -45,6 +47,10 @@ import
     // WHAT: Gets the router for a room (must already exist)
     // WHEN: Called during consume to check codec compatibility
 
+    getRoomData,
+    // WHAT: Gets the full room data (including who owns each producer)
+    // WHEN: Called during consume to find the speaker of an audio producer
+
     cleanupRoom,
     // WHAT: Closes the router and frees resources for a room
     // WHEN: Called when last person leaves a room
@@ -64,20 +70,78 @@ import
     getRoomStats,
     // WHAT: Gets statistics about a room (peer count, etc.)
     // WHEN: Called for monitoring/debugging
-
-    isRoomFull,
-    // WHAT: Checks if room has reached maximum capacity
-    // WHEN: Called before allowing someone to join
 } from "./router.manager.js";
 
 import {createWebRtcTransport, connectTransport} from "./transport.manager.js";
 // createWebRtcTransport: Creates a new WebRTC transport (connection tunnel)
 // connectTransport: Completes the DTLS handshake to secure the connection
 
-import jwt from "jsonwebtoken";
-// WHAT: Library for JSON Web Tokens
-// WHY: We verify JWT tokens to authenticate users
-// Users send their token when joining, we verify it's valid
+import
+{
+    startAudioTranslation,
+    // WHAT: Taps an audio producer and publishes translated versions of it
+    // WHEN: Called when someone starts sharing their mic
+
+    addTranslationLanguage,
+    // WHAT: Adds a target language to every speaker in a room
+    // WHEN: Called when a listener with a new target language joins
+
+    stopAudioTranslation,
+    // WHAT: Stops translating one producer
+    // WHEN: Called when a mic producer closes
+
+    stopRoomTranslations,
+    // WHAT: Stops every translation pipeline in a room
+    // WHEN: Called when the room is cleaned up
+
+    getRoomTranslations,
+    // WHAT: Lists translated producers in a room
+    // WHEN: Called when someone joins, so they know what translations exist
+
+    getTranslatedProducerId,
+    // WHAT: Finds the translated version of a producer in one language
+    // WHEN: Called during consume to route listeners to their language
+
+    translationEvents,
+    // WHAT: Emits "producer" / "producerclose" for translated audio
+} from "./translation.manager.js";
+
+import {fanOutCaption} from "../translation/caption.manager.js";
+// fanOutCaption: Sends a transcript to each socket in its own language
+
+import {saveTranscriptSegment} from "../translation/transcript.manager.js";
+// saveTranscriptSegment: Persists final captions so the transcript survives the meeting
+
+import {generateMeetingSummary} from "../translation/summary.manager.js";
+// generateMeetingSummary: Summary + action items once the meeting is over
+
+import {detectLanguage, translateRoomText} from "../translation/text.translator.js";
+// detectLanguage / translateRoomText: Chat message translation (cached, glossary, metered)
+
+import {QuotaExceededError, getQuotaStatus, isTranslationAllowed, usageEvents} from "../translation/usage.manager.js";
+// Usage metering: rooms over their monthly quota stop being translated
+
+import mongoose from "mongoose";
+import participantModel from "../model/participant.model.js";
+// WHY: Participant records hold languageSpoken / targetLanguage
+
+import {loadJoinableRoom, recordParticipantJoin, recordParticipantLeave} from "./room.access.js";
+// WHAT: Meetings only happen in Room documents created over REST
+// WHY: Checks the room is active and the user may join, records joins/leaves
+
+import {getHostRank, pickNextHost, pickOutrankingHost, sortHostCandidates} from "./host.election.js";
+// WHAT: Who hosts a meeting (creator, co-hosts, then whoever is there longest)
+
+import {chooseListenerAudio, isAudioHeard} from "./audio.routing.js";
+// WHAT: Which audio each listener hears (original, translation, mixed or
+// an interpreter)
+
+import userModel from "../model/user.model.js";
+// WHY: User.preferred_language decides what language chat is shown in
+
+import {isSupportedLanguage} from "../translation/languages.js";
+// WHY: Every language a client asks for starts translation pipelines -
+// only the ones we support are accepted
 
 // ─────────────────────────────────────────────────────────────────────────────
 // GLOBAL DATA STRUCTURES - Store all active connections and rooms
@@ -108,16 +172,54 @@ const rooms=new Map();
 // WHY Set? Fast add/remove, no duplicates, easy iteration
 
 const roomOwners=new Map();
-// WHAT: Tracks who created/owns each room
-// STRUCTURE: roomId (string) → socketId (string)
+// WHAT: Tracks who hosts each room right now
+// STRUCTURE: roomId (string) → userId (string)
 //
 // EXAMPLE:
 // roomOwners = {
-//   "room-abc": "socket123",  // socket123 is the host
-//   "room-xyz": "socket111",  // socket111 is the host
+//   "room-abc": "user-1",  // user-1 is the host (on every device they use)
+//   "room-xyz": "user-7",  // user-7 is the host
+// }
+//
+// WHO HOSTS? See host.election.js (applied by reviewHost / handOverHost)
+//
+// WHY userId (not socketId)? A host who refreshes the tab is still the host
+// WHY: Only the host can end the meeting for everyone
+
+const roomHostConfig=new Map();
+// WHAT: Who may host each live room, from its Room document
+// STRUCTURE: roomId (string) → { createdBy: userId, coHosts: Set of userIds }
+// Refreshed on every join and by setRoomCoHosts()
+
+const hostTransferTimers=new Map();
+// WHAT: Host hand-overs waiting for a disconnected host to come back
+// STRUCTURE: roomId (string) → Timeout
+
+const HOST_RECONNECT_GRACE_MS=Number(process.env.HOST_RECONNECT_GRACE_SECONDS??15)*1000;
+// A host who drops (tab refresh, network blip) has this long to come back
+// before someone else becomes host - "leaveRoom" hands over right away
+
+const roomInterpreters=new Map();
+// WHAT: Interpreters the host assigned in each room
+// STRUCTURE: roomId (string) → Map of userId → { from, to }
+//
+// EXAMPLE:
+// roomInterpreters = {
+//   "room-abc": Map { "user-42" => { from: "en", to: "fr" } },
 // }
 //
-// WHY: Only the owner can end the meeting for everyone
+// WHY userId (not socketId)? The assignment survives a reconnect
+
+const AUDIO_MIX_MODES=["original", "translation", "mixed"];
+// What a listener hears from speakers of other languages:
+// - "original":    Only the speaker's own voice
+// - "translation": Only the translated speech (default)
+// - "mixed":       The translation with the original ducked underneath
+//                  (TRANSLATION_DUCKING_GAIN - see translation/audio.mixer.js)
+
+const DEFAULT_LANGUAGE_SPOKEN=participantModel.schema.path("languageSpoken").defaultValue;
+const DEFAULT_TARGET_LANGUAGE=participantModel.schema.path("targetLanguage").defaultValue;
+// Same defaults as the Participant model ("en" / "hi")
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CLASS: PeerData
@@ -135,6 +237,8 @@ const roomOwners=new Map();
 // - producers: Their active media streams they're sending (Map)
 // - consumers: Media streams they're receiving from others (Map)
 // - Various status flags (audio, video, hand raised, etc.)
+// - languageSpoken / targetLanguage: What they speak and want to hear
+// - interpreter: Their language pair, if they interpret
 //
 // ANALOGY:
 // Like a name badge at a conference that tracks:
@@ -216,8 +320,48 @@ class PeerData
 
         this.isOwner=isOwner;
         // WHAT: Is this user the room owner/host?
-        // First person to join becomes owner
+        // Kept in sync with roomOwners by setHost()
         // Owner can end meeting for everyone
+
+        this.languageSpoken=DEFAULT_LANGUAGE_SPOKEN;
+        // WHAT: The language this user speaks (their mic is translated FROM it)
+        // Loaded from their Participant record when joining
+
+        this.targetLanguage=DEFAULT_TARGET_LANGUAGE;
+        // WHAT: The language this user wants to hear
+        // Speakers are translated INTO it
+
+        this.consumerSources=new Map();
+        // WHAT: Which producer the client ASKED for, per consumer
+        // STRUCTURE: consumerId → { sourceProducerId, language }
+        // language is null when the consumer plays the original audio
+        // WHY: The consumer may play a translated producer instead
+
+        this.rtpCapabilities=null;
+        // WHAT: The client's codec capabilities (from their last consume)
+        // WHY: Needed to re-create consumers when their language changes
+
+        this.repointing=Promise.resolve();
+        // Consumer re-pointing runs one batch at a time per peer
+
+        this.isCaptionsEnabled=false;
+        // WHAT: Does this user want live captions?
+        // Off by default, toggled with "toggleCaptions"
+
+        this.preferredLanguage=null;
+        // WHAT: User.preferred_language from their account
+        // Chat messages are translated into it (targetLanguage if unset)
+
+        this.interpreter=null;
+        // WHAT: { from, to } when the host made this user an interpreter
+        // Their mic becomes the "to" language channel instead of floor audio
+
+        this.audioMixMode="translation";
+        // WHAT: One of AUDIO_MIX_MODES, changed with "setAudioMixMode"
+
+        this.isBot=false;
+        // WHAT: Joined with an API key rather than a login
+        // Bots never become the host
     }
 
     // ─────────────────────────────────────────────────────────────────────
@@ -260,6 +404,24 @@ class PeerData
 
             isOwner: this.isOwner,
             // Are they the host?
+
+            languageSpoken: this.languageSpoken,
+            // What they speak
+
+            targetLanguage: this.targetLanguage,
+            // What they want to hear
+
+            isCaptionsEnabled: this.isCaptionsEnabled,
+            // Are captions on?
+
+            interpreter: this.interpreter,
+            // { from, to } if they are interpreting, else null
+
+            audioMixMode: this.audioMixMode,
+            // "original" / "translation" / "mixed"
+
+            isBot: this.isBot,
+            // Joined with an API key (recorder, translator ...)
         };
     }
 }
@@ -285,6 +447,120 @@ export function roomController(io)
     // "export" makes this function available to other files
     // "io" is the Socket.IO server object
 
+    // ─────────────────────────────────────────────────────────────────────
+    // Tell rooms about translated audio producers
+    // ─────────────────────────────────────────────────────────────────────
+    translationEvents.on("producer", ({roomId, ...translation}) =>
+    {
+        io.to(roomId).emit("translatedProducer", translation);
+
+        // Listeners of this language switch from the original to it
+        for (const peerId of rooms.get(roomId)||[])
+        {
+            const peer=peers.get(peerId);
+            if (peer?.targetLanguage===translation.language)
+            {
+                repointAudioConsumers(peer);
+            }
+        }
+    });
+
+    translationEvents.on("producerclose", ({roomId, ...translation}) =>
+    {
+        io.to(roomId).emit("translatedProducerClosed", translation);
+    });
+
+    // ─────────────────────────────────────────────────────────────────────
+    // A speaker turned out to speak another language
+    // ─────────────────────────────────────────────────────────────────────
+    translationEvents.on("languagedetected", ({roomId, peerId, language, previousLanguage, confidence}) =>
+    {
+        const speaker=peers.get(peerId);
+        if (!speaker||speaker.roomId!==roomId) return;
+
+        speaker.languageSpoken=language;
+        saveParticipantLanguages(speaker);
+
+        io.to(roomId).emit("participantLanguageChanged", {
+            peerId,
+            languageSpoken: language,
+            previousLanguage,
+            targetLanguage: speaker.targetLanguage,
+            detected: true,
+            confidence,
+        });
+
+        // ─── Listeners of the OLD language now need a translation ───
+        // (producer events re-point their consumers once it exists)
+        for (const mode of ["translation", "mixed"])
+        {
+            for (const target of getRoomTargetLanguages(roomId, mode))
+            {
+                addTranslationLanguage(roomId, target, {mixed: mode==="mixed"}).catch((err) =>
+                {
+                    console.error(`Could not add translation to ${target}:`, err.message);
+                });
+            }
+        }
+
+        applyInterpretation(roomId);
+        // Listeners of the new language no longer need the interpreter for them
+
+        console.log(`🌐 ${speaker.userName} detected speaking ${language} (was ${previousLanguage})`);
+    });
+
+    // ─────────────────────────────────────────────────────────────────────
+    // Monthly quota used up: stop translating the room, tell everyone
+    // ─────────────────────────────────────────────────────────────────────
+    usageEvents.on("quotaexceeded", ({roomId, metric, used, limit, resetsAt}) =>
+    {
+        stopRoomTranslations(roomId);
+        // Listeners fall back to the original audio (producerclose)
+
+        io.to(roomId).emit("translationDisabled", {
+            reason: "quota",
+            metric,
+            used,
+            limit,
+            resetsAt,
+        });
+
+        console.log(`💸 Room ${roomId} is over its ${metric} quota (${used}/${limit}) - translation off`);
+    });
+
+    // ─────────────────────────────────────────────────────────────────────
+    // Live captions: each socket gets them in its own target language
+    // ─────────────────────────────────────────────────────────────────────
+    translationEvents.on("transcript", (transcript) =>
+    {
+        const recipients=[];
+        for (const peerId of rooms.get(transcript.roomId)||[])
+        {
+            const peer=peers.get(peerId);
+            if (peer?.isCaptionsEnabled)
+            {
+                recipients.push({socket: peer.socket, targetLanguage: peer.targetLanguage});
+            }
+        }
+
+        fanOutCaption(transcript, recipients).catch((err) =>
+        {
+            console.error(`Caption fan-out failed for ${transcript.segmentId}:`, err.message);
+        });
+
+        // ─── Final captions become the meeting transcript ───
+        if (transcript.isFinal)
+        {
+            saveTranscriptSegment(transcript, {
+                speakerId: transcript.userId,
+                meetingStartedAt: getRoomData(transcript.roomId)?.createdAt,
+            }).catch((err) =>
+            {
+                console.error(`Could not save transcript segment ${transcript.segmentId}:`, err.message);
+            });
+        }
+    });
+
     // ─────────────────────────────────────────────────────────────────────
     // Listen for new connections
     // ─────────────────────────────────────────────────────────────────────
@@ -304,9 +580,11 @@ export function roomController(io)
         // WHEN: Client wants to join a video call room
         //
         // CLIENT SENDS:
-        // - token: JWT token for authentication
         // - roomId: Which room to join
+        //   (no token - the socket was authenticated at the handshake)
         // - userName: Display name (optional)
+        // - languageSpoken / targetLanguage: Used when there is no
+        //   Participant record for this room (optional)
         //
         // SERVER RETURNS (via callback):
         // - routerRtpCapabilities: Codec info needed for WebRTC
@@ -314,56 +592,80 @@ export function roomController(io)
         // - existingProducers: Video/audio streams already active
         // - peerId: The user's socket ID
         // - isOwner: Whether they're the room owner
+        // - hostUserId: Who hosts right now ("hostChanged" tells of changes)
+        // - translatedProducers: Translated audio already available
+        // - interpreter / interpreters: Interpreter assignments
+        // - isTranslationEnabled: false when the monthly quota is used up
         //
         // FLOW:
-        // 1. Verify JWT token
-        // 2. Check room capacity
-        // 3. Create/get router for room
-        // 4. Create peer data
-        // 5. Notify others about new participant
-        // 6. Return room info to client
+        // 1. Take the user from the handshake (socket.data.user)
+        // 2. Check the Room document (exists, active, they're a member)
+        // 3. Check room capacity (room.settings.maxParticipants)
+        // 4. Create/get router for room
+        // 5. Create peer data + record the Participant join
+        // 6. Notify others about new participant
+        // 7. Return room info to client
         //
         // ═══════════════════════════════════════════════════════════════════
 
-        socket.on("joinRoom", async ({token, roomId, userName}, callback) =>
+        socket.on("joinRoom", async ({roomId, userName, languageSpoken, targetLanguage}, callback) =>
         {
             // "async" because we need to await router creation
-            // Destructure the data: { token, roomId, userName }
+            // Destructure the data: { roomId, userName }
             // "callback" is a function to send response back to client
 
             try
             {
-                // ─── Step 1: Verify JWT token ───
-                const decoded=jwt.verify(token, process.env.JWT_SECRET);
-                // jwt.verify() decodes the token and checks if it's valid
-                // If invalid, it throws an error (caught by catch block)
-                // "decoded" contains the payload, like { id: "user123", email: "..." }
+                // ─── Step 1: Who is this? ───
+                const user=socket.data.user;
+                // Set by the handshake middleware (socket/socket.auth.js) -
+                // the token was checked before the socket even connected,
+                // and the socket is dropped when it expires or is revoked
+                // user = { id, sid, keyId, name, isBot, expiresAt }
 
-                const userId=decoded.id;
-                // Extract the user ID from the decoded token
+                const userId=user?.id;
+                // The user ID (for bots: the owner of their API key)
 
                 if (!userId)
                 {
-                    // If no user ID in token, reject
+                    // Can't happen after the handshake - but never trust it blindly
                     return callback({error: "Unauthorized"});
                     // callback with error object - client will see this
                 }
 
-                // ─── Step 2: Check room capacity ───
-                if (isRoomFull(roomId, 150))
+                for (const language of [languageSpoken, targetLanguage])
+                {
+                    if (language&&!isSupportedLanguage(language))
+                    {
+                        return callback({error: `Unsupported language: ${language}`});
+                    }
+                }
+                // Left out = the saved / room's default languages (below)
+
+                // ─── Step 2: Is this a room they may join? ───
+                const {room, error}=await loadJoinableRoom(roomId, user);
+                // The Room document must exist, be active, and list them
+                // (creator or participant) - see room.access.js
+                if (error) return callback({error});
+
+                roomId=room._id.toString();
+                // The canonical id - "ABC..." and "abc..." are the same room
+
+                // ─── Step 3: Check room capacity ───
+                if ((rooms.get(roomId)?.size||0)>=room.settings.maxParticipants)
                 {
-                    // isRoomFull(roomId, maxPeers) returns true if room is at capacity
-                    // 150 = maximum allowed users per room
+                    // room.settings.maxParticipants = what the creator allows
+                    // (counted from our own room tracking below)
                     return callback({error: "Room is full"});
                 }
 
-                // ─── Step 3: Create or get router for room ───
+                // ─── Step 4: Create or get router for room ───
                 const router=await getOrCreateRouter(roomId);
                 // If room exists, gets existing router
                 // If room is new, creates a new router on least-loaded worker
                 // "await" because router creation is async
 
-                // ─── Step 4: Track room membership ───
+                // ─── Step 5: Track room membership ───
                 if (!rooms.has(roomId))
                 {
                     // If this room doesn't exist in our tracking yet
@@ -371,27 +673,55 @@ export function roomController(io)
                     // Create a new Set to store socket IDs for this room
                 }
 
-                // ─── Step 5: Determine if this user is the owner ───
-                const isOwner=!roomOwners.has(roomId);
-                // If roomOwners doesn't have this room, no one has claimed it yet
-                // So this user (first to join) becomes the owner
+                // ─── Step 6: Remember who may host this room ───
+                roomHostConfig.set(roomId, {
+                    createdBy: room.createdBy.toString(),
+                    coHosts: new Set((room.coHosts||[]).map(String)),
+                });
+                // From the Room document - so host rights follow the user,
+                // not whoever happened to join first
+
+                // ─── Step 7: Create peer data structure ───
+                const peer=new PeerData(socket, roomId, userId, userName||user.name);
+                // Create a PeerData object with all the user's info
+                // (isOwner is decided once they are in the room, below)
+
+                peer.isBot=user.isBot;
+                // Joined with an API key (recorder, translator ...)
 
-                if (isOwner)
+                if (user.isBot)
+                {
+                    peer.languageSpoken=languageSpoken||room.settings.languageSpoken;
+                    peer.targetLanguage=targetLanguage||room.settings.targetLanguage;
+                    // Bots aren't people - no Participant record for them
+                } else
                 {
-                    roomOwners.set(roomId, socket.id);
-                    // Record this socket as the room owner
+                    const participant=await recordParticipantJoin(room, userId, {languageSpoken, targetLanguage});
+                    peer.languageSpoken=participant.languageSpoken;
+                    peer.targetLanguage=participant.targetLanguage;
+                    // Records the join; the saved languages win over the payload
+                    // (first-timers: payload, else the room's default languages)
                 }
+                // What they speak / want to hear (drives translation)
+
+                peer.preferredLanguage=await loadPreferredLanguage(userId);
+                // What language they read chat in
+
+                peer.interpreter=roomInterpreters.get(roomId)?.get(userId)||null;
+                // Interpreters who reconnect keep their booth
 
-                // ─── Step 6: Create peer data structure ───
-                const peer=new PeerData(socket, roomId, userId, userName, isOwner);
-                // Create a PeerData object with all the user's info
                 peers.set(socket.id, peer);
                 // Store in our peers Map for later lookup
 
                 rooms.get(roomId).add(socket.id);
                 // Add this socket to the room's Set of participants
 
-                // ─── Step 7: Join Socket.IO room ───
+                claimHostOnJoin(peer);
+                // The creator / a co-host takes over from a lesser host
+                // ("hostChanged"); a returning host simply is host again
+                const isOwner=peer.isOwner;
+
+                // ─── Step 8: Join Socket.IO room ───
                 socket.join(roomId);
                 // socket.join() is a Socket.IO feature
                 // It adds this socket to a "room" for easy broadcasting
@@ -402,22 +732,32 @@ export function roomController(io)
 
                 console.log(`User ${userId} joined room ${roomId} (${peerCount} peers)${isOwner? " [OWNER]":""}`);
 
-                // ─── Step 8: Get existing participants for the new joiner ───
+                // ─── Step 9: Get existing participants for the new joiner ───
                 const existingParticipants=getParticipantsInRoom(roomId, socket.id);
                 // Get list of all participants except the new joiner
                 // So new joiner knows who's already in the room
 
-                // ─── Step 9: Notify others about new participant ───
+                // ─── Step 10: Notify others about new participant ───
                 socket.to(roomId).emit("participantJoined", peer.toPublicData());
                 // socket.to(roomId) = everyone in the room EXCEPT this socket
                 // .emit("participantJoined", ...) = send event with peer's public data
 
-                // ─── Step 10: Get existing producers (streams) ───
+                // ─── Step 11: Get existing producers (streams) ───
                 const existingProducers=getOtherProducers(roomId, socket.id);
                 // Get all active video/audio streams in the room
                 // So new joiner can start consuming them
 
-                // ─── Step 11: Send response to client ───
+                const quota=await getQuotaStatus(roomId);
+                // Loads this month's usage, so the quota check below is accurate
+
+                // ─── Step 12: Translate speakers into this user's language ───
+                addTranslationLanguage(roomId, peer.targetLanguage).catch((err) =>
+                {
+                    console.error(`Could not add translation language ${peer.targetLanguage}:`, err.message);
+                });
+                // Runs in the background - "translatedProducer" events follow
+
+                // ─── Step 13: Send response to client ───
                 callback({
                     routerRtpCapabilities: router.rtpCapabilities,
                     // RTP capabilities = what codecs the router supports
@@ -434,6 +774,19 @@ export function roomController(io)
 
                     isOwner: isOwner,
                     // Whether they're the room owner
+
+                    hostUserId: roomOwners.get(roomId)||null,
+                    // Who hosts right now (null until the creator / a co-host arrives)
+
+                    translatedProducers: getRoomTranslations(roomId),
+                    // Translated audio that already exists
+
+                    interpreter: peer.interpreter,
+                    interpreters: getInterpreters(roomId),
+                    // Their own interpreter assignment + every booth in the room
+
+                    isTranslationEnabled: !quota?.exceeded,
+                    // false = the room used up its monthly translation quota
                 });
 
             } catch (err)
@@ -620,6 +973,13 @@ export function roomController(io)
                 const transport=peer.sendTransports.get(transportId);
                 if (!transport) return callback({error: "Send transport not found"});
 
+                // ─── An interpreter's mic is a language channel ───
+                const isInterpretation=kind==="audio"&&peer.interpreter&&appData?.source!=="screen";
+                if (isInterpretation)
+                {
+                    appData={...appData, source: "interpretation", language: peer.interpreter.to};
+                }
+
                 // ─── Create the producer on the transport ───
                 const producer=await transport.produce({
                     kind,
@@ -656,7 +1016,7 @@ export function roomController(io)
                 }
 
                 // ─── Register producer in room for tracking ───
-                registerProducer(peer.roomId, producer.id, socket.id, kind, peer.userName);
+                registerProducer(peer.roomId, producer.id, socket.id, kind, peer.userName, appData);
                 // This allows new joiners to know about this producer
 
                 console.log(`🎥 Producer created: ${producer.id} (${kind})`);
@@ -679,12 +1039,44 @@ export function roomController(io)
 
                     // Notify others that this producer is gone
                     notifyProducerClosed(peer.roomId, socket.id, producer.id);
+
+                    stopAudioTranslation(producer.id);
+                    // No more speech to translate
+
+                    if (isInterpretation) applyInterpretation(peer.roomId);
                 });
 
                 // ─── Notify room about new producer ───
                 notifyNewProducer(peer.roomId, socket.id, producer.id, kind, appData);
                 // Tell everyone else there's a new stream they can consume
 
+                // ─── Listeners of the interpreter's language switch to it ───
+                if (isInterpretation)
+                {
+                    applyInterpretation(peer.roomId);
+                    console.log(`🎧 Interpreter ${peer.userName} live on ${peer.interpreter.to}`);
+                }
+
+                // ─── Translate microphone audio ───
+                // (not interpreters - a human already did that)
+                if (kind==="audio"&&!isInterpretation&&isTranslationAllowed(peer.roomId))
+                {
+                    loadPreferredVoice(peer.userId).then((voice) => !producer.closed&&startAudioTranslation(peer.roomId, producer, {
+                        peerId: socket.id,
+                        userId: peer.userId,
+                        userName: peer.userName,
+                        sourceLanguage: peer.languageSpoken,
+                        targetLanguages: getRoomTargetLanguages(peer.roomId),
+                        mixedLanguages: getRoomTargetLanguages(peer.roomId, "mixed"),
+                        voice,
+                        // Read fresh: the user may have changed it since joining
+                    })).catch((err) =>
+                    {
+                        console.error(`Could not start translation for ${producer.id}:`, err.message);
+                    });
+                    // Not awaited: the speaker's own audio must not wait for it
+                }
+
                 callback({id: producer.id});
                 // Return producer ID to client
 
@@ -710,6 +1102,14 @@ export function roomController(io)
         // - producerId: Which producer this is for
         // - kind: "audio" or "video"
         // - rtpParameters: Codec info for playback
+        // - translatedProducerId / language: Set when the listener gets
+        //   the translated audio instead of the original (else null)
+        //
+        // LANGUAGE ROUTING:
+        // - Audio from a speaker whose languageSpoken differs from the
+        //   listener's targetLanguage is served from the translated producer
+        // - No translation available yet? The original is served, and the
+        //   consumer is re-pointed later ("consumerRepointed")
         //
         // WHAT IS A CONSUMER?
         // - Represents media being RECEIVED by client from server
@@ -725,93 +1125,17 @@ export function roomController(io)
                 const peer=peers.get(socket.id);
                 if (!peer) return callback({error: "Peer not found"});
 
-                // ─── Get the router ───
-                const router=getRouter(peer.roomId);
-                if (!router) return callback({error: "Router not found"});
-
                 console.log(`Consume request: producerId=${producerId}, roomId=${peer.roomId}`);
 
-                // ─── Check if client can consume this producer ───
-                const canConsume=router.canConsume({producerId, rtpCapabilities});
-                // canConsume() checks:
-                // 1. Does this producer exist on this router?
-                // 2. Can the client's codecs decode this producer's codec?
-
-                console.log(`canConsume: ${canConsume}`);
-
-                if (!canConsume)
-                {
-                    console.log(`Cannot consume producer ${producerId} - checking if producer exists on router`);
-                    return callback({error: "Cannot consume - codec mismatch or producer not found"});
-                }
-
-                // ─── Get receive transport ───
-                const recvTransport=[...peer.recvTransports.values()][0];
-                // Get the first (usually only) receive transport
-                // [...Map.values()] converts Map values to array
-
-                if (!recvTransport)
-                {
-                    return callback({error: "No receive transport available"});
-                }
-
-                // ─── Create consumer ───
-                const consumer=await recvTransport.consume({
-                    producerId,
-                    // Which producer to consume
-
-                    rtpCapabilities,
-                    // Client's codec capabilities
-
-                    paused: true,
-                    // Start paused - client will resume after setup
-                    // WHY: Prevents media arriving before client is ready
-                    // This is a performance optimization
-                });
-
-                // ─── Store consumer ───
-                peer.consumers.set(consumer.id, consumer);
-
-                console.log(`Consumer created: ${consumer.id} for producer ${producerId}`);
-
-                // ─── Handle consumer events ───
-                consumer.on("transportclose", () =>
-                {
-                    // Transport closed, consumer is done
-                    console.log(`Consumer transport closed: ${consumer.id}`);
-                    peer.consumers.delete(consumer.id);
-                });
-
-                consumer.on("producerclose", () =>
-                {
-                    // The producer we're consuming was closed
-                    console.log(`Consumer producer closed: ${consumer.id}`);
-                    peer.consumers.delete(consumer.id);
-
-                    // Tell client this consumer is done
-                    socket.emit("consumerClosed", {consumerId: consumer.id});
-                });
-
-                consumer.on("producerpause", () =>
-                {
-                    // Producer paused (user muted)
-                    socket.emit("consumerPaused", {consumerId: consumer.id});
-                });
+                peer.rtpCapabilities=rtpCapabilities;
+                // Remember for re-pointing consumers later
 
-                consumer.on("producerresume", () =>
-                {
-                    // Producer resumed (user unmuted)
-                    socket.emit("consumerResumed", {consumerId: consumer.id});
-                });
+                // ─── Create consumer (original or translated audio) ───
+                const {params}=await createPeerConsumer(peer, producerId, rtpCapabilities);
+                // Throws if router/transport is missing or codecs don't match
 
                 // ─── Return consumer info to client ───
-                callback({
-                    id: consumer.id,
-                    producerId,
-                    kind: consumer.kind,
-                    rtpParameters: consumer.rtpParameters,
-                    producerPaused: consumer.producerPaused,
-                });
+                callback(params);
 
             } catch (err)
             {
@@ -844,6 +1168,16 @@ export function roomController(io)
                 const consumer=peer.consumers.get(consumerId);
                 if (!consumer) return callback({error: "Consumer not found"});
 
+                const source=peer.consumerSources.get(consumerId);
+                if (source) source.resumedByClient=true;
+
+                // ─── Switched out for an interpreter: stays paused ───
+                if (source&&!source.isHeard)
+                {
+                    return callback({resumed: false, switchedOff: true});
+                    // Resumed by applyInterpretation() when it's needed again
+                }
+
                 // ─── Resume the consumer ───
                 await consumer.resume();
                 // Now media will flow from producer → consumer → client
@@ -1000,6 +1334,14 @@ export function roomController(io)
                 unregisterProducer(peer.roomId, producerId);
                 // Remove from room's producer list
 
+                stopAudioTranslation(producerId);
+
+                if (producer.appData?.source==="interpretation")
+                {
+                    applyInterpretation(peer.roomId);
+                    // Listeners go back to the floor audio
+                }
+
                 console.log(`🎥 Producer closed by client: ${producerId}`);
 
                 callback({closed: true});
@@ -1034,6 +1376,10 @@ export function roomController(io)
                 await consumer.pause();
                 // Stop receiving this stream (saves bandwidth)
 
+                const source=peer.consumerSources.get(consumerId);
+                if (source) source.resumedByClient=false;
+                // Interpreter switching must not un-pause it
+
                 console.log(`Consumer paused: ${consumerId}`);
 
                 callback({paused: true});
@@ -1114,8 +1460,12 @@ export function roomController(io)
         //
         // FLOW:
         // 1. Receive message from sender
-        // 2. Add metadata (who, when)
-        // 3. Broadcast to everyone in room
+        // 2. Add metadata (who, when, detected source language)
+        // 3. Send to everyone in room, each with a translation into their
+        //    preferred_language (or targetLanguage)
+        //
+        // "message" always stays the ORIGINAL text, so clients can offer
+        // "show original"; "translation" is null when no translation is needed
         //
         // ═══════════════════════════════════════════════════════════════════
 
@@ -1126,6 +1476,15 @@ export function roomController(io)
                 const peer=peers.get(socket.id);
                 if (!peer) return callback({error: "Peer not found"});
 
+                if (typeof message!=="string"||!message.trim())
+                {
+                    return callback({error: "Message is required"});
+                }
+
+                // ─── Detect what language it was written in ───
+                const {language: sourceLanguage}=await detectLanguage(message, peer.languageSpoken);
+                // Falls back to what the sender speaks if detection fails
+
                 // ─── Create chat message object ───
                 const chatMessage={
                     id: Date.now().toString(),
@@ -1138,16 +1497,37 @@ export function roomController(io)
                     // Their display name
 
                     message,
-                    // The actual message text
+                    // The actual message text (original, never translated)
+
+                    sourceLanguage,
+                    // Language the message was written in
 
                     timestamp: Date.now(),
                     // When it was sent
                 };
 
-                // ─── Broadcast to everyone in room (including sender) ───
-                io.to(peer.roomId).emit("newChatMessage", chatMessage);
-                // io.to() sends to ALL sockets in the room (including sender)
-                // Different from socket.to() which excludes sender
+                // ─── Translate into every language needed, in parallel ───
+                const recipients=[...(rooms.get(peer.roomId)||[])]
+                    .map((recipientId) => peers.get(recipientId))
+                    .filter(Boolean);
+
+                const languages=[...new Set(recipients.map((recipient) => recipient.preferredLanguage||recipient.targetLanguage))];
+                // Each language translated once, however many read it
+
+                const translations=new Map(await Promise.all(languages.map(async (language) =>
+                    [language, await translateChatMessage(peer, message, sourceLanguage, language)]
+                )));
+                // language → { text, language } or null (never throws)
+
+                // ─── Send to everyone in room (including sender) ───
+                for (const recipient of recipients)
+                {
+                    recipient.socket.emit("newChatMessage", {
+                        ...chatMessage,
+                        translation: translations.get(recipient.preferredLanguage||recipient.targetLanguage),
+                        // { text, language } or null
+                    });
+                }
 
                 callback({sent: true});
 
@@ -1225,55 +1605,373 @@ export function roomController(io)
         });
 
         // ═══════════════════════════════════════════════════════════════════
-        // EVENT 15: DISCONNECT (User closes browser or loses connection)
+        // EVENT 15: SET TARGET LANGUAGE (Switch what language you hear)
         // ═══════════════════════════════════════════════════════════════════
         //
-        // WHEN: Socket connection is lost
+        // WHEN: Listener picks a different language mid-meeting
         //
-        // CAUSES:
-        // - User closes browser tab
-        // - Network disconnection
-        // - Server restart
+        // CLIENT SENDS:
+        // - language: The new target language (e.g. "fr")
+        //
+        // WHAT HAPPENS:
+        // 1. Speakers start being translated into the new language
+        // 2. Every audio consumer is re-pointed ("consumerRepointed" per consumer)
+        // 3. The Participant record is updated
+        //
+        // No rejoin needed - the client just swaps the audio tracks
         //
         // ═══════════════════════════════════════════════════════════════════
 
-        socket.on("disconnect", () =>
+        socket.on("setTargetLanguage", async ({language}, callback) =>
         {
-            // Socket.IO automatically fires this when connection is lost
-            cleanupPeer(socket.id);
-            // Clean up all resources for this user
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback({error: "Peer not found"});
+
+                if (!language||typeof language!=="string")
+                {
+                    return callback({error: "Language is required"});
+                }
+
+                if (!isSupportedLanguage(language))
+                {
+                    return callback({error: `Unsupported language: ${language}`});
+                }
+
+                peer.targetLanguage=language;
+
+                // ─── Make sure translations into this language exist ───
+                // (not for "original" listeners - they'd never hear them)
+                if (peer.audioMixMode!=="original")
+                {
+                    await addTranslationLanguage(peer.roomId, language, {mixed: peer.audioMixMode==="mixed"});
+                }
+
+                // ─── Re-point audio consumers ───
+                const consumers=await repointAudioConsumers(peer);
+
+                applyInterpretation(peer.roomId);
+                // Switch to / away from an interpreter in the new language
+
+                await saveParticipantLanguages(peer);
+
+                socket.to(peer.roomId).emit("participantLanguageChanged", {
+                    peerId: socket.id,
+                    languageSpoken: peer.languageSpoken,
+                    targetLanguage: peer.targetLanguage,
+                });
+
+                console.log(`🌐 ${peer.userName} now listens in ${language} (${consumers.length} consumers re-pointed)`);
+
+                callback({targetLanguage: language, consumers});
+
+            } catch (err)
+            {
+                console.log("setTargetLanguage error =>", err.message);
+                callback({error: err.message});
+            }
         });
 
         // ═══════════════════════════════════════════════════════════════════
-        // EVENT 16: LEAVE ROOM (User manually leaves)
+        // EVENT 16: TOGGLE CAPTIONS
         // ═══════════════════════════════════════════════════════════════════
         //
-        // WHEN: User clicks "Leave" button
+        // WHEN: User turns live captions on or off
         //
-        // DIFFERENCE FROM DISCONNECT:
-        // - Leave = intentional, user clicked button
-        // - Disconnect = could be accidental (network issue)
-        // - Both do the same cleanup
+        // CLIENT SENDS:
+        // - enabled: true/false (optional - flips the current state if omitted)
+        //
+        // WHILE ON, THE CLIENT RECEIVES:
+        // - "captionPartial": Interim text while someone is speaking
+        // - "captionFinal":   Final text once they pause
+        // Both are translated into the user's targetLanguage
         //
         // ═══════════════════════════════════════════════════════════════════
 
-        socket.on("leaveRoom", (data, callback) =>
+        socket.on("toggleCaptions", async (data, callback) =>
         {
-            cleanupPeer(socket.id);
-            if (callback) callback({left: true});
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback?.({error: "Peer not found"});
+
+                peer.isCaptionsEnabled=typeof data?.enabled==="boolean"
+                    ? data.enabled
+                    :!peer.isCaptionsEnabled;
+
+                console.log(`💬 Captions ${peer.isCaptionsEnabled? "on":"off"} for ${peer.userName}`);
+
+                callback?.({isCaptionsEnabled: peer.isCaptionsEnabled});
+
+            } catch (err)
+            {
+                callback?.({error: err.message});
+            }
         });
 
         // ═══════════════════════════════════════════════════════════════════
-        // EVENT 17: END MEETING FOR ALL (Owner only)
+        // EVENT 17: ASSIGN INTERPRETER (Owner only)
         // ═══════════════════════════════════════════════════════════════════
         //
-        // WHEN: Room owner clicks "End meeting for all"
+        // WHEN: Host makes a participant an interpreter (or changes their pair)
+        //
+        // CLIENT SENDS:
+        // - peerId: The participant's socket ID
+        // - from: The language they listen to (e.g. "en")
+        // - to: The language they interpret into (e.g. "fr")
         //
         // WHAT HAPPENS:
-        // 1. Verify caller is the owner
-        // 2. Tell everyone the meeting is ending
+        // 1. The interpreter's current mic producer is closed
+        // 2. They get "interpreterAssigned" and publish their mic again -
+        //    this time it becomes the "fr" channel, not floor audio
+        // 3. Listeners whose targetLanguage is "fr" hear the channel
+        //    INSTEAD of speakers who don't speak French
+        // 4. Everyone gets "interpretersChanged"
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("assignInterpreter", async ({peerId, from, to}, callback) =>
+        {
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback?.({error: "Peer not found"});
+
+                if (!isHost(peer))
+                {
+                    return callback?.({error: "Only the host can assign interpreters"});
+                }
+
+                const interpreter=peers.get(peerId);
+                if (!interpreter||interpreter.roomId!==peer.roomId)
+                {
+                    return callback?.({error: "Participant not found in this room"});
+                }
+
+                if (!from||!to||typeof from!=="string"||typeof to!=="string"||from===to)
+                {
+                    return callback?.({error: "A language pair with two different languages is required"});
+                }
+
+                if (!isSupportedLanguage(from)||!isSupportedLanguage(to))
+                {
+                    return callback?.({error: `Unsupported language pair: ${from} → ${to}`});
+                }
+
+                // ─── Remember the assignment (survives reconnects) ───
+                if (!roomInterpreters.has(peer.roomId))
+                {
+                    roomInterpreters.set(peer.roomId, new Map());
+                }
+                roomInterpreters.get(peer.roomId).set(interpreter.userId, {from, to});
+
+                // ─── Their mic has to be published again as the channel ───
+                const closedProducerIds=closeMicProducers(interpreter);
+                interpreter.interpreter={from, to};
+
+                interpreter.socket.emit("interpreterAssigned", {from, to, closedProducerIds});
+
+                const interpreters=getInterpreters(peer.roomId);
+                io.to(peer.roomId).emit("interpretersChanged", {interpreters});
+
+                // ─── Floor audio they need, untranslated ───
+                repointAudioConsumers(interpreter);
+                applyInterpretation(peer.roomId);
+
+                console.log(`🎧 ${interpreter.userName} assigned as interpreter ${from} → ${to}`);
+
+                callback?.({interpreters});
+
+            } catch (err)
+            {
+                console.log("assignInterpreter error =>", err.message);
+                callback?.({error: err.message});
+            }
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 18: REMOVE INTERPRETER (Owner only)
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // CLIENT SENDS:
+        // - userId: The interpreter's user ID (they may be offline)
+        //
+        // The interpreter's channel closes, listeners go back to the floor
+        // (machine translation) and the interpreter gets "interpreterRemoved"
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("removeInterpreter", async ({userId}, callback) =>
+        {
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback?.({error: "Peer not found"});
+
+                if (!isHost(peer))
+                {
+                    return callback?.({error: "Only the host can remove interpreters"});
+                }
+
+                if (!roomInterpreters.get(peer.roomId)?.delete(userId))
+                {
+                    return callback?.({error: "Interpreter not found"});
+                }
+
+                for (const peerId of rooms.get(peer.roomId)||[])
+                {
+                    const interpreter=peers.get(peerId);
+                    if (interpreter?.userId!==userId) continue;
+
+                    const closedProducerIds=closeMicProducers(interpreter);
+                    interpreter.interpreter=null;
+                    interpreter.socket.emit("interpreterRemoved", {closedProducerIds});
+                    repointAudioConsumers(interpreter);
+                }
+
+                const interpreters=getInterpreters(peer.roomId);
+                io.to(peer.roomId).emit("interpretersChanged", {interpreters});
+
+                applyInterpretation(peer.roomId);
+
+                callback?.({interpreters});
+
+            } catch (err)
+            {
+                console.log("removeInterpreter error =>", err.message);
+                callback?.({error: err.message});
+            }
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 19: GET INTERPRETERS
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // RETURNS:
+        // - interpreters: [{ userId, peerId, userName, from, to, isLive }]
+        //   peerId is null while the interpreter is not connected
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("getInterpreters", async (data, callback) =>
+        {
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback?.({error: "Peer not found"});
+
+                callback?.({interpreters: getInterpreters(peer.roomId)});
+
+            } catch (err)
+            {
+                callback?.({error: err.message});
+            }
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 20: SET AUDIO MIX MODE
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // WHEN: Listener picks how they hear speakers of other languages
+        //
+        // CLIENT SENDS:
+        // - mode: "original" | "translation" | "mixed"
+        //
+        // WHAT HAPPENS:
+        // 1. "translation" / "mixed": speakers are translated (and, for
+        //    "mixed", mixed) into this listener's language - created once
+        //    per language, shared by all listeners. "original" needs neither
+        // 2. Audio consumers are re-pointed ("consumerRepointed")
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("setAudioMixMode", async ({mode}, callback) =>
+        {
+            try
+            {
+                const peer=peers.get(socket.id);
+                if (!peer) return callback?.({error: "Peer not found"});
+
+                if (!AUDIO_MIX_MODES.includes(mode))
+                {
+                    return callback?.({error: `Mode must be one of: ${AUDIO_MIX_MODES.join(", ")}`});
+                }
+
+                peer.audioMixMode=mode;
+
+                if (mode!=="original")
+                {
+                    await addTranslationLanguage(peer.roomId, peer.targetLanguage, {mixed: mode==="mixed"});
+                    // Channels are skipped while a listener is on "original" -
+                    // "translatedProducer" events re-point consumers as they appear
+                }
+
+                const consumers=await repointAudioConsumers(peer);
+
+                console.log(`🎚️ ${peer.userName} audio mix mode: ${mode}`);
+
+                callback?.({audioMixMode: mode, consumers});
+
+            } catch (err)
+            {
+                console.log("setAudioMixMode error =>", err.message);
+                callback?.({error: err.message});
+            }
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 21: DISCONNECT (User closes browser or loses connection)
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // WHEN: Socket connection is lost
+        //
+        // CAUSES:
+        // - User closes browser tab
+        // - Network disconnection
+        // - Server restart
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("disconnect", () =>
+        {
+            // Socket.IO automatically fires this when connection is lost
+            cleanupPeer(socket.id);
+            // Clean up all resources for this user
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 22: LEAVE ROOM (User manually leaves)
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // WHEN: User clicks "Leave" button
+        //
+        // DIFFERENCE FROM DISCONNECT:
+        // - Leave = intentional, user clicked button
+        // - Disconnect = could be accidental (network issue)
+        // - Both do the same cleanup, except a leaving host hands over
+        //   at once (a disconnected one gets time to come back)
+        //
+        // ═══════════════════════════════════════════════════════════════════
+
+        socket.on("leaveRoom", (data, callback) =>
+        {
+            cleanupPeer(socket.id, {leaving: true});
+            if (callback) callback({left: true});
+        });
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EVENT 23: END MEETING FOR ALL (Owner only)
+        // ═══════════════════════════════════════════════════════════════════
+        //
+        // WHEN: Room owner clicks "End meeting for all"
+        //
+        // WHAT HAPPENS:
+        // 1. Verify caller is the owner
+        // 2. Tell everyone the meeting is ending
         // 3. Clean up all participants
         // 4. Delete the room
+        // 5. The meeting summary is generated (see cleanupPeer)
         //
         // ═══════════════════════════════════════════════════════════════════
 
@@ -1287,8 +1985,7 @@ export function roomController(io)
             }
 
             // ─── Verify owner ───
-            const ownerSocketId=roomOwners.get(roomId);
-            if (ownerSocketId!==socket.id)
+            if (peer.roomId!==roomId||!isHost(peer))
             {
                 return callback?.({error: "Only the host can end the meeting"});
             }
@@ -1331,7 +2028,7 @@ export function roomController(io)
 // HELPER FUNCTIONS
 // =========================================================
 
-function cleanupPeer(socketId)
+function cleanupPeer(socketId, {leaving=false}={})
 {
     const peer=peers.get(socketId);
     if (!peer) return;
@@ -1350,10 +2047,14 @@ function cleanupPeer(socketId)
         try
         {
             unregisterProducer(roomId, producer.id);
+            stopAudioTranslation(producer.id);
             producer.close();
         } catch (e) {}
     });
 
+    // Interpreter gone → their listeners go back to the floor
+    if (peer.interpreter) applyInterpretation(roomId);
+
     // Close all transports
     peer.sendTransports.forEach((transport) =>
     {
@@ -1372,6 +2073,30 @@ function cleanupPeer(socketId)
         roomPeers.delete(socketId);
         console.log(`User left room ${roomId} (${roomPeers.size} peers remaining)`);
 
+        // Their last device gone → the Participant record gets leftAt
+        const stillHere=[...roomPeers].some((peerId) => peers.get(peerId)?.userId===peer.userId);
+        if (!peer.isBot&&!stillHere)
+        {
+            recordParticipantLeave(roomId, peer.userId).catch((err) =>
+            {
+                console.error(`Could not record leave of ${peer.userId}:`, err.message);
+            });
+        }
+
+        // The host is gone (from every device) → someone else takes over
+        if (roomOwners.get(roomId)===peer.userId&&!stillHere&&roomPeers.size>0)
+        {
+            clearHostTransfer(roomId);
+
+            if (leaving)
+            {
+                handOverHost(roomId, peer.userId, "host left");
+            } else
+            {
+                hostTransferTimers.set(roomId, setTimeout(() => handOverHost(roomId, peer.userId, "host disconnected"), HOST_RECONNECT_GRACE_MS));
+            }
+        }
+
         // Notify room about user leaving
         peer.socket.to(roomId).emit("participantLeft", {
             peerId: socketId,
@@ -1381,10 +2106,20 @@ function cleanupPeer(socketId)
         // Cleanup empty rooms
         if (roomPeers.size===0)
         {
+            stopRoomTranslations(roomId);
             cleanupRoom(roomId);
             rooms.delete(roomId);
             roomOwners.delete(roomId);
+            roomHostConfig.delete(roomId);
+            clearHostTransfer(roomId);
+            roomInterpreters.delete(roomId);
             console.log(`Room ${roomId} cleaned up (empty)`);
+
+            // Meeting over (endMeeting or last one out) → write it up
+            generateMeetingSummary(roomId).catch((err) =>
+            {
+                console.error(`Summary failed for room ${roomId}:`, err.message);
+            });
         }
     }
 
@@ -1392,6 +2127,96 @@ function cleanupPeer(socketId)
     console.log("USER DISCONNECTED:", socketId);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// HOST HELPERS (the rules are in host.election.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function isHost(peer)
+{
+    return !!peer&&roomOwners.get(peer.roomId)===peer.userId;
+}
+
+function hostRank(roomId, userId)
+{
+    return getHostRank(roomHostConfig.get(roomId), userId);
+}
+
+function getRoomPeers(roomId)
+{
+    return [...(rooms.get(roomId)||[])].map((peerId) => peers.get(peerId)).filter(Boolean);
+}
+
+function setHost(roomId, userId, reason)
+{
+    const previousHostUserId=roomOwners.get(roomId)||null;
+    if (previousHostUserId===userId) return;
+
+    if (userId) roomOwners.set(roomId, userId);
+    else roomOwners.delete(roomId);
+
+    const roomPeers=getRoomPeers(roomId);
+    for (const peer of roomPeers)
+    {
+        peer.isOwner=peer.userId===userId;
+    }
+
+    const change={
+        roomId,
+        hostUserId: userId||null,
+        hostPeerIds: roomPeers.filter((peer) => peer.isOwner).map((peer) => peer.socket.id),
+        previousHostUserId,
+        reason,
+    };
+    for (const peer of roomPeers)
+    {
+        peer.socket.emit("hostChanged", change);
+    }
+
+    console.log(`👑 Host of room ${roomId}: ${previousHostUserId} → ${userId} (${reason})`);
+}
+
+function reviewHost(roomId, reason)
+{
+    // The creator / a co-host in the room outranks the current host
+    const best=pickOutrankingHost(roomHostConfig.get(roomId), getRoomPeers(roomId), roomOwners.get(roomId));
+    if (!best) return;
+
+    clearHostTransfer(roomId);
+    setHost(roomId, best, reason);
+}
+
+function claimHostOnJoin(peer)
+{
+    if (peer.isBot) return;
+
+    if (roomOwners.get(peer.roomId)===peer.userId)
+    {
+        // The host came back (tab refresh) or joined from another device
+        clearHostTransfer(peer.roomId);
+        peer.isOwner=true;
+        return;
+    }
+
+    reviewHost(peer.roomId, hostRank(peer.roomId, peer.userId)===0? "creator joined":"co-host joined");
+}
+
+function handOverHost(roomId, leavingUserId, reason)
+{
+    hostTransferTimers.delete(roomId);
+
+    if (roomOwners.get(roomId)!==leavingUserId) return;
+    // Someone took over in the meantime
+
+    setHost(roomId, pickNextHost(roomHostConfig.get(roomId), getRoomPeers(roomId), leavingUserId), reason);
+    // Unchanged if they came back (null = only bots left - nobody hosts)
+}
+
+function clearHostTransfer(roomId)
+{
+    clearTimeout(hostTransferTimers.get(roomId));
+    hostTransferTimers.delete(roomId);
+}
+
 function getParticipantsInRoom(roomId, excludeSocketId=null)
 {
     const roomPeers=rooms.get(roomId);
@@ -1460,3 +2285,436 @@ function notifyProducerClosed(roomId, senderSocketId, producerId)
         }
     }
 }
+
+function getRoomTargetLanguages(roomId, audioMixMode=null)
+{
+    // Every language someone in the room wants to hear translated
+    // (only listeners in one audio mix mode, if given - never "original")
+    const languages=new Set();
+    for (const peerId of rooms.get(roomId)||[])
+    {
+        const peer=peers.get(peerId);
+        if (peer?.audioMixMode==="original") continue;
+        if (audioMixMode&&peer?.audioMixMode!==audioMixMode) continue;
+        if (peer?.targetLanguage) languages.add(peer.targetLanguage);
+    }
+    return [...languages];
+}
+
+function resolveProducerForListener(peer, producerId)
+{
+    // Serve the speaker's audio in the listener's language when possible
+    const source=getRoomData(peer.roomId)?.producers.get(producerId);
+    const speaker=source&&peers.get(source.peerId);
+
+    return chooseListenerAudio(peer, {producerId, source, speaker}, getTranslatedProducerId);
+}
+
+async function createPeerConsumer(peer, producerId, rtpCapabilities)
+{
+    const router=getRouter(peer.roomId);
+    if (!router) throw new Error("Router not found");
+
+    const target=resolveProducerForListener(peer, producerId);
+
+    if (!router.canConsume({producerId: target.producerId, rtpCapabilities}))
+    {
+        console.log(`Cannot consume producer ${target.producerId} - checking if producer exists on router`);
+        throw new Error("Cannot consume - codec mismatch or producer not found");
+    }
+
+    const recvTransport=[...peer.recvTransports.values()][0];
+    if (!recvTransport) throw new Error("No receive transport available");
+
+    const consumer=await recvTransport.consume({
+        producerId: target.producerId,
+        rtpCapabilities,
+        paused: true,
+        // Start paused - client will resume after setup
+    });
+
+    const isHeard=isHeardByListener(peer, producerId);
+
+    peer.consumers.set(consumer.id, consumer);
+    peer.consumerSources.set(consumer.id, {
+        sourceProducerId: producerId,
+        language: target.language,
+        isHeard,
+        // false = switched out for an interpreter channel (kept paused)
+        resumedByClient: false,
+    });
+
+    console.log(`Consumer created: ${consumer.id} for producer ${target.producerId}${target.language? ` (${target.language})`:""}`);
+
+    const socket=peer.socket;
+
+    consumer.on("transportclose", () =>
+    {
+        console.log(`Consumer transport closed: ${consumer.id}`);
+        peer.consumers.delete(consumer.id);
+        peer.consumerSources.delete(consumer.id);
+    });
+
+    consumer.on("producerclose", () =>
+    {
+        console.log(`Consumer producer closed: ${consumer.id}`);
+        peer.consumers.delete(consumer.id);
+        peer.consumerSources.delete(consumer.id);
+
+        // Translation went away but the speaker is still here → original audio
+        const speakerStillProducing=getRoomData(peer.roomId)?.producers.has(producerId);
+        if (target.language&&speakerStillProducing)
+        {
+            repointConsumer(peer, consumer.id, producerId).catch((err) =>
+            {
+                console.error(`Could not fall back to original audio for ${consumer.id}:`, err.message);
+                socket.emit("consumerClosed", {consumerId: consumer.id});
+            });
+            return;
+        }
+
+        socket.emit("consumerClosed", {consumerId: consumer.id});
+    });
+
+    consumer.on("producerpause", () =>
+    {
+        socket.emit("consumerPaused", {consumerId: consumer.id});
+    });
+
+    consumer.on("producerresume", () =>
+    {
+        socket.emit("consumerResumed", {consumerId: consumer.id});
+    });
+
+    return {
+        consumer,
+        params: {
+            id: consumer.id,
+            producerId,
+            // Always the producer the client asked for
+            translatedProducerId: target.language? target.producerId:null,
+            language: target.language,
+            mix: target.mix||"original",
+            // What this consumer actually plays
+            kind: consumer.kind,
+            rtpParameters: consumer.rtpParameters,
+            producerPaused: consumer.producerPaused,
+            switchedOff: !isHeard,
+            // Interpreter routing keeps it silent for now ("consumerSwitched" later)
+        },
+    };
+}
+
+async function repointConsumer(peer, consumerId, sourceProducerId)
+{
+    // Replace a consumer with one for the listener's current language
+    const current=peer.consumers.get(consumerId);
+    const target=resolveProducerForListener(peer, sourceProducerId);
+
+    if (current&&current.producerId===target.producerId) return null;
+    // Already playing the right audio
+
+    const {params}=await createPeerConsumer(peer, sourceProducerId, peer.rtpCapabilities);
+
+    if (current)
+    {
+        peer.consumers.delete(consumerId);
+        peer.consumerSources.delete(consumerId);
+        try {current.close();} catch (e) {}
+    }
+
+    peer.socket.emit("consumerRepointed", {oldConsumerId: consumerId, ...params});
+    // Client swaps the track, then calls "resumeConsumer" with the new id
+
+    return {oldConsumerId: consumerId, ...params};
+}
+
+function repointAudioConsumers(peer)
+{
+    // Runs after any batch already in progress for this peer
+    const run=async () =>
+    {
+        const repointed=[];
+
+        for (const [consumerId, source] of [...peer.consumerSources])
+        {
+            if (peer.consumers.get(consumerId)?.kind!=="audio") continue;
+
+            try
+            {
+                const params=await repointConsumer(peer, consumerId, source.sourceProducerId);
+                if (params) repointed.push(params);
+            } catch (err)
+            {
+                console.error(`Could not re-point consumer ${consumerId}:`, err.message);
+            }
+        }
+
+        return repointed;
+    };
+
+    const result=peer.repointing.then(run);
+    peer.repointing=result.catch(() => {});
+    return result;
+}
+
+async function saveParticipantLanguages(peer)
+{
+    // Keep the Participant record in sync with the live peer
+    if (!mongoose.isValidObjectId(peer.roomId)) return;
+
+    try
+    {
+        await participantModel.updateOne(
+            {roomId: peer.roomId, userId: peer.userId},
+            {$set: {languageSpoken: peer.languageSpoken, targetLanguage: peer.targetLanguage}}
+        );
+    } catch (err)
+    {
+        console.error("Could not save participant languages:", err.message);
+    }
+}
+
+async function translateChatMessage(sender, message, sourceLanguage, language)
+{
+    // null = recipient reads the original
+    if (!language||!sourceLanguage||language===sourceLanguage) return null;
+
+    try
+    {
+        const text=await translateRoomText(message, {
+            roomId: sender.roomId,
+            userId: sender.userId,
+            from: sourceLanguage,
+            to: language,
+            metric: "chatCharacters",
+        });
+
+        return {text, language};
+    } catch (err)
+    {
+        if (err instanceof QuotaExceededError) return null;
+        console.error(`Chat translation ${sourceLanguage} → ${language} failed:`, err.message);
+        return null;
+        // Recipient still gets the original message
+    }
+}
+
+async function loadPreferredLanguage(userId)
+{
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    try
+    {
+        const user=await userModel.findById(userId).select("preferred_language");
+        return user?.preferred_language||null;
+    } catch (err)
+    {
+        console.error("Could not load preferred language:", err.message);
+        return null;
+    }
+}
+
+async function loadPreferredVoice(userId)
+{
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    try
+    {
+        const user=await userModel.findById(userId).select("preferred_voice");
+        return user?.preferred_voice||null;
+    } catch (err)
+    {
+        console.error("Could not load preferred voice:", err.message);
+        return null;
+    }
+}
+
+function getInterpretationChannel(roomId, language)
+{
+    // The live interpreter producer for one language, if any
+    for (const peerId of rooms.get(roomId)||[])
+    {
+        const peer=peers.get(peerId);
+        if (peer?.interpreter?.to!==language) continue;
+
+        for (const producer of peer.producers.values())
+        {
+            if (producer.appData?.source==="interpretation"&&!producer.closed)
+            {
+                return {producerId: producer.id, peerId};
+            }
+        }
+    }
+    return null;
+}
+
+function isHeardByListener(peer, producerId)
+{
+    const source=getRoomData(peer.roomId)?.producers.get(producerId);
+    const speaker=source&&peers.get(source.peerId);
+
+    return isAudioHeard(peer, {source, speaker}, (language) => !!getInterpretationChannel(peer.roomId, language));
+}
+
+function applyInterpretation(roomId)
+{
+    // Pause / resume audio consumers so each listener hears either the
+    // floor or their language's interpreter channel
+    for (const peerId of rooms.get(roomId)||[])
+    {
+        const peer=peers.get(peerId);
+        if (!peer) continue;
+
+        for (const [consumerId, source] of peer.consumerSources)
+        {
+            const consumer=peer.consumers.get(consumerId);
+            if (consumer?.kind!=="audio") continue;
+
+            const isHeard=isHeardByListener(peer, source.sourceProducerId);
+            if (isHeard===source.isHeard) continue;
+
+            source.isHeard=isHeard;
+
+            const switching=!isHeard
+                ? consumer.pause()
+                :source.resumedByClient? consumer.resume():Promise.resolve();
+                // Never resume a consumer the client hasn't resumed itself
+
+            switching.catch((err) =>
+            {
+                console.error(`Could not switch consumer ${consumerId}:`, err.message);
+            });
+
+            peer.socket.emit("consumerSwitched", {
+                consumerId,
+                producerId: source.sourceProducerId,
+                switchedOff: !isHeard,
+            });
+        }
+    }
+}
+
+function closeMicProducers(peer)
+{
+    // Mic audio changes meaning when someone becomes (or stops being) an
+    // interpreter, so it has to be published again
+    const closed=[];
+
+    for (const producer of [...peer.producers.values()])
+    {
+        if (producer.kind!=="audio"||producer.appData?.source==="screen") continue;
+
+        peer.producers.delete(producer.id);
+        unregisterProducer(peer.roomId, producer.id);
+        stopAudioTranslation(producer.id);
+        try {producer.close();} catch (e) {}
+
+        notifyProducerClosed(peer.roomId, peer.socket.id, producer.id);
+        closed.push(producer.id);
+    }
+
+    if (closed.length>0) peer.isAudioEnabled=false;
+    return closed;
+    // Their client must stop sending on these and publish the mic again
+}
+
+function getInterpreters(roomId)
+{
+    const assignments=roomInterpreters.get(roomId);
+    if (!assignments) return [];
+
+    const interpreters=[];
+    for (const [userId, {from, to}] of assignments)
+    {
+        const peer=[...(rooms.get(roomId)||[])]
+            .map((peerId) => peers.get(peerId))
+            .find((candidate) => candidate?.userId===userId);
+
+        const channel=getInterpretationChannel(roomId, to);
+
+        interpreters.push({
+            userId,
+            peerId: peer?.socket.id||null,
+            userName: peer?.userName||null,
+            from,
+            to,
+            isLive: !!peer&&channel?.peerId===peer.socket.id,
+        });
+    }
+    return interpreters;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: closeMeeting
+// PURPOSE: End a live meeting from outside (its Room was deleted over REST)
+// RETURNS: true if a meeting was running
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function closeMeeting(roomId, reason)
+{
+    roomId=String(roomId);
+    const roomPeers=rooms.get(roomId);
+    if (!roomPeers) return false;
+
+    for (const peerId of [...roomPeers])
+    {
+        peers.get(peerId)?.socket.emit("meetingEnded", {reason});
+        cleanupPeer(peerId);
+    }
+    roomOwners.delete(roomId);
+
+    console.log(`Meeting in room ${roomId} closed: ${reason}`);
+    return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: setRoomCoHosts
+// PURPOSE: The creator changed the co-hosts over REST - apply it live
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function setRoomCoHosts(roomId, coHostIds)
+{
+    roomId=String(roomId);
+    const config=roomHostConfig.get(roomId);
+    if (!config) return;
+    // No meeting running - the next join loads them from the Room
+
+    const host=roomOwners.get(roomId);
+    const rankBefore=host? hostRank(roomId, host):null;
+
+    config.coHosts=new Set(coHostIds.map(String));
+
+    if (host&&hostRank(roomId, host)>rankBefore)
+    {
+        // The host is no longer a co-host → choose again, as if they had left
+        // (they keep it only if they are still the best candidate)
+        clearHostTransfer(roomId);
+        setHost(roomId, sortHostCandidates(config, getRoomPeers(roomId))[0]?.userId||null, "host no longer co-host");
+        return;
+    }
+
+    reviewHost(roomId, "co-hosts changed");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getSessionMeetings
+// PURPOSE: Which meeting each login session is in right now (device list)
+// RETURNS: Map sessionId → [{ roomId, peerId, joinedAt }]
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function getSessionMeetings(sessionIds)
+{
+    const wanted=new Set(sessionIds.map(String));
+    const meetings=new Map();
+
+    for (const peer of peers.values())
+    {
+        const sessionId=peer.socket.data.user?.sid;
+        if (!wanted.has(sessionId)) continue;
+
+        if (!meetings.has(sessionId)) meetings.set(sessionId, []);
+        meetings.get(sessionId).push({roomId: peer.roomId, peerId: peer.socket.id, joinedAt: peer.joinedAt});
+    }
+    return meetings;
+}
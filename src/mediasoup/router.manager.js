@@ -447,19 +447,21 @@ export const getRoomData=(roomId) =>
 // - peerId: Who created this producer (socket.id)
 // - kind: "audio" or "video"
 // - userName: Display name of the user
+// - appData: What the stream is ({ source: "screen" }, interpreter channels
+//   carry { source: "interpretation", language })
 //
 // ═══════════════════════════════════════════════════════════════════════════════
 
-export const registerProducer=(roomId, producerId, peerId, kind, userName="Anonymous") =>
+export const registerProducer=(roomId, producerId, peerId, kind, userName="Anonymous", appData={}) =>
 {
     const room=rooms.get(roomId);
     // Get the room
 
     if (room)
     {
-        room.producers.set(producerId, {peerId, kind, userName});
+        room.producers.set(producerId, {peerId, kind, userName, appData});
         // Add to the room's producers Map
-        // Structure: producerId → { peerId, kind, userName }
+        // Structure: producerId → { peerId, kind, userName, appData }
         //
         // EXAMPLE:
         // "producer-abc123" → { peerId: "socket-xyz", kind: "video", userName: "John" }
@@ -535,6 +537,7 @@ export const getOtherProducers=(roomId, excludePeerId) =>
                 peerId: data.peerId,   // Who owns this producer
                 kind: data.kind,       // "audio" or "video"
                 userName: data.userName, // Display name
+                appData: data.appData,   // Screen share / interpreter channel tags
             });
         }
     }
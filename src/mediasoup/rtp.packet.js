@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// mediasoup/rtp.packet.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Read and write RTP packets (the translation tap and injection)
+//
+// RTP HEADER (12 bytes minimum):
+//  byte 0: version(2) padding(1) extension(1) csrcCount(4)
+//  byte 1: marker(1) payloadType(7)
+//  bytes 2-3: sequence number, 4-7: timestamp, 8-11: SSRC
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const parseRtpPacket=(packet) =>
+{
+    if (packet.length<12||(packet[0]>>6)!==2) return null;
+    // Too short or not RTP version 2
+
+    if (packet[1]>=200&&packet[1]<=204) return null;
+    // RTCP (sender/receiver reports) shares the port because of rtcpMux
+
+    const hasPadding=(packet[0]&0x20)!==0;
+    const hasExtension=(packet[0]&0x10)!==0;
+    const csrcCount=packet[0]&0x0f;
+
+    let offset=12+csrcCount*4;
+
+    if (hasExtension)
+    {
+        if (packet.length<offset+4) return null;
+        offset+=4+packet.readUInt16BE(offset+2)*4;
+    }
+
+    let end=packet.length;
+    if (hasPadding) end-=packet[packet.length-1];
+
+    if (offset>end) return null;
+
+    return {
+        marker: (packet[1]&0x80)!==0,
+        payloadType: packet[1]&0x7f,
+        sequenceNumber: packet.readUInt16BE(2),
+        timestamp: packet.readUInt32BE(4),
+        ssrc: packet.readUInt32BE(8),
+        payload: packet.subarray(offset, end),
+    };
+};
+
+export const buildRtpPacket=({marker=false, payloadType, sequenceNumber, timestamp, ssrc, payload}) =>
+{
+    const header=Buffer.alloc(12);
+    header[0]=0x80;
+    // version 2, no padding, no extension, no CSRCs
+
+    header[1]=(marker? 0x80:0)|(payloadType&0x7f);
+    header.writeUInt16BE(sequenceNumber&0xffff, 2);
+    header.writeUInt32BE(timestamp>>>0, 4);
+    header.writeUInt32BE(ssrc>>>0, 8);
+
+    return Buffer.concat([header, payload]);
+};
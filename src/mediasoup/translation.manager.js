@@ -0,0 +1,942 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// mediasoup/translation.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Real-time speech translation for audio producers
+//
+// HOW IT WORKS (one "pipeline" per audio producer):
+// 1. TAP:      A loopback Plain RTP transport consumes the speaker's audio
+//              and forwards the RTP packets to a local UDP socket
+// 2. BUFFER:   Opus frames are collected into "utterances"
+//              (flushed after a pause in speech or a maximum length)
+// 3. ENGINE:   Each utterance goes through the pluggable engine:
+//              STT (transcribe) → MT (translate) → TTS (synthesize)
+// 4. INJECT:   The synthesized frames are sent into ANOTHER Plain RTP
+//              transport and published as a new producer, one per language
+//
+// RELATIONSHIP:
+// Speaker's Producer → Tap Consumer → [engine] → Translated Producer ("fr")
+//                                               → Translated Producer ("hi")
+//
+// MIXED CHANNELS (only for languages where a listener picked "mixed"):
+// The original audio, ducked, under the translated speech - one more
+// producer per language, tagged mix: "mixed"
+//
+// EVENTS (translationEvents):
+// - "producer":      A translated producer is ready to be consumed
+// - "producerclose": A translated producer went away
+// - "transcript":    Interim or final text of what a speaker said
+//                    (captions are built from these)
+// - "languagedetected": The speaker turned out to speak another language
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IMPORTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+import dgram from "dgram";
+// WHAT: Node.js built-in UDP sockets
+// WHY: Plain RTP transports speak raw UDP - we receive and send RTP with it
+
+import {randomInt} from "crypto";
+// WHY: Random SSRCs and initial sequence numbers (RTP best practice)
+
+import {EventEmitter} from "events";
+
+import {createPlainRtpTransport} from "./transport.manager.js";
+// createPlainRtpTransport: Creates the tap and injection transports
+
+import {getRouter} from "./router.manager.js";
+// getRouter: The tap consumer needs the router's RTP capabilities
+
+import {getEngine} from "../translation/engine.registry.js";
+// getEngine: The active STT → MT → TTS engine
+
+import {translateForRoom} from "../translation/glossary.manager.js";
+// translateForRoom: Applies the room's glossary around the MT step
+
+import {LanguageConfirmation, getLanguageDetector} from "../translation/language.detector.js";
+// getLanguageDetector: Identifies the spoken language of each utterance
+// LanguageConfirmation: Decides when the speaker really switched language
+
+import {resolveVoice} from "../translation/voice.manager.js";
+// resolveVoice: Maps the speaker's preferred voice onto each target language
+
+import {isTranslationAllowed, recordUsage} from "../translation/usage.manager.js";
+// Metering + monthly quotas (a room over quota is no longer translated)
+
+import {createAudioMixer} from "../translation/audio.mixer.js";
+// createAudioMixer: Lays the ducked original under translated speech
+
+import {buildRtpPacket, parseRtpPacket} from "./rtp.packet.js";
+// parseRtpPacket / buildRtpPacket: Read tapped packets, write injected ones
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LOOPBACK_IP="127.0.0.1";
+// Tap and injection never leave the server
+
+const FRAME_MS=20;
+// Opus frames from browsers are 20ms each
+
+const SAMPLES_PER_FRAME=960;
+// 48000 Hz × 0.020 s = 960 RTP timestamp ticks per frame
+
+const OPUS_PAYLOAD_TYPE=100;
+// Payload type we use on the injection side
+
+const UTTERANCE_MAX_MS=Number(process.env.TRANSLATION_UTTERANCE_MS)||4000;
+// WHAT: Longest stretch of audio sent to the engine at once
+// Lower = less delay, but the engine gets less context
+
+const SILENCE_GAP_MS=800;
+// WHAT: A pause this long ends the current utterance
+
+const INTERIM_INTERVAL_MS=1000;
+// WHAT: How often an unfinished utterance is transcribed for interim captions
+
+const DUCKING_GAIN=Number(process.env.TRANSLATION_DUCKING_GAIN??0.2);
+// WHAT: How loud the original stays under the translation in mixed streams
+
+const MAX_BUFFERED_ORIGINAL_FRAMES=10;
+// WHAT: Original frames a mixed stream holds while waiting to send them
+// WHY: Keeps the mixed stream in step with the live speaker (older frames drop)
+
+const LANGUAGE_DETECTION_ENABLED=process.env.LANGUAGE_DETECTION!=="off";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GLOBAL DATA STORAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+const pipelines=new Map();
+// STRUCTURE: sourceProducerId → TranslationPipeline
+
+export const translationEvents=new EventEmitter();
+// room.controller.js listens to this to tell clients about translated audio
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LanguageChannel
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: One translated audio producer for one target language
+//
+// Frames are queued and sent in real time (one every 20ms), so the
+// router receives a normal-looking audio stream
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class LanguageChannel
+{
+    constructor(language, transport, producer, ssrc, socket)
+    {
+        this.language=language;
+        this.transport=transport;
+        this.producer=producer;
+        this.ssrc=ssrc;
+        this.socket=socket;
+        // Shared UDP socket used to send RTP into the transport
+
+        this.sequenceNumber=randomInt(0, 0xffff);
+        this.timestamp=randomInt(0, 0xffffffff);
+        this.lastSentAt=0;
+
+        this.queue=[];
+        this.timer=null;
+        this.closed=false;
+    }
+
+    enqueue(frames)
+    {
+        if (this.closed) return;
+
+        this.queue.push(...frames);
+        this.startTimer();
+    }
+
+    sendNextFrame()
+    {
+        const payload=this.queue.shift();
+
+        if (!payload)
+        {
+            this.stopTimer();
+            return;
+        }
+
+        this.sendPayload(payload);
+    }
+
+    startTimer()
+    {
+        if (!this.timer)
+        {
+            this.timer=setInterval(() => this.sendNextFrame(), FRAME_MS);
+        }
+    }
+
+    stopTimer()
+    {
+        clearInterval(this.timer);
+        this.timer=null;
+    }
+
+    sendPayload(payload)
+    {
+        // ─── Advance the RTP clock, including any silent gap ───
+        const now=Date.now();
+        const isAfterSilence=now-this.lastSentAt>FRAME_MS*2;
+        const elapsedFrames=this.lastSentAt&&isAfterSilence
+            ? Math.round((now-this.lastSentAt)/FRAME_MS)
+            :1;
+        this.timestamp=(this.timestamp+elapsedFrames*SAMPLES_PER_FRAME)>>>0;
+        this.sequenceNumber=(this.sequenceNumber+1)&0xffff;
+        this.lastSentAt=now;
+
+        const packet=buildRtpPacket({
+            marker: isAfterSilence,
+            // Marker bit = start of a talkspurt
+            payloadType: OPUS_PAYLOAD_TYPE,
+            sequenceNumber: this.sequenceNumber,
+            timestamp: this.timestamp,
+            ssrc: this.ssrc,
+            payload,
+        });
+
+        this.socket.send(packet, this.transport.tuple.localPort, LOOPBACK_IP);
+    }
+
+    close()
+    {
+        if (this.closed) return;
+        this.closed=true;
+
+        this.stopTimer();
+        this.queue=[];
+
+        try {this.producer.close();} catch (e) {}
+        try {this.transport.close();} catch (e) {}
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: MixedChannel
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: A language channel that also carries the speaker's original voice
+// - Original frames arrive live (pushOriginal), translated speech in bursts
+//   (enqueue)
+// - Every 20ms one frame goes out: both mixed (original ducked), or
+//   whichever of the two there is - the original at full level when
+//   nothing is being translated
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class MixedChannel extends LanguageChannel
+{
+    constructor(...args)
+    {
+        super(...args);
+
+        this.originals=[];
+        // Original Opus frames waiting to go out
+
+        this.mixer=createAudioMixer();
+        // Its own codec state - see audio.mixer.js
+    }
+
+    pushOriginal(frame)
+    {
+        if (this.closed) return;
+
+        this.originals.push(frame);
+        if (this.originals.length>MAX_BUFFERED_ORIGINAL_FRAMES) this.originals.shift();
+
+        this.startTimer();
+    }
+
+    sendNextFrame()
+    {
+        const translated=this.queue.shift();
+        const original=this.originals.shift();
+
+        if (!translated&&!original)
+        {
+            this.stopTimer();
+            return;
+        }
+
+        const payload=translated&&original
+            ? this.mixer.mix(translated, original, {backgroundGain: DUCKING_GAIN})
+            :translated||original;
+
+        this.sendPayload(payload);
+    }
+
+    close()
+    {
+        if (this.closed) return;
+
+        this.originals=[];
+        super.close();
+        this.mixer.close?.();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: TranslationPipeline
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Tap one audio producer and fan its speech out to every language
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class TranslationPipeline
+{
+    constructor(roomId, producer, {peerId, userId, userName, sourceLanguage="en", voice=null})
+    {
+        this.roomId=roomId;
+        this.producer=producer;
+        this.peerId=peerId;
+        this.userId=userId;
+        this.userName=userName;
+        this.sourceLanguage=sourceLanguage;
+
+        this.voice=voice;
+        // The speaker's User.preferred_voice (resolved per target language)
+
+        this.tapTransport=null;
+        this.tapConsumer=null;
+        this.tapSocket=null;
+        // Receives the speaker's RTP from the tap transport
+
+        this.sendSocket=null;
+        // Sends synthesized RTP into the language channels
+
+        this.channels=new Map();
+        // STRUCTURE: language → LanguageChannel
+
+        this.pendingChannels=new Map();
+        // STRUCTURE: channel key ("fr" / "fr:mixed") → Promise (channel being created)
+
+        this.mixedChannels=new Map();
+        // STRUCTURE: language → MixedChannel (original ducked under translation)
+
+        this.frames=[];
+        this.silenceTimer=null;
+
+        this.utteranceCount=0;
+        this.utteranceStartedAt=null;
+        // Identify the current utterance (segmentId) and when it began
+
+        this.lastInterimFrameCount=0;
+        this.interimPending=false;
+
+        this.languageConfirmation=new LanguageConfirmation();
+        // Switches sourceLanguage only once enough utterances agree
+
+        this.processing=Promise.resolve();
+        // Utterances are processed one after another, in order
+
+        this.closed=false;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: start
+    // PURPOSE: Create the tap and start listening for the speaker's audio
+    // ─────────────────────────────────────────────────────────────────────
+
+    async start(targetLanguages=[], mixedLanguages=[])
+    {
+        const router=getRouter(this.roomId);
+        if (!router) throw new Error(`Router not found for roomId: ${this.roomId}`);
+
+        this.tapSocket=await bindSocket();
+        this.sendSocket=await bindSocket();
+
+        this.tapSocket.on("message", (packet) => this.onRtp(packet));
+
+        // ─── Tap transport: mediasoup SENDS to our socket ───
+        const {transport}=await createPlainRtpTransport(this.roomId, {
+            listenIp: {ip: LOOPBACK_IP},
+            comedia: false,
+            // We tell it where to send, it does not wait to learn it
+        });
+        this.tapTransport=transport;
+
+        await transport.connect({ip: LOOPBACK_IP, port: this.tapSocket.address().port});
+
+        this.tapConsumer=await transport.consume({
+            producerId: this.producer.id,
+            rtpCapabilities: router.rtpCapabilities,
+            paused: false,
+        });
+
+        for (const language of targetLanguages)
+        {
+            await this.addLanguage(language);
+        }
+
+        for (const language of mixedLanguages)
+        {
+            await this.addLanguage(language, {mixed: true});
+        }
+
+        console.log(`🌐 Translation tap started for producer ${this.producer.id} (${this.sourceLanguage})`);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: addLanguage
+    // PURPOSE: Publish a translated producer for one more target language
+    // options.mixed: The mixed (original + translation) producer instead
+    // ─────────────────────────────────────────────────────────────────────
+
+    async addLanguage(language, {mixed=false}={})
+    {
+        if (this.closed||!language||language===this.sourceLanguage) return;
+
+        const channels=mixed? this.mixedChannels:this.channels;
+        const key=mixed? `${language}:mixed`:language;
+
+        if (channels.has(language)) return;
+        if (this.pendingChannels.has(key)) return this.pendingChannels.get(key);
+
+        const pending=this.createChannel(language, mixed)
+            .finally(() => this.pendingChannels.delete(key));
+        this.pendingChannels.set(key, pending);
+
+        return pending;
+    }
+
+    async createChannel(language, mixed=false)
+    {
+        // ─── Injection transport: mediasoup learns our address (comedia) ───
+        const {transport}=await createPlainRtpTransport(this.roomId, {
+            listenIp: {ip: LOOPBACK_IP},
+            comedia: true,
+        });
+
+        const ssrc=randomInt(1, 0xffffffff);
+
+        let producer;
+        try
+        {
+            producer=await transport.produce({
+                kind: "audio",
+                rtpParameters: {
+                    codecs: [
+                        {
+                            mimeType: "audio/opus",
+                            payloadType: OPUS_PAYLOAD_TYPE,
+                            clockRate: 48000,
+                            channels: 2,
+                            parameters: {"sprop-stereo": 1},
+                        },
+                    ],
+                    encodings: [{ssrc}],
+                },
+                appData: {
+                    peerId: this.peerId,
+                    source: "translation",
+                    language,
+                    // Tag: which language this audio is in
+                    mix: mixed? "mixed":"translation",
+                    sourceProducerId: this.producer.id,
+                },
+            });
+        } catch (err)
+        {
+            transport.close();
+            throw err;
+        }
+
+        if (this.closed||language===this.sourceLanguage)
+        {
+            // Pipeline was stopped (or the speaker switched to this language)
+            // while we were setting up
+            producer.close();
+            transport.close();
+            return;
+        }
+
+        const Channel=mixed? MixedChannel:LanguageChannel;
+        const channel=new Channel(language, transport, producer, ssrc, this.sendSocket);
+        (mixed? this.mixedChannels:this.channels).set(language, channel);
+
+        console.log(`🌐 Translated producer ${producer.id} (${this.sourceLanguage} → ${language}${mixed? ", mixed":""})`);
+
+        translationEvents.emit("producer", this.describeChannel(channel));
+    }
+
+    describeChannel(channel)
+    {
+        return {
+            roomId: this.roomId,
+            producerId: channel.producer.id,
+            sourceProducerId: this.producer.id,
+            peerId: this.peerId,
+            userName: this.userName,
+            language: channel.language,
+            mix: channel instanceof MixedChannel? "mixed":"translation",
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: onRtp
+    // PURPOSE: Collect the speaker's Opus frames into an utterance
+    // ─────────────────────────────────────────────────────────────────────
+
+    onRtp(packet)
+    {
+        const rtp=parseRtpPacket(packet);
+        if (!rtp||rtp.payload.length===0) return;
+
+        if (this.frames.length===0)
+        {
+            this.utteranceCount+=1;
+            this.utteranceStartedAt=Date.now();
+            this.lastInterimFrameCount=0;
+        }
+
+        this.frames.push(Buffer.from(rtp.payload));
+
+        for (const channel of this.mixedChannels.values())
+        {
+            channel.pushOriginal(rtp.payload);
+        }
+
+        if (this.frames.length*FRAME_MS>=UTTERANCE_MAX_MS)
+        {
+            this.flush();
+            return;
+        }
+
+        if ((this.frames.length-this.lastInterimFrameCount)*FRAME_MS>=INTERIM_INTERVAL_MS)
+        {
+            this.transcribeInterim();
+        }
+
+        // ─── No audio for SILENCE_GAP_MS → the speaker paused ───
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer=setTimeout(() => this.flush(), SILENCE_GAP_MS);
+    }
+
+    flush()
+    {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer=null;
+
+        if (this.frames.length===0) return;
+
+        const frames=this.frames;
+        const segment=this.currentSegment();
+        this.frames=[];
+
+        this.processing=this.processing
+            .then(() => this.processUtterance(frames, segment))
+            .catch((err) =>
+            {
+                console.error(`Translation failed for producer ${this.producer.id}:`, err.message);
+            });
+    }
+
+    currentSegment()
+    {
+        return {
+            segmentId: `${this.producer.id}:${this.utteranceCount}`,
+            startedAt: this.utteranceStartedAt,
+            endedAt: Date.now(),
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: transcribeInterim
+    // PURPOSE: Interim text for the utterance still being spoken
+    // Skipped if the previous interim result hasn't come back yet, or the
+    // room is over its quota. Every pass is metered - the engine hears
+    // the whole utterance so far each time
+    // ─────────────────────────────────────────────────────────────────────
+
+    transcribeInterim()
+    {
+        if (this.interimPending||!isTranslationAllowed(this.roomId)) return;
+
+        this.interimPending=true;
+        this.lastInterimFrameCount=this.frames.length;
+
+        const frames=[...this.frames];
+        const segment=this.currentSegment();
+
+        getEngine()
+            .transcribe({frames}, {language: this.sourceLanguage, interim: true})
+            .then((transcript) =>
+            {
+                recordUsage({
+                    roomId: this.roomId,
+                    userId: this.userId,
+                    audioSeconds: frames.length*FRAME_MS/1000,
+                }).catch((err) =>
+                {
+                    console.error(`Could not record interim usage for producer ${this.producer.id}:`, err.message);
+                });
+
+                if (!this.closed&&transcript.text)
+                {
+                    this.emitTranscript({...transcript, isFinal: false}, segment);
+                }
+            })
+            .catch((err) =>
+            {
+                console.error(`Interim transcription failed for producer ${this.producer.id}:`, err.message);
+            })
+            .finally(() =>
+            {
+                this.interimPending=false;
+            });
+    }
+
+    emitTranscript(transcript, segment)
+    {
+        translationEvents.emit("transcript", {
+            roomId: this.roomId,
+            peerId: this.peerId,
+            userId: this.userId,
+            userName: this.userName,
+            producerId: this.producer.id,
+            text: transcript.text,
+            language: transcript.language||this.sourceLanguage,
+            isFinal: transcript.isFinal,
+            ...segment,
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: processUtterance
+    // PURPOSE: STT → MT → TTS for every target language
+    // ─────────────────────────────────────────────────────────────────────
+
+    async processUtterance(frames, segment)
+    {
+        if (this.closed||!isTranslationAllowed(this.roomId)) return;
+
+        if (LANGUAGE_DETECTION_ENABLED)
+        {
+            await this.detectLanguage(frames);
+        }
+
+        const engine=getEngine();
+
+        const transcript=await engine.transcribe({frames}, {language: this.sourceLanguage});
+        if (!transcript.text||this.closed) return;
+
+        this.emitTranscript({...transcript, isFinal: true}, segment);
+        // Final text goes out even when nobody needs translated audio
+
+        let ttsCharacters=0;
+
+        const targetLanguages=new Set([...this.channels.keys(), ...this.mixedChannels.keys()]);
+
+        for (const language of targetLanguages)
+        {
+            const languages={from: this.sourceLanguage, to: language};
+
+            const translatedText=await translateForRoom(this.roomId, transcript.text, languages, async (text) =>
+            {
+                const translation=await engine.translate(text, languages);
+                return translation.text;
+            });
+
+            const speech=await engine.synthesize(translatedText, {
+                language,
+                voice: await resolveVoice(this.voice, language),
+                sourceFrames: frames,
+            });
+
+            this.channels.get(language)?.enqueue(speech.frames);
+            this.mixedChannels.get(language)?.enqueue(speech.frames);
+            ttsCharacters+=translatedText.length;
+        }
+
+        recordUsage({
+            roomId: this.roomId,
+            userId: this.userId,
+            audioSeconds: frames.length*FRAME_MS/1000,
+            ttsCharacters,
+        }).catch((err) =>
+        {
+            console.error(`Could not record usage for producer ${this.producer.id}:`, err.message);
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: detectLanguage
+    // PURPOSE: Switch sourceLanguage when the speaker isn't speaking it
+    // ─────────────────────────────────────────────────────────────────────
+
+    async detectLanguage(frames)
+    {
+        let detection;
+        try
+        {
+            detection=await getLanguageDetector().identify({frames}, {hint: this.sourceLanguage});
+        } catch (err)
+        {
+            console.error(`Language detection failed for producer ${this.producer.id}:`, err.message);
+            return;
+        }
+
+        // ─── Wait until enough utterances in a row agree ───
+        const language=this.languageConfirmation.observe(detection||{}, this.sourceLanguage);
+        if (!language||this.closed) return;
+
+        this.setSourceLanguage(language, detection.confidence);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: setSourceLanguage
+    // PURPOSE: Translate FROM a different language from now on
+    // ─────────────────────────────────────────────────────────────────────
+
+    setSourceLanguage(language, confidence=1)
+    {
+        const previousLanguage=this.sourceLanguage;
+        if (language===previousLanguage) return;
+
+        this.sourceLanguage=language;
+        this.languageConfirmation.reset();
+
+        // ─── Listeners of the new language now hear the original ───
+        for (const channels of [this.channels, this.mixedChannels])
+        {
+            const channel=channels.get(language);
+            if (!channel) continue;
+
+            const info=this.describeChannel(channel);
+            channels.delete(language);
+            channel.close();
+            translationEvents.emit("producerclose", info);
+        }
+
+        console.log(`🌐 Producer ${this.producer.id} language ${previousLanguage} → ${language}`);
+
+        translationEvents.emit("languagedetected", {
+            roomId: this.roomId,
+            peerId: this.peerId,
+            userId: this.userId,
+            producerId: this.producer.id,
+            language,
+            previousLanguage,
+            confidence,
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: close
+    // PURPOSE: Tear down the tap and every language channel
+    // ─────────────────────────────────────────────────────────────────────
+
+    close()
+    {
+        if (this.closed) return;
+        this.closed=true;
+
+        clearTimeout(this.silenceTimer);
+        this.frames=[];
+
+        for (const channel of [...this.channels.values(), ...this.mixedChannels.values()])
+        {
+            const info=this.describeChannel(channel);
+            channel.close();
+            translationEvents.emit("producerclose", info);
+        }
+        this.channels.clear();
+        this.mixedChannels.clear();
+
+        try {this.tapConsumer?.close();} catch (e) {}
+        try {this.tapTransport?.close();} catch (e) {}
+        try {this.tapSocket?.close();} catch (e) {}
+        try {this.sendSocket?.close();} catch (e) {}
+
+        console.log(`🌐 Translation tap stopped for producer ${this.producer.id}`);
+    }
+}
+
+const bindSocket=() => new Promise((resolve, reject) =>
+{
+    const socket=dgram.createSocket("udp4");
+    socket.once("error", reject);
+    socket.bind(0, LOOPBACK_IP, () =>
+    {
+        socket.off("error", reject);
+        socket.on("error", (err) => console.error("Translation socket error:", err.message));
+        resolve(socket);
+    });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: startAudioTranslation
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Start translating an audio producer
+//
+// WHEN CALLED: When someone starts sharing their microphone
+//
+// PARAMETERS:
+// - roomId: Which room
+// - producer: The speaker's mediasoup audio Producer
+// - options.peerId / userId / userName: Who is speaking
+// - options.sourceLanguage: What language they speak (Participant.languageSpoken)
+// - options.targetLanguages: Languages listeners in the room want
+// - options.mixedLanguages: Languages someone listens to in "mixed" mode
+// - options.voice: Their preferred TTS voice (User.preferred_voice)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const startAudioTranslation=async (roomId, producer, {peerId, userId, userName, sourceLanguage, targetLanguages=[], mixedLanguages=[], voice=null}) =>
+{
+    if (pipelines.has(producer.id)) return pipelines.get(producer.id);
+
+    const pipeline=new TranslationPipeline(roomId, producer, {peerId, userId, userName, sourceLanguage, voice});
+    pipelines.set(producer.id, pipeline);
+
+    try
+    {
+        await pipeline.start(targetLanguages, mixedLanguages);
+    } catch (err)
+    {
+        stopAudioTranslation(producer.id);
+        throw err;
+    }
+
+    return pipeline;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: addTranslationLanguage
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Make sure every speaker in a room is translated into "language"
+//
+// WHEN CALLED: When a listener with a new target language joins
+//
+// options.mixed: Add the mixed (original + translation) stream instead
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const addTranslationLanguage=async (roomId, language, {mixed=false}={}) =>
+{
+    const pending=[];
+
+    for (const pipeline of pipelines.values())
+    {
+        if (pipeline.roomId===roomId)
+        {
+            pending.push(pipeline.addLanguage(language, {mixed}));
+        }
+    }
+
+    await Promise.all(pending);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: stopAudioTranslation
+// PURPOSE: Stop translating one producer (speaker muted for good / left)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const stopAudioTranslation=(producerId) =>
+{
+    const pipeline=pipelines.get(producerId);
+    if (!pipeline) return;
+
+    pipelines.delete(producerId);
+    pipeline.close();
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: stopRoomTranslations
+// PURPOSE: Stop every pipeline in a room (room is being cleaned up)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const stopRoomTranslations=(roomId) =>
+{
+    for (const [producerId, pipeline] of pipelines)
+    {
+        if (pipeline.roomId===roomId)
+        {
+            stopAudioTranslation(producerId);
+        }
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: setSpeakerVoice
+// PURPOSE: Apply a voice change to a user's live pipelines (next utterance on)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const setSpeakerVoice=(userId, voice) =>
+{
+    for (const pipeline of pipelines.values())
+    {
+        if (pipeline.userId?.toString()===userId.toString())
+        {
+            pipeline.voice=voice;
+        }
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getTranslatedProducerId
+// PURPOSE: Find the translated version of a producer in a given language
+// options.mixed: The mixed stream (original ducked under the translation)
+// RETURNS: producerId, or null when there is no such translation
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getTranslatedProducerId=(sourceProducerId, language, {mixed=false}={}) =>
+{
+    const pipeline=pipelines.get(sourceProducerId);
+    const channel=(mixed? pipeline?.mixedChannels:pipeline?.channels)?.get(language);
+    return channel&&!channel.closed? channel.producer.id:null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getRoomTranslations
+// PURPOSE: List every translated producer in a room
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getRoomTranslations=(roomId) =>
+{
+    const translations=[];
+
+    for (const pipeline of pipelines.values())
+    {
+        if (pipeline.roomId!==roomId) continue;
+
+        for (const channel of [...pipeline.channels.values(), ...pipeline.mixedChannels.values()])
+        {
+            translations.push(pipeline.describeChannel(channel));
+        }
+    }
+
+    return translations;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF FILE SUMMARY
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// EXPORTS:
+// 1. startAudioTranslation(roomId, producer, options) - Tap + translate a mic
+// 2. addTranslationLanguage(roomId, language, opts)   - Add a target language
+// 3. stopAudioTranslation(producerId)                 - Stop one pipeline
+// 4. stopRoomTranslations(roomId)                     - Stop a room's pipelines
+// 5. setSpeakerVoice(userId, voice)                   - Change a speaker's voice
+// 6. getTranslatedProducerId(producerId, lang, opts)  - Look up a translation
+// 7. getRoomTranslations(roomId)                      - List translations
+// 8. translationEvents                                - "producer" / "producerclose" /
+//                                                       "transcript" / "languagedetected"
+//
+// RTP helpers (parseRtpPacket / buildRtpPacket) live in rtp.packet.js
+//
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -310,9 +310,15 @@ export const connectTransport=async (transportId, dtlsParameters, roomId, peer)
 // - Plain RTP is simpler (no ICE, no DTLS)
 // - Works with standard media tools
 //
+// PARAMETERS:
+// - roomId: Which room (to get the router)
+// - options: Overrides for the defaults below (optional)
+//   EXAMPLE: { listenIp: { ip: "127.0.0.1" }, comedia: false }
+//   The translation pipeline uses this for loopback-only taps
+//
 // ═══════════════════════════════════════════════════════════════════════════════
 
-export const createPlainRtpTransport=async (roomId) =>
+export const createPlainRtpTransport=async (roomId, options={}) =>
 {
 
     const router=getRouter(roomId);
@@ -339,6 +345,9 @@ export const createPlainRtpTransport=async (roomId) =>
         // Instead of specifying remote IP/port, the transport
         // learns them from the first incoming packet
         // This is useful when the remote endpoint's address is unknown
+
+        ...options,
+        // Caller overrides win (e.g. loopback listenIp, comedia off)
     });
 
     return {
@@ -464,7 +473,7 @@ export const getTransportStats=async (transport) =>
 // EXPORTS:
 // 1. createWebRtcTransport(roomId, type) - Create browser transport
 // 2. connectTransport(transportId, dtlsParams, roomId, peer) - Complete connection
-// 3. createPlainRtpTransport(roomId) - Create for recording/streaming
+// 3. createPlainRtpTransport(roomId, options) - Create for recording/streaming/translation
 // 4. createPipeTransport(roomId) - Create for multi-worker routing
 // 5. getTransportStats(transport) - Get transport statistics
 //
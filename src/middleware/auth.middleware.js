@@ -1,31 +1,47 @@
 import userModel from "../model/user.model.js";
-import jwt from 'jsonwebtoken';
+import {verifyAccessToken} from "../auth/session.manager.js";
+import {isApiKey, verifyApiKey} from "../auth/apikey.manager.js";
+import {CSRF_HEADER, getRequestToken, isSafeMethod, isValidCsrfToken} from "../auth/cookie.manager.js";
 
 //making auth-middleware
 export const authMiddleware=async (req, res, next) =>
 {
     try
     {
-        // Check Authorization header (Bearer token)
-        const authHeader=req.headers.authorization||req.headers.cookie;
-        if (!authHeader)
+        // Bearer header first, then the httpOnly cookie
+        const {token, source, error}=getRequestToken(req);
+        if (!token)
         {
             return res.status(401).json({
-                message: "Unauthorized - No token provided"
+                message: "Unauthorized - "+error
             });
         }
 
-        // Extract token from "Bearer <token>"
-        const token=authHeader.split(' ')[1];
-        if (!token)
+        // API keys only work on routes that name a scope (authWithScope)
+        if (source==="bearer"&&isApiKey(token))
         {
-            return res.status(401).json({
-                message: "Unauthorized - Invalid token format"
-            });
+            if (!req.apiKeyScope)
+            {
+                return res.status(403).json({
+                    message: "Forbidden - API keys can't be used here"
+                });
+            }
+
+            const key=await verifyApiKey(token, {ip: req.ip});
+            if (!key.scopes.includes(req.apiKeyScope))
+            {
+                return res.status(403).json({
+                    message: `Forbidden - API key is missing the ${req.apiKeyScope} scope`
+                });
+            }
+
+            req.user=key;
+            req.authSource="apikey";
+            return next();
         }
 
-        // Verify JWT token
-        const decoded=jwt.verify(token, process.env.JWT_SECRET);
+        // Verify JWT token (and that its session wasn't revoked)
+        const decoded=await verifyAccessToken(token);
         if (!decoded)
         {
             return res.status(401).json({
@@ -33,7 +49,16 @@ export const authMiddleware=async (req, res, next) =>
             });
         }
 
+        // cookies are sent by the browser on its own - changes need the CSRF token too
+        if (source==="cookie"&&!isSafeMethod(req.method)&&!isValidCsrfToken(decoded.sid, req.get(CSRF_HEADER)))
+        {
+            return res.status(403).json({
+                message: "Forbidden - Invalid CSRF token"
+            });
+        }
+
         req.user=decoded;
+        req.authSource=source;
         next();
     }
     catch (err)
@@ -43,4 +68,36 @@ export const authMiddleware=async (req, res, next) =>
             message: "Unauthorized - "+err.message
         });
     }
-}
\ No newline at end of file
+}
+
+// like authMiddleware, but also lets in API keys that have this scope
+// (logged-in users are never limited by scopes)
+export const authWithScope=(scope) => (req, res, next) =>
+{
+    req.apiKeyScope=scope;
+    return authMiddleware(req, res, next);
+}
+
+// use after authMiddleware - blocks accounts that haven't confirmed their email
+export const requireVerifiedEmail=async (req, res, next) =>
+{
+    try
+    {
+        const user=await userModel.findById(req.user.id).select("email_verified");
+        if (!user?.email_verified)
+        {
+            return res.status(403).json({
+                success: false,
+                message: "Please verify your email first"
+            });
+        }
+        next();
+    }
+    catch (err)
+    {
+        console.error("Auth Error:", err.message);
+        return res.status(500).json({
+            message: "Error in checking email verification"
+        });
+    }
+}
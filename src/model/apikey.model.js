@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// keys for bots and integrations - they act as their owner, limited to scopes
+const apiKeySchema=new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // public part of the key ("mfk_<keyId>.<secret>"), used to find it
+    keyId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // sha256 of the secret part - the key itself is shown once, never stored
+    secretHash: {
+        type: String,
+        required: true
+    },
+
+    scopes: [
+        {
+            type: String,
+            enum: ["rooms:read", "rooms:write", "meetings:join-as-bot", "admin:read"]
+        }
+    ],
+
+    expiresAt: {
+        type: Date
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    lastUsedAt: {
+        type: Date
+    },
+
+    lastUsedIp: {
+        type: String
+    },
+
+    rotatedAt: {
+        type: Date
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+apiKeySchema.index({userId: 1, revokedAt: 1});
+
+const apiKeyModel=mongoose.model("ApiKey", apiKeySchema);
+export default apiKeyModel;
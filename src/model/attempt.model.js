@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// failed logins per account ("email:<email>") and per client ("ip:<ip>")
+const attemptSchema=new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // failures since the last success / since the window started
+    failures: {
+        type: Number,
+        default: 0
+    },
+
+    firstFailedAt: {
+        type: Date
+    },
+
+    lastFailedAt: {
+        type: Date
+    },
+
+    // progressive delay: no attempt is checked before this
+    nextAttemptAt: {
+        type: Date
+    },
+
+    lockedUntil: {
+        type: Date
+    },
+
+    // the record is dropped once nothing about it matters any more
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+attemptSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const attemptModel=mongoose.model("LoginAttempt", attemptSchema);
+export default attemptModel;
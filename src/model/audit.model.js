@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// security-relevant account events (failed logins, lockouts, resets ...)
+const auditSchema=new mongoose.Schema({
+    event: {
+        type: String,
+        required: true
+    },
+
+    // null when the email doesn't belong to an account
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+
+    email: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    userAgent: {
+        type: String
+    },
+
+    // event specific details, e.g. { reason: "bad_password", failedAttempts: 4 }
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditSchema.index({userId: 1, createdAt: -1});
+auditSchema.index({event: 1, createdAt: -1});
+
+const auditModel=mongoose.model("Audit", auditSchema);
+export default auditModel;
@@ -19,11 +19,106 @@ const roomSchema=new mongoose.Schema({
         }
     ],
 
+    // take over as host when the creator isn't in the meeting
+    coHosts: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }
+    ],
+
     isActive: {
         type: Boolean,
         default: true
     },
 
+    // how live meetings in this room behave - read by the socket server on join
+    settings: {
+        maxParticipants: {
+            type: Number,
+            default: 150,
+            min: 2,
+            max: 150
+        },
+        // defaults for people joining for the first time
+        languageSpoken: {
+            type: String,
+            default: "en"
+        },
+        targetLanguage: {
+            type: String,
+            default: "hi"
+        },
+        // recorders / translators joining with an API key
+        allowBots: {
+            type: Boolean,
+            default: true
+        },
+        // anyone signed in may add themselves as a participant
+        allowSelfJoin: {
+            type: Boolean,
+            default: false
+        }
+    },
+
+    // terms machine translation must get right (product names etc.)
+    glossary: {
+        entries: [
+            {
+                _id: false,
+                sourceLanguage: {type: String, required: true},
+                targetLanguage: {type: String, required: true},
+                source: {type: String, required: true},
+                target: {type: String, required: true}
+            }
+        ],
+
+        // kept exactly as written in every language
+        doNotTranslate: [
+            {
+                type: String
+            }
+        ]
+    },
+
+    // generated from the transcript when the meeting ends
+    summary: {
+        status: {
+            type: String,
+            enum: ["pending", "ready", "failed"]
+        },
+        language: String,
+        provider: String,
+        text: String,
+        decisions: [String],
+        actionItems: [
+            {
+                _id: false,
+                text: String,
+                owner: String
+            }
+        ],
+
+        // the same summary in participants' preferred languages
+        translations: [
+            {
+                _id: false,
+                language: String,
+                text: String,
+                decisions: [String],
+                actionItems: [
+                    {
+                        _id: false,
+                        text: String,
+                        owner: String
+                    }
+                ]
+            }
+        ],
+        generatedAt: Date,
+        error: String
+    },
+
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// one login = one session = one refresh token family
+const sessionSchema=new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // sha256 of the CURRENT refresh token secret - older ones are reuse
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+
+    // the secret it replaced, and when - still accepted for a few seconds
+    // so two tabs refreshing at once aren't mistaken for token theft
+    previousRefreshTokenHash: {
+        type: String
+    },
+
+    rotatedAt: {
+        type: Date
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    revokedReason: {
+        type: String
+    },
+
+    userAgent: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // when the user proved who they are (password + 2FA, or SSO) - refreshes
+    // keep the session going but don't move this
+    authenticatedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({userId: 1, revokedAt: 1});
+sessionSchema.index({expiresAt: 1}, {expireAfterSeconds: 7*24*60*60});
+// expired sessions are kept a week (for reuse detection), then dropped
+
+const sessionModel=mongoose.model("Session", sessionSchema);
+export default sessionModel;
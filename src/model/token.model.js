@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// single-use links sent by email (verify email, reset password)
+const tokenSchema=new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    type: {
+        type: String,
+        enum: ["email_verification", "password_reset"],
+        required: true
+    },
+
+    // sha256 of the token in the link - the link itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // for email verification: the address the link was sent to
+    email: {
+        type: String
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    usedAt: {
+        type: Date
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tokenSchema.index({userId: 1, type: 1});
+tokenSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const tokenModel=mongoose.model("Token", tokenSchema);
+export default tokenModel;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const transcriptSchema=new mongoose.Schema({
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+        required: true
+    },
+
+    speakerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    speakerName: {
+        type: String
+    },
+
+    segmentId: {
+        type: String,
+        required: true
+    },
+
+    language: {
+        type: String,
+        required: true
+    },
+
+    text: {
+        type: String,
+        required: true
+    },
+
+    // when this meeting in the room began (the same room can be met in
+    // again later) - cue times count from here
+    meetingStartedAt: {
+        type: Date,
+        required: true
+    },
+
+    // when it was said
+    startedAt: {
+        type: Date,
+        required: true
+    },
+
+    endedAt: {
+        type: Date,
+        required: true
+    },
+
+    // cached machine translations of text
+    translations: [
+        {
+            _id: false,
+            language: String,
+            text: String
+        }
+    ],
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+transcriptSchema.index({roomId: 1, meetingStartedAt: 1, startedAt: 1});
+transcriptSchema.index({roomId: 1, segmentId: 1}, {unique: true});
+
+const transcriptModel=mongoose.model("Transcript", transcriptSchema);
+export default transcriptModel;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// one document per room, user and UTC day - counters are $inc'ed in place
+const usageSchema=new mongoose.Schema({
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // midnight UTC of the day the usage happened
+    day: {
+        type: Date,
+        required: true
+    },
+
+    // speech sent through transcription + translation
+    audioSeconds: {
+        type: Number,
+        default: 0
+    },
+
+    // chat text sent to the machine translator (cache hits are free)
+    chatCharacters: {
+        type: Number,
+        default: 0
+    },
+
+    // captions, transcripts and summaries sent to the machine translator
+    textCharacters: {
+        type: Number,
+        default: 0
+    },
+
+    // text turned into translated speech
+    ttsCharacters: {
+        type: Number,
+        default: 0
+    }
+});
+
+usageSchema.index({roomId: 1, userId: 1, day: 1}, {unique: true});
+usageSchema.index({userId: 1, day: 1});
+
+const usageModel=mongoose.model("Usage", usageSchema);
+export default usageModel;
@@ -17,10 +17,31 @@ const userSchema=new mongoose.Schema({
 
     password: {
         type: String,
-        required: true,
+        // accounts created through SSO have none
+        required: function ()
+        {
+            return !this.sso_identities?.length;
+        },
         select: false // ✅ this hides password by default
     },
 
+    // identity provider accounts linked to this user (OpenID Connect "sub")
+    sso_identities: [{
+        provider: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        linked_at: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }],
+
     preferred_language: {
         type: String,
         default: "en"
@@ -31,11 +52,82 @@ const userSchema=new mongoose.Schema({
         default: "en-US-Wavenet-D"
     },
 
+    // profile picture on disk (avatar.manager.js) - served by /api/auth/avatar/:id
+    avatar: {
+        content_type: {
+            type: String
+        },
+        updated_at: {
+            type: Date
+        }
+    },
+
+    // "admin" can create API keys with admin scopes (set in the database)
+    role: {
+        type: String,
+        enum: ["user", "admin"],
+        default: "user"
+    },
+
+    email_verified: {
+        type: Boolean,
+        default: false
+    },
+
+    email_verified_at: {
+        type: Date
+    },
+
+    // TOTP two-factor authentication - secrets are never selected by default
+    two_factor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // set on enroll, becomes "secret" once a code proves the app has it
+        pending_secret: {
+            type: String,
+            select: false
+        },
+        // sha256 of each unused recovery code
+        recovery_codes: {
+            type: [String],
+            select: false
+        },
+        // last accepted 30s step - the same code can't be used twice
+        last_used_step: {
+            type: Number,
+            select: false
+        },
+        enabled_at: {
+            type: Date
+        }
+    },
+
+    // set while an account deletion is pending (cancellable until scheduled_for)
+    deletion: {
+        requested_at: {
+            type: Date
+        },
+        scheduled_for: {
+            type: Date
+        }
+    },
+
     created_at: {
         type: Date,
         default: Date.now
     }
 });
 
+userSchema.index({"sso_identities.provider": 1, "sso_identities.subject": 1}, {
+    unique: true,
+    partialFilterExpression: {"sso_identities.subject": {$exists: true}}
+});
+
 const userModel=mongoose.model("User", userSchema);
 export default userModel;
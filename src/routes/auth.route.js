@@ -1,12 +1,57 @@
 import express from "express";
-import {currentUser, loginController, registerController} from "../controllers/auth.controller.js";
-import {authMiddleware} from "../middleware/auth.middleware.js";
+import {currentUser, forgotPasswordController, getCsrfToken, loginController, loginTwoFactorController, logoutController, refreshController, registerController, resendVerificationController, resetPasswordController, verifyEmailController} from "../controllers/auth.controller.js";
+import {getVoicePreview, getVoices, updateVoice} from "../controllers/voice.controller.js";
+import {getUserUsage} from "../controllers/usage.controller.js";
+import {changePassword, getAvatar, getLanguages, removeAvatar, updateProfile, uploadAvatar} from "../controllers/profile.controller.js";
+import {getSessions, revokeOtherSessions, revokeSessionById} from "../controllers/session.controller.js";
+import {cancelAccountDeletionRequest, exportData, requestAccountDeletion} from "../controllers/privacy.controller.js";
+import {AVATAR_MAX_BYTES} from "../auth/avatar.manager.js";
+import {getSsoProviders, ssoCallback, ssoLogin} from "../controllers/sso.controller.js";
+import {activateTwoFactorController, disableTwoFactorController, enrollTwoFactorController, regenerateRecoveryCodesController} from "../controllers/twofactor.controller.js";
+import {createApiKeyController, getAdminAuditTrail, getApiKeys, revokeApiKeyController, rotateApiKeyController} from "../controllers/apikey.controller.js";
+import {authMiddleware, authWithScope} from "../middleware/auth.middleware.js";
 const router=express.Router();
 
 
 router.post("/login", loginController);
+router.post("/login/2fa", loginTwoFactorController);
+router.get("/sso/providers", getSsoProviders);
+router.get("/sso/:provider/login", ssoLogin);
+router.get("/sso/:provider/callback", ssoCallback);
 router.post("/register", registerController);
+router.post("/refresh", refreshController);
+router.post("/logout", authMiddleware, logoutController);
+router.post("/verify-email", verifyEmailController);
+router.post("/resend-verification", authMiddleware, resendVerificationController);
+router.post("/forgot-password", forgotPasswordController);
+router.post("/reset-password", resetPasswordController);
 router.get("/get-user", authMiddleware, currentUser)
+router.get("/csrf-token", authMiddleware, getCsrfToken);
+router.get("/languages", getLanguages);
+router.put("/update-profile", authMiddleware, updateProfile);
+router.put("/change-password", authMiddleware, changePassword);
+router.put("/avatar", authMiddleware, express.raw({type: () => true, limit: AVATAR_MAX_BYTES}), uploadAvatar);
+router.delete("/avatar", authMiddleware, removeAvatar);
+router.get("/avatar/:id", authMiddleware, getAvatar);
+router.get("/get-sessions", authMiddleware, getSessions);
+router.delete("/revoke-session/:id", authMiddleware, revokeSessionById);
+router.delete("/revoke-other-sessions", authMiddleware, revokeOtherSessions);
+router.get("/export-data", authMiddleware, exportData);
+router.post("/delete-account", authMiddleware, requestAccountDeletion);
+router.post("/cancel-deletion", authMiddleware, cancelAccountDeletionRequest);
+router.get("/voices", authMiddleware, getVoices);
+router.put("/update-voice", authMiddleware, updateVoice);
+router.post("/preview-voice", authMiddleware, getVoicePreview);
+router.get("/get-usage", authMiddleware, getUserUsage);
+router.post("/2fa/enroll", authMiddleware, enrollTwoFactorController);
+router.post("/2fa/activate", authMiddleware, activateTwoFactorController);
+router.post("/2fa/disable", authMiddleware, disableTwoFactorController);
+router.post("/2fa/recovery-codes", authMiddleware, regenerateRecoveryCodesController);
+router.post("/create-api-key", authMiddleware, createApiKeyController);
+router.get("/get-api-keys", authMiddleware, getApiKeys);
+router.post("/rotate-api-key/:id", authMiddleware, rotateApiKeyController);
+router.delete("/revoke-api-key/:id", authMiddleware, revokeApiKeyController);
+router.get("/admin/get-audit-trail", authWithScope("admin:read"), getAdminAuditTrail);
 
 
 export default router;
@@ -1,12 +1,12 @@
 import express from "express";
-import {authMiddleware} from "../middleware/auth.middleware.js";
+import {authWithScope} from "../middleware/auth.middleware.js";
 import {addParticipant, deleteParticipant, getParticipantById, getParticipantsByRoomId, updateParticipant} from "../controllers/participant.controller.js";
 const router=express.Router();
-router.post("/add-participant", authMiddleware, addParticipant)
-router.get("/get-participant-by-id/:id", authMiddleware, getParticipantById)
-router.get("/get-participant-by-room-id/:id", authMiddleware, getParticipantsByRoomId);
-router.put("/update-participant/:id", authMiddleware, updateParticipant);
-router.delete("/delete-participant/:id", authMiddleware, deleteParticipant);
+router.post("/add-participant", authWithScope("rooms:write"), addParticipant)
+router.get("/get-participant-by-id/:id", authWithScope("rooms:read"), getParticipantById)
+router.get("/get-participant-by-room-id/:id", authWithScope("rooms:read"), getParticipantsByRoomId);
+router.put("/update-participant/:id", authWithScope("rooms:write"), updateParticipant);
+router.delete("/delete-participant/:id", authWithScope("rooms:write"), deleteParticipant);
 
 
 
@@ -1,11 +1,24 @@
 import express from "express";
-import {authMiddleware} from "../middleware/auth.middleware.js";
-import {endRoom, getAllRoom, getRoomsById, roomCreate} from "../controllers/room.controller.js";
+import {authWithScope, requireVerifiedEmail} from "../middleware/auth.middleware.js";
+import {endRoom, exportTranscript, getAllRoom, getRoomsById, getSummary, getTranscript, regenerateSummary, roomCreate, updateCoHosts, updateRoomSettings} from "../controllers/room.controller.js";
+import {exportGlossary, getGlossary, importGlossary, updateGlossary} from "../controllers/glossary.controller.js";
+import {getRoomUsage} from "../controllers/usage.controller.js";
 const router=express.Router();
-router.post("/create-room", authMiddleware, roomCreate)
-router.get("/get-all-room", authMiddleware, getAllRoom)
-router.get("/get-room-by-id/:id", authMiddleware, getRoomsById);
-router.delete("/delete-room/:id", authMiddleware, endRoom);
+router.post("/create-room", authWithScope("rooms:write"), requireVerifiedEmail, roomCreate)
+router.get("/get-all-room", authWithScope("rooms:read"), getAllRoom)
+router.get("/get-room-by-id/:id", authWithScope("rooms:read"), getRoomsById);
+router.delete("/delete-room/:id", authWithScope("rooms:write"), endRoom);
+router.put("/update-room-settings/:id", authWithScope("rooms:write"), updateRoomSettings);
+router.put("/update-co-hosts/:id", authWithScope("rooms:write"), updateCoHosts);
+router.get("/get-transcript/:id", authWithScope("rooms:read"), getTranscript);
+router.get("/export-transcript/:id", authWithScope("rooms:read"), exportTranscript);
+router.get("/get-summary/:id", authWithScope("rooms:read"), getSummary);
+router.post("/generate-summary/:id", authWithScope("rooms:write"), regenerateSummary);
+router.get("/get-glossary/:id", authWithScope("rooms:read"), getGlossary);
+router.put("/update-glossary/:id", authWithScope("rooms:write"), updateGlossary);
+router.post("/import-glossary/:id", authWithScope("rooms:write"), express.text({type: ["text/csv", "text/plain"]}), importGlossary);
+router.get("/export-glossary/:id", authWithScope("rooms:read"), exportGlossary);
+router.get("/get-usage/:id", authWithScope("rooms:read"), getRoomUsage);
 
 export default router;
 
@@ -0,0 +1,160 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// socket/socket.auth.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Nobody talks to the socket server without logging in first
+//
+// HANDSHAKE (io.use - runs before "connection"):
+// - Token from io({ auth: { token } }), an Authorization header, or the
+//   httpOnly "token" cookie (cookies only from ALLOWED origins - otherwise
+//   any website could open a socket with the user's cookies)
+// - Access tokens (JWT + live session) or API keys with the
+//   "meetings:join-as-bot" scope
+// - Unauthenticated connections are refused with connect_error
+//   (err.message, err.data.status)
+//
+// socket.data.user = { id, sid, keyId, name, isBot, expiresAt }
+//
+// STAYING CONNECTED:
+// - When the token expires the socket gets "tokenExpired" and is disconnected
+// - To avoid that, send a fresh access token (from /api/auth/refresh) with
+//   "reauthenticate" { token } - or simply reconnect
+// - Revoking the session / API key sends "sessionRevoked" and disconnects
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {AuthError, sessionEvents, verifyAccessToken} from "../auth/session.manager.js";
+import {apiKeyEvents, isApiKey, verifyApiKey} from "../auth/apikey.manager.js";
+import {getHandshakeToken} from "../auth/cookie.manager.js";
+
+const MAX_TIMER_MS=2**31-1;
+// setTimeout can't wait longer (~24.8 days) - longer waits are split up
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: authenticateToken
+// RETURNS: What goes into socket.data.user
+// THROWS: AuthError
+// ─────────────────────────────────────────────────────────────────────────────
+
+const authenticateToken=async (token, {ip}) =>
+{
+    if (isApiKey(token))
+    {
+        const key=await verifyApiKey(token, {ip});
+        if (!key.scopes.includes("meetings:join-as-bot"))
+        {
+            throw new AuthError("API key is missing the meetings:join-as-bot scope", 403);
+        }
+
+        return {id: key.id, sid: null, keyId: key.keyId, name: key.name, isBot: true, expiresAt: key.expiresAt};
+    }
+
+    const decoded=await verifyAccessToken(token);
+    return {id: decoded.id, sid: decoded.sid, keyId: null, name: null, isBot: false, expiresAt: new Date(decoded.exp*1000)};
+};
+
+const endSocket=(socket, event, reason) =>
+{
+    socket.emit(event, {reason});
+    socket.disconnect(true);
+    // "disconnect" runs the usual cleanup (leaves the meeting)
+
+    console.log(`🔒 Socket ${socket.id} of user ${socket.data.user?.id} disconnected (${event}: ${reason})`);
+};
+
+const scheduleExpiry=(socket) =>
+{
+    clearTimeout(socket.data.expiryTimer);
+
+    const {expiresAt}=socket.data.user;
+    if (!expiresAt) return;
+    // API keys without an expiry date
+
+    const delay=Math.max(expiresAt.getTime()-Date.now(), 0);
+
+    socket.data.expiryTimer=setTimeout(() =>
+    {
+        if (socket.data.user.expiresAt.getTime()>Date.now()) return scheduleExpiry(socket);
+        endSocket(socket, "tokenExpired", "Token expired");
+    }, Math.min(delay, MAX_TIMER_MS));
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: attachSocketAuth
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - io: Socket.IO server - call BEFORE the connection handlers are added
+// - allowedOrigins: Frontends allowed to connect with the cookie
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const attachSocketAuth=(io, {allowedOrigins}) =>
+{
+    // ─── Handshake: no valid token, no connection ───
+    io.use(async (socket, next) =>
+    {
+        try
+        {
+            const {token, source, error}=getHandshakeToken(socket.handshake);
+            if (!token) throw new AuthError(error);
+
+            if (source==="cookie"&&!allowedOrigins.includes(socket.handshake.headers.origin))
+            {
+                throw new AuthError("Cookie login is not allowed from this origin", 403);
+            }
+
+            socket.data.user=await authenticateToken(token, {ip: socket.handshake.address});
+            next();
+        } catch (err)
+        {
+            const error=new Error(err instanceof AuthError? `Unauthorized - ${err.message}`:"Authentication failed");
+            error.data={status: err.status||500};
+            next(error);
+        }
+    });
+
+    io.on("connection", (socket) =>
+    {
+        scheduleExpiry(socket);
+
+        // ─── A fresh token keeps the socket alive past the old one's expiry ───
+        socket.on("reauthenticate", async ({token}={}, callback) =>
+        {
+            try
+            {
+                const user=await authenticateToken(token, {ip: socket.handshake.address});
+                if (user.id!==socket.data.user.id||user.isBot!==socket.data.user.isBot)
+                {
+                    return callback?.({error: "Token belongs to someone else"});
+                }
+
+                socket.data.user=user;
+                scheduleExpiry(socket);
+                callback?.({expiresAt: user.expiresAt});
+            } catch (err)
+            {
+                callback?.({error: err.message});
+            }
+        });
+
+        socket.on("disconnect", () => clearTimeout(socket.data.expiryTimer));
+    });
+
+    // ─── Logged out / revoked elsewhere: their sockets go too ───
+    sessionEvents.on("revoked", ({sessionId, reason}) =>
+    {
+        for (const socket of io.of("/").sockets.values())
+        {
+            if (socket.data.user?.sid===sessionId) endSocket(socket, "sessionRevoked", reason);
+        }
+    });
+
+    apiKeyEvents.on("revoked", ({keyId}) =>
+    {
+        for (const socket of io.of("/").sockets.values())
+        {
+            if (socket.data.user?.keyId===keyId) endSocket(socket, "sessionRevoked", "API key revoked");
+        }
+    });
+};
@@ -2,9 +2,15 @@
 
 import {Server} from "socket.io";
 import {roomController} from "../mediasoup/room.controller.js";
+import {attachSocketAuth} from "./socket.auth.js";
 
 import {createWorkers} from "../mediasoup/worker.manager.js";
 
+const ALLOWED_ORIGINS=[
+    "http://localhost:5173",
+    "https://meet-flow-zy99.vercel.app"
+];
+
 const initSocketServer=async (httpServer) =>
 {
 
@@ -15,10 +21,7 @@ const initSocketServer=async (httpServer) =>
     const io=new Server(httpServer, {
         cors: {
 
-            origin: [
-                "http://localhost:5173",
-                "https://meet-flow-zy99.vercel.app"
-            ],
+            origin: ALLOWED_ORIGINS,
             methods: ["GET", "POST"],
             credentials: true
         },
@@ -27,6 +30,9 @@ const initSocketServer=async (httpServer) =>
 
     console.log("⚡ Socket.IO initialized");
 
+    // 🔥 Only logged-in users (or bots with an API key) get in
+    attachSocketAuth(io, {allowedOrigins: ALLOWED_ORIGINS});
+
     // 🔥 Attach mediasoup signaling
     roomController(io);
 
@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/audio.mixer.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Lay the speaker's original voice, turned down, under the translation
+//
+// THE MIXER INTERFACE:
+// - mix(foreground, background, { backgroundGain }) → frame
+//   foreground: One 20ms Opus frame of translated speech
+//   background: One 20ms Opus frame of the original audio
+//   backgroundGain: 0..1, how loud the original stays under the translation
+// - close() (optional): Free the codec state
+//
+// Called every 20ms per mixed stream, so it is synchronous
+// Opus codecs carry state from frame to frame, so every mixed stream gets
+// its own mixer (createAudioMixer)
+//
+// CHOOSING A MIXER:
+// - AUDIO_MIXER env variable (default: "local")
+// - Providers call registerAudioMixer("name", factory) before first use
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import OpusScript from "opusscript";
+
+const SAMPLE_RATE=48000;
+const CHANNELS=2;
+// What mediasoup negotiates for Opus (opus/48000/2)
+
+const SILENCE_FRAME_MAX_BYTES=3;
+// Opus silence / DTX comfort-noise frames are this small
+
+const DEFAULT_BACKGROUND_GAIN=0.2;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LocalAudioMixer
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Mix in-process with libopus (opusscript, WebAssembly)
+//
+// HOW IT WORKS:
+// 1. Decode both frames to 16-bit PCM (one decoder per input stream)
+// 2. Scale the original's samples by backgroundGain
+// 3. Add them to the translation's samples, clipping at the 16-bit range
+// 4. Encode the sum back into one Opus frame
+//
+// A silent translation frame (DTX) needs no mixing - the original goes out
+// as it is, at full level
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class LocalAudioMixer
+{
+    constructor()
+    {
+        this.name="local";
+
+        this.foregroundDecoder=new OpusScript(SAMPLE_RATE, CHANNELS, OpusScript.Application.AUDIO);
+        this.backgroundDecoder=new OpusScript(SAMPLE_RATE, CHANNELS, OpusScript.Application.AUDIO);
+        this.encoder=new OpusScript(SAMPLE_RATE, CHANNELS, OpusScript.Application.AUDIO);
+    }
+
+    mix(foreground, background, {backgroundGain=DEFAULT_BACKGROUND_GAIN}={})
+    {
+        if (!foreground||foreground.length<=SILENCE_FRAME_MAX_BYTES) return background||foreground;
+
+        const speech=this.decode(this.foregroundDecoder, foreground);
+        const original=this.decode(this.backgroundDecoder, background);
+        if (!speech||!original) return foreground;
+
+        // ─── Sum sample by sample, the original scaled down ───
+        const mixed=Buffer.alloc(speech.length);
+
+        for (let offset=0; offset<speech.length; offset+=2)
+        {
+            const under=offset<original.length? original.readInt16LE(offset)*backgroundGain:0;
+            const sample=Math.round(speech.readInt16LE(offset)+under);
+            mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), offset);
+        }
+
+        return this.encoder.encode(mixed, speech.length/(2*CHANNELS));
+    }
+
+    decode(decoder, frame)
+    {
+        try
+        {
+            return decoder.decode(frame);
+        } catch (err)
+        {
+            return null;
+            // A frame the decoder can't read - leave it out of the mix
+        }
+    }
+
+    close()
+    {
+        this.foregroundDecoder.delete();
+        this.backgroundDecoder.delete();
+        this.encoder.delete();
+    }
+}
+
+const mixerFactories=new Map([
+    ["local", () => new LocalAudioMixer()],
+]);
+
+const assertMixer=(mixer, name) =>
+{
+    if (typeof mixer?.mix!=="function")
+    {
+        throw new Error(`Audio mixer "${name}" is missing mix()`);
+    }
+    return mixer;
+};
+
+export const registerAudioMixer=(name, factory) =>
+{
+    mixerFactories.set(name, factory);
+};
+
+// A new mixer for one mixed stream
+export const createAudioMixer=() =>
+{
+    const name=process.env.AUDIO_MIXER||"local";
+    const factory=mixerFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown audio mixer: ${name}`);
+    }
+
+    return assertMixer(factory(), name);
+};
@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/caption.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Turn speaker transcripts into live captions for every listener
+//
+// HOW IT WORKS:
+// 1. The translation pipeline emits "transcript" events (interim + final)
+// 2. fanOutCaption() translates the text ONCE per language needed
+// 3. Each recipient socket gets the caption in its own target language:
+//    - "captionPartial": Speaker is still talking, text may change
+//    - "captionFinal":   Utterance finished, text is settled
+//
+// Partials and the final for one utterance share a segmentId, so clients
+// can replace the interim line with the final one
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {getEngine} from "./engine.registry.js";
+import {translateRoomText} from "./text.translator.js";
+import {QuotaExceededError} from "./usage.manager.js";
+
+const finalizedSegments=new Map();
+// WHAT: segmentIds whose final caption was already sent
+// WHY: An interim translation that finishes late must not overwrite the final
+// STRUCTURE: segmentId → timestamp
+
+const MAX_TRACKED_SEGMENTS=1000;
+// Oldest entries are dropped past this (Map keeps insertion order)
+
+const markFinalized=(segmentId) =>
+{
+    finalizedSegments.set(segmentId, Date.now());
+
+    while (finalizedSegments.size>MAX_TRACKED_SEGMENTS)
+    {
+        finalizedSegments.delete(finalizedSegments.keys().next().value);
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: translateCaption
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Translate one transcript into several languages
+// (using the room's glossary, billed to the speaker as textCharacters)
+// A room over its quota gets the original text
+//
+// RETURNS: Map of language → translated text
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const translateCaption=async (transcript, languages) =>
+{
+    const engine=getEngine();
+    const translations=new Map();
+
+    for (const language of new Set(languages))
+    {
+        if (language===transcript.language)
+        {
+            translations.set(language, transcript.text);
+            continue;
+        }
+
+        try
+        {
+            translations.set(language, await translateRoomText(transcript.text, {
+                roomId: transcript.roomId,
+                userId: transcript.userId,
+                from: transcript.language,
+                to: language,
+                metric: "textCharacters",
+                translate: (text, pair) => engine.translate(text, pair),
+            }));
+        } catch (err)
+        {
+            if (!(err instanceof QuotaExceededError)) throw err;
+            translations.set(language, transcript.text);
+        }
+    }
+
+    return translations;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: fanOutCaption
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Send a transcript to every recipient, in their own language
+//
+// PARAMETERS:
+// - transcript: { segmentId, peerId, userId, userName, text, language, isFinal, startedAt, endedAt }
+// - recipients: Array of { socket, targetLanguage }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const fanOutCaption=async (transcript, recipients) =>
+{
+    const {segmentId, isFinal}=transcript;
+
+    if (!isFinal&&finalizedSegments.has(segmentId)) return;
+    if (recipients.length===0)
+    {
+        if (isFinal) markFinalized(segmentId);
+        return;
+    }
+
+    const translations=await translateCaption(
+        transcript,
+        recipients.map((recipient) => recipient.targetLanguage)
+    );
+
+    // ─── Re-check: the final may have gone out while we were translating ───
+    if (!isFinal&&finalizedSegments.has(segmentId)) return;
+    if (isFinal) markFinalized(segmentId);
+
+    const event=isFinal? "captionFinal":"captionPartial";
+
+    for (const {socket, targetLanguage} of recipients)
+    {
+        socket.emit(event, {
+            segmentId,
+            peerId: transcript.peerId,
+            userName: transcript.userName,
+            text: translations.get(targetLanguage),
+            language: targetLanguage,
+            originalText: transcript.text,
+            originalLanguage: transcript.language,
+            isFinal,
+            startedAt: transcript.startedAt,
+            endedAt: transcript.endedAt,
+        });
+    }
+};
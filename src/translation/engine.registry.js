@@ -0,0 +1,90 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/engine.registry.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Pick which speech translation engine the server uses
+//
+// THE ENGINE INTERFACE (every engine must implement all three):
+// - transcribe({ frames }, { language, interim }) → { text, language, confidence, isFinal }
+// - translate(text, { from, to })                 → { text, from, to }
+// - synthesize(text, { language, voice, ... })    → { frames }
+//
+// OPTIONAL:
+// - listVoices(language) → [{ id, language, gender, name }] (the TTS voice
+//   catalog; without it everyone gets the provider's default voice)
+//
+// "frames" are 20ms Opus frames (Buffers) - exactly what mediasoup forwards
+// "interim" = the utterance isn't finished yet (used for live captions)
+//
+// CHOOSING AN ENGINE:
+// - TRANSLATION_ENGINE env variable (default: "local")
+// - Providers call registerEngine("name", factory) before the first getEngine()
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {LocalTranslationEngine} from "./local.engine.js";
+
+const ENGINE_METHODS=["transcribe", "translate", "synthesize"];
+
+const engineFactories=new Map([
+    ["local", () => new LocalTranslationEngine()],
+]);
+// STRUCTURE: engine name (string) → factory function returning an engine
+
+let activeEngine=null;
+// The engine instance currently in use (created lazily)
+
+const assertEngine=(engine, name) =>
+{
+    for (const method of ENGINE_METHODS)
+    {
+        if (typeof engine?.[method]!=="function")
+        {
+            throw new Error(`Translation engine "${name}" is missing ${method}()`);
+        }
+    }
+    return engine;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: registerEngine
+// PURPOSE: Make a new engine selectable via TRANSLATION_ENGINE
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const registerEngine=(name, factory) =>
+{
+    engineFactories.set(name, factory);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getEngine
+// PURPOSE: Get the active engine, creating it on first use
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getEngine=() =>
+{
+    if (activeEngine) return activeEngine;
+
+    const name=process.env.TRANSLATION_ENGINE||"local";
+    const factory=engineFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown translation engine: ${name}`);
+    }
+
+    activeEngine=assertEngine(factory(), name);
+    console.log(`🌐 Translation engine: ${name}`);
+
+    return activeEngine;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: setEngine
+// PURPOSE: Swap in an engine instance directly (tests, custom wiring)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const setEngine=(engine) =>
+{
+    activeEngine=engine? assertEngine(engine, engine.name||"custom"):null;
+};
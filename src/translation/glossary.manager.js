@@ -0,0 +1,274 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/glossary.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Make every translation path respect a room's glossary
+//
+// A ROOM GLOSSARY HAS:
+// - entries:        "MeetFlow" (en) → "MeetFlow Live" (fr) for one language pair
+// - doNotTranslate: Terms kept exactly as written ("mediasoup", "Kubernetes")
+//
+// HOW IT'S APPLIED (translateWithGlossary):
+// 1. Protected terms in the text are swapped for placeholders (__0__, __1__)
+// 2. The text is translated - engines leave the placeholders alone
+// 3. Placeholders are swapped back: glossary target term, or the original term
+//
+// Glossaries are cached per room and dropped when the creator edits them
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import mongoose from "mongoose";
+import roomModel from "../model/room.model.js";
+
+const EMPTY_GLOSSARY=Object.freeze({entries: [], doNotTranslate: []});
+
+const glossaryCache=new Map();
+// STRUCTURE: roomId → Promise of { entries, doNotTranslate }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getRoomGlossary
+// PURPOSE: Load (and cache) a room's glossary
+// Socket rooms that aren't a Mongo Room id have no glossary
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getRoomGlossary=(roomId) =>
+{
+    if (!roomId||!mongoose.isValidObjectId(roomId)) return Promise.resolve(EMPTY_GLOSSARY);
+
+    const key=roomId.toString();
+
+    if (!glossaryCache.has(key))
+    {
+        const loading=roomModel.findById(key).select("glossary")
+            .then((room) => ({
+                entries: room?.glossary?.entries||[],
+                doNotTranslate: room?.glossary?.doNotTranslate||[],
+            }))
+            .catch((err) =>
+            {
+                glossaryCache.delete(key);
+                console.error(`Could not load glossary for room ${key}:`, err.message);
+                return EMPTY_GLOSSARY;
+            });
+
+        glossaryCache.set(key, loading);
+    }
+
+    return glossaryCache.get(key);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: invalidateRoomGlossary
+// PURPOSE: Forget the cached glossary (called after it is edited)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const invalidateRoomGlossary=(roomId) =>
+{
+    glossaryCache.delete(roomId.toString());
+};
+
+const escapeRegExp=(text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const termPattern=(term) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, "giu");
+// Whole words only, case-insensitive: "flow" doesn't match inside "MeetFlow"
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: translateWithGlossary
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - text: What to translate
+// - options.from / options.to: Language pair
+// - options.glossary: { entries, doNotTranslate }
+// - translate: async (text) => translated text (the actual engine/provider call)
+//
+// RETURNS: The translated text with glossary terms applied
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const translateWithGlossary=async (text, {from, to, glossary=EMPTY_GLOSSARY}, translate) =>
+{
+    const rules=[
+        ...glossary.entries
+            .filter((entry) => entry.sourceLanguage===from&&entry.targetLanguage===to)
+            .map((entry) => ({term: entry.source, replacement: entry.target})),
+        ...glossary.doNotTranslate
+            .map((term) => ({term, replacement: null})),
+            // null = put back exactly what was written
+    ].filter((rule) => rule.term);
+
+    if (rules.length===0) return translate(text);
+
+    rules.sort((a, b) => b.term.length-a.term.length);
+    // Longest terms first: "MeetFlow Pro" before "MeetFlow"
+
+    // ─── Step 1: Swap protected terms for placeholders ───
+    const placeholders=[];
+    let masked=text;
+
+    for (const rule of rules)
+    {
+        masked=masked.replace(termPattern(rule.term), (match) =>
+        {
+            placeholders.push(rule.replacement??match);
+            return `__${placeholders.length-1}__`;
+        });
+    }
+
+    if (placeholders.length===0) return translate(text);
+
+    // ─── Step 2: Translate ───
+    const translated=await translate(masked);
+
+    // ─── Step 3: Put the terms back ───
+    return translated.replace(/__(\d+)__/g, (placeholder, index) => placeholders[index]??placeholder);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: translateForRoom
+// PURPOSE: translateWithGlossary using the room's own glossary
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const translateForRoom=async (roomId, text, {from, to}, translate) =>
+{
+    const glossary=await getRoomGlossary(roomId);
+    return translateWithGlossary(text, {from, to, glossary}, translate);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CSV IMPORT / EXPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// FORMAT (header row required):
+// type,source_language,target_language,source,target
+// glossary,en,fr,MeetFlow,MeetFlow Live
+// dnt,,,mediasoup,
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CSV_HEADER=["type", "source_language", "target_language", "source", "target"];
+
+const csvCell=(value="") =>
+{
+    const text=String(value);
+    return /[",\r\n]/.test(text)? `"${text.replace(/"/g, '""')}"`:text;
+};
+
+const parseCsvRows=(csv) =>
+{
+    const rows=[];
+    let row=[];
+    let cell="";
+    let inQuotes=false;
+
+    for (let i=0; i<csv.length; i++)
+    {
+        const char=csv[i];
+
+        if (inQuotes)
+        {
+            if (char==='"'&&csv[i+1]==='"')
+            {
+                cell+='"';
+                i++;
+            } else if (char==='"')
+            {
+                inQuotes=false;
+            } else
+            {
+                cell+=char;
+            }
+        } else if (char==='"')
+        {
+            inQuotes=true;
+        } else if (char===",")
+        {
+            row.push(cell);
+            cell="";
+        } else if (char==="\n"||char==="\r")
+        {
+            if (char==="\r"&&csv[i+1]==="\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row=[];
+            cell="";
+        } else
+        {
+            cell+=char;
+        }
+    }
+
+    if (inQuotes) throw new Error("Unterminated quoted value in CSV");
+
+    if (cell!==""||row.length>0)
+    {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter((cells) => cells.some((value) => value.trim()!==""));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: glossaryToCsv
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const glossaryToCsv=({entries=[], doNotTranslate=[]}) =>
+{
+    const lines=[CSV_HEADER.join(",")];
+
+    for (const entry of entries)
+    {
+        lines.push(["glossary", entry.sourceLanguage, entry.targetLanguage, entry.source, entry.target].map(csvCell).join(","));
+    }
+
+    for (const term of doNotTranslate)
+    {
+        lines.push(["dnt", "", "", term, ""].map(csvCell).join(","));
+    }
+
+    return lines.join("\n")+"\n";
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: csvToGlossary
+// RETURNS: { entries, doNotTranslate } - throws with the bad line number
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const csvToGlossary=(csv) =>
+{
+    const [header, ...rows]=parseCsvRows(csv.replace(/^\uFEFF/, ""));
+    // Strip the BOM spreadsheet apps like to add
+
+    if (!header||header.map((cell) => cell.trim().toLowerCase()).join(",")!==CSV_HEADER.join(","))
+    {
+        throw new Error(`CSV header must be: ${CSV_HEADER.join(",")}`);
+    }
+
+    const glossary={entries: [], doNotTranslate: []};
+
+    rows.forEach((cells, index) =>
+    {
+        const [type, sourceLanguage, targetLanguage, source, target]=cells.map((cell) => cell.trim());
+        const line=index+2;
+
+        if (type==="glossary")
+        {
+            if (!sourceLanguage||!targetLanguage||!source||!target)
+            {
+                throw new Error(`Line ${line}: glossary rows need source_language, target_language, source and target`);
+            }
+            glossary.entries.push({sourceLanguage, targetLanguage, source, target});
+        } else if (type==="dnt")
+        {
+            if (!source) throw new Error(`Line ${line}: dnt rows need a source term`);
+            glossary.doNotTranslate.push(source);
+        } else
+        {
+            throw new Error(`Line ${line}: type must be "glossary" or "dnt"`);
+        }
+    });
+
+    return glossary;
+};
@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/language.detector.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Work out what language someone is actually speaking
+//
+// THE DETECTOR INTERFACE:
+// - identify({ frames }, { hint }) → { language, confidence }
+//   frames: 20ms Opus frames of one utterance
+//   hint:   The language we currently believe they speak
+//
+// CHOOSING A DETECTOR:
+// - LANGUAGE_DETECTOR env variable (default: "local")
+// - Providers call registerLanguageDetector("name", factory) before first use
+//
+// SWITCHING (LanguageConfirmation):
+// - Detections below LANGUAGE_DETECTION_MIN_CONFIDENCE (default 0.8) count
+//   for nothing
+// - Two utterances in a row must agree before the speaker's language changes
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LANGUAGE_DETECTION_MIN_CONFIDENCE=Number(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE)||0.8;
+// WHAT: Detections below this confidence are ignored
+
+const LANGUAGE_DETECTION_CONFIRMATIONS=2;
+// WHAT: Consecutive utterances that must agree before switching language
+// WHY: One misheard utterance shouldn't re-route everybody's audio
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LocalLanguageDetector
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Offline stand-in - it can't really listen, so it is predictable:
+// - With a forced language (LANGUAGE_DETECTOR_FORCE=fr) it always says that
+// - Otherwise it agrees with the hint (nothing ever changes)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class LocalLanguageDetector
+{
+    constructor({forcedLanguage=process.env.LANGUAGE_DETECTOR_FORCE||null}={})
+    {
+        this.name="local";
+        this.forcedLanguage=forcedLanguage;
+    }
+
+    async identify({frames=[]}, {hint=null}={})
+    {
+        if (frames.length===0) return {language: null, confidence: 0};
+
+        if (this.forcedLanguage)
+        {
+            return {language: this.forcedLanguage, confidence: 1};
+        }
+
+        return {language: hint, confidence: hint? 1:0};
+    }
+}
+
+const detectorFactories=new Map([
+    ["local", () => new LocalLanguageDetector()],
+]);
+
+let activeDetector=null;
+
+const assertDetector=(detector, name) =>
+{
+    if (typeof detector?.identify!=="function")
+    {
+        throw new Error(`Language detector "${name}" is missing identify()`);
+    }
+    return detector;
+};
+
+export const registerLanguageDetector=(name, factory) =>
+{
+    detectorFactories.set(name, factory);
+};
+
+export const getLanguageDetector=() =>
+{
+    if (activeDetector) return activeDetector;
+
+    const name=process.env.LANGUAGE_DETECTOR||"local";
+    const factory=detectorFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown language detector: ${name}`);
+    }
+
+    activeDetector=assertDetector(factory(), name);
+    return activeDetector;
+};
+
+export const setLanguageDetector=(detector) =>
+{
+    activeDetector=detector? assertDetector(detector, detector.name||"custom"):null;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LanguageConfirmation
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Decide, one detection at a time, when a speaker really switched
+// (one per speaker / producer)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class LanguageConfirmation
+{
+    constructor({minConfidence=LANGUAGE_DETECTION_MIN_CONFIDENCE, confirmations=LANGUAGE_DETECTION_CONFIRMATIONS}={})
+    {
+        this.minConfidence=minConfidence;
+        this.confirmations=confirmations;
+
+        this.candidate=null;
+        this.count=0;
+        // Candidate language and how many utterances in a row agreed on it
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: observe
+    // PARAMETERS: What identify() said, and the language they speak so far
+    // RETURNS: The language to switch to, or null to keep the current one
+    // ─────────────────────────────────────────────────────────────────────
+
+    observe({language, confidence=0}={}, currentLanguage)
+    {
+        if (!language||language===currentLanguage||confidence<this.minConfidence)
+        {
+            this.reset();
+            return null;
+        }
+
+        this.count=this.candidate===language? this.count+1:1;
+        this.candidate=language;
+
+        return this.count>=this.confirmations? language:null;
+    }
+
+    reset()
+    {
+        this.candidate=null;
+        this.count=0;
+    }
+}
@@ -0,0 +1,33 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/languages.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Which languages users can pick (preferred_language, spoken/target)
+//
+// Codes are ISO 639-1 ("en", "hi" ...), the same ones the engines use
+// SUPPORTED_LANGUAGES env variable ("en,hi,fr") narrows or extends the list -
+// codes missing from LANGUAGE_NAMES are shown by their code
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LANGUAGE_NAMES={
+    en: "English",
+    hi: "Hindi",
+    fr: "French",
+    es: "Spanish",
+    de: "German",
+};
+
+const DEFAULT_LANGUAGES=Object.keys(LANGUAGE_NAMES);
+
+export const getSupportedLanguages=() =>
+{
+    const codes=process.env.SUPPORTED_LANGUAGES
+        ? process.env.SUPPORTED_LANGUAGES.split(",").map((code) => code.trim().toLowerCase()).filter(Boolean)
+        :DEFAULT_LANGUAGES;
+
+    return codes.map((code) => ({code, name: LANGUAGE_NAMES[code]||code}));
+};
+
+export const isSupportedLanguage=(code) =>
+    typeof code==="string"&&getSupportedLanguages().some((language) => language.code===code);
@@ -0,0 +1,280 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/local.engine.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: A deterministic, offline stand-in for a real speech translation engine
+//
+// WHY?
+// - Real STT / machine translation / TTS providers need network + API keys
+// - Development and automated tests should run the whole loop without them
+// - Same input audio ALWAYS produces the same text and the same output audio
+//
+// HOW IT "WORKS":
+// - transcribe(): picks a phrase from a fixed list using a checksum of the audio
+//                 (interim results are the first half of that phrase)
+// - translate():  word-by-word dictionary lookup (unknown words pass through)
+// - synthesize(): re-voices the original audio frames (or silence if none)
+// - listVoices(): a small fixed catalog named like Google Cloud TTS voices
+// - detectLanguage(): counts dictionary hits per language (used for chat)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PHRASES - What the local "recognizer" can hear (always English source words)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PHRASES=[
+    "hello everyone",
+    "can you hear me",
+    "let us start the meeting",
+    "thank you",
+    "see you tomorrow",
+    "i agree",
+    "any questions",
+    "good morning",
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DICTIONARY - English → other language, one word at a time
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Translating between two non-English languages pivots through English
+// EXAMPLE: fr → hi = fr → en → hi
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DICTIONARY={
+    hi: {
+        hello: "नमस्ते", everyone: "सभी", can: "क्या", you: "आप", hear: "सुन", me: "मुझे",
+        let: "चलिए", us: "हम", start: "शुरू", the: "", meeting: "बैठक", thank: "धन्यवाद",
+        see: "मिलते", tomorrow: "कल", i: "मैं", agree: "सहमत", any: "कोई", questions: "प्रश्न",
+        good: "सुप्रभात", morning: "", yes: "हाँ", no: "नहीं",
+    },
+    fr: {
+        hello: "bonjour", everyone: "tout le monde", can: "pouvez", you: "vous", hear: "entendre", me: "me",
+        let: "laissez", us: "nous", start: "commencer", the: "la", meeting: "réunion", thank: "merci",
+        see: "à", tomorrow: "demain", i: "je", agree: "suis d'accord", any: "des", questions: "questions",
+        good: "bon", morning: "matin", yes: "oui", no: "non",
+    },
+    es: {
+        hello: "hola", everyone: "a todos", can: "puedes", you: "tú", hear: "oír", me: "me",
+        let: "deja", us: "nos", start: "empezar", the: "la", meeting: "reunión", thank: "gracias",
+        see: "hasta", tomorrow: "mañana", i: "yo", agree: "estoy de acuerdo", any: "alguna", questions: "preguntas",
+        good: "buenos", morning: "días", yes: "sí", no: "no",
+    },
+    de: {
+        hello: "hallo", everyone: "zusammen", can: "kannst", you: "du", hear: "hören", me: "mich",
+        let: "lass", us: "uns", start: "beginnen", the: "das", meeting: "treffen", thank: "danke",
+        see: "bis", tomorrow: "morgen", i: "ich", agree: "stimme zu", any: "irgendwelche", questions: "fragen",
+        good: "guten", morning: "morgen", yes: "ja", no: "nein",
+    },
+};
+
+// Reverse lookup tables (other language → English), built once
+const REVERSE_DICTIONARY=Object.fromEntries(
+    Object.entries(DICTIONARY).map(([language, words]) => [
+        language,
+        Object.fromEntries(
+            Object.entries(words)
+                .filter(([, translated]) => translated&&!translated.includes(" "))
+                .map(([english, translated]) => [translated, english])
+        ),
+    ])
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VOICES - What the local "synthesizer" pretends it can sound like
+// ─────────────────────────────────────────────────────────────────────────────
+
+const VOICES=[
+    {id: "en-US-Wavenet-D", language: "en", gender: "male", name: "English (US) D"},
+    {id: "en-US-Wavenet-F", language: "en", gender: "female", name: "English (US) F"},
+    {id: "hi-IN-Wavenet-B", language: "hi", gender: "male", name: "Hindi B"},
+    {id: "hi-IN-Wavenet-A", language: "hi", gender: "female", name: "Hindi A"},
+    {id: "fr-FR-Wavenet-B", language: "fr", gender: "male", name: "French B"},
+    {id: "fr-FR-Wavenet-A", language: "fr", gender: "female", name: "French A"},
+    {id: "es-ES-Wavenet-B", language: "es", gender: "male", name: "Spanish B"},
+    {id: "es-ES-Wavenet-C", language: "es", gender: "female", name: "Spanish C"},
+    {id: "de-DE-Wavenet-B", language: "de", gender: "male", name: "German B"},
+    {id: "de-DE-Wavenet-F", language: "de", gender: "female", name: "German F"},
+];
+
+const OPUS_SILENCE_FRAME=Buffer.from([0xf8, 0xff, 0xfe]);
+// WHAT: A single 20ms Opus frame that decodes to silence
+// Used when there is no source audio to re-voice
+
+const FRAMES_PER_CHARACTER=3;
+// 3 frames × 20ms = 60ms of "speech" per character of text
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const checksum=(frames) =>
+{
+    let sum=0;
+    for (const frame of frames)
+    {
+        for (const byte of frame)
+        {
+            sum=(sum+byte)%1000003;
+        }
+    }
+    return sum;
+};
+
+const translateToken=(token, from, to) =>
+{
+    // Keep punctuation around the word: "hello," → "bonjour,"
+    const [, before, word, after]=token.match(/^([^\p{L}\p{M}]*)(.*?)([^\p{L}\p{M}]*)$/u);
+    if (!word) return token;
+
+    const translated=translateWord(word, from, to);
+    return translated? before+translated+after:"";
+};
+
+const translateWord=(word, from, to) =>
+{
+    const english=from==="en"? word:REVERSE_DICTIONARY[from]?.[word];
+    if (english===undefined) return word;
+    // Not in the dictionary → leave the word untouched
+
+    if (to==="en") return english;
+
+    const translated=DICTIONARY[to]?.[english];
+    return translated===undefined? word:translated;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LocalTranslationEngine
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class LocalTranslationEngine
+{
+    constructor()
+    {
+        this.name="local";
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: transcribe (speech → text)
+    // ─────────────────────────────────────────────────────────────────────
+    // PARAMETERS:
+    // - audio.frames: Array of Opus frame Buffers
+    // - options.language: The language the speaker is using
+    // - options.interim: true = the speaker hasn't finished yet
+    // RETURNS: { text, language, confidence, isFinal }
+    // ─────────────────────────────────────────────────────────────────────
+
+    async transcribe({frames=[]}, {language="en", interim=false}={})
+    {
+        if (frames.length===0)
+        {
+            return {text: "", language, confidence: 0, isFinal: !interim};
+        }
+
+        let phrase=PHRASES[checksum(frames)%PHRASES.length];
+
+        if (interim)
+        {
+            const words=phrase.split(" ");
+            phrase=words.slice(0, Math.ceil(words.length/2)).join(" ");
+        }
+
+        const {text}=await this.translate(phrase, {from: "en", to: language});
+
+        return {text, language, confidence: interim? 0.5:1, isFinal: !interim};
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: translate (text → text)
+    // ─────────────────────────────────────────────────────────────────────
+    // RETURNS: { text, from, to }
+    // ─────────────────────────────────────────────────────────────────────
+
+    async translate(text, {from="en", to="en"}={})
+    {
+        if (!text||from===to)
+        {
+            return {text: text||"", from, to};
+        }
+
+        const translated=text
+            .toLowerCase()
+            .split(/\s+/)
+            .map((token) => translateToken(token, from, to))
+            .filter(Boolean)
+            .join(" ");
+
+        return {text: translated, from, to};
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: detectLanguage (text → language)
+    // ─────────────────────────────────────────────────────────────────────
+    // RETURNS: { language, confidence } - language is null if nothing matched
+    // ─────────────────────────────────────────────────────────────────────
+
+    async detectLanguage(text)
+    {
+        const words=(text||"").toLowerCase().split(/[^\p{L}\p{M}']+/u).filter(Boolean);
+        if (words.length===0) return {language: null, confidence: 0};
+
+        const scores={en: 0};
+        for (const word of words)
+        {
+            if (word in DICTIONARY.hi) scores.en+=1;
+            // English words are the dictionary keys
+
+            for (const language of Object.keys(REVERSE_DICTIONARY))
+            {
+                if (REVERSE_DICTIONARY[language][word]!==undefined)
+                {
+                    scores[language]=(scores[language]||0)+1;
+                }
+            }
+        }
+
+        const [language, hits]=Object.entries(scores).sort((a, b) => b[1]-a[1])[0];
+        if (hits===0) return {language: null, confidence: 0};
+
+        return {language, confidence: hits/words.length};
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: synthesize (text → speech)
+    // ─────────────────────────────────────────────────────────────────────
+    // PARAMETERS:
+    // - options.voice: Voice id from listVoices() (only echoed back here)
+    // - options.sourceFrames: Original audio, re-voiced as-is when present
+    // RETURNS: { frames, voice } - frames = Array of 20ms Opus frame Buffers
+    // ─────────────────────────────────────────────────────────────────────
+
+    async synthesize(text, {voice=null, sourceFrames}={})
+    {
+        if (sourceFrames?.length)
+        {
+            return {frames: sourceFrames.map((frame) => Buffer.from(frame)), voice};
+        }
+
+        const count=Math.max(1, (text||"").length*FRAMES_PER_CHARACTER);
+        return {frames: Array.from({length: count}, () => OPUS_SILENCE_FRAME), voice};
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // METHOD: listVoices
+    // ─────────────────────────────────────────────────────────────────────
+    // PARAMETERS:
+    // - language: Only voices for this language (all voices if omitted)
+    // RETURNS: Array of { id, language, gender, name }
+    // ─────────────────────────────────────────────────────────────────────
+
+    async listVoices(language=null)
+    {
+        return VOICES
+            .filter((voice) => !language||voice.language===language)
+            .map((voice) => ({...voice}));
+    }
+}
+
+export default LocalTranslationEngine;
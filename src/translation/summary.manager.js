@@ -0,0 +1,224 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/summary.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Write up a meeting once it's over
+//
+// HOW IT WORKS (generateMeetingSummary):
+// 1. Wait a moment, so the last transcript segments are saved
+// 2. Read the transcript, translated into one language (SUMMARY_LANGUAGE)
+// 3. The summary provider writes summary, decisions and action items
+// 4. The result is translated into each participant's preferred_language
+//    (SUMMARY_TRANSLATE=off skips this - it's then done on first request)
+// 5. Everything is stored on Room.summary
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import mongoose from "mongoose";
+import roomModel from "../model/room.model.js";
+import participantModel from "../model/participant.model.js";
+import userModel from "../model/user.model.js";
+import {getTranscriptSegments} from "./transcript.manager.js";
+import {getSummaryProvider} from "./summary.provider.js";
+import {translateRoomText} from "./text.translator.js";
+import {QuotaExceededError} from "./usage.manager.js";
+import {isSupportedLanguage} from "./languages.js";
+
+const SUMMARY_LANGUAGE=process.env.SUMMARY_LANGUAGE||"en";
+const SUMMARY_DELAY_MS=Number(process.env.SUMMARY_DELAY_MS??2000);
+const TRANSLATE_SUMMARIES=process.env.SUMMARY_TRANSLATE!=="off";
+
+const inFlight=new Map();
+// STRUCTURE: roomId → Promise (endMeeting and "last peer left" both fire)
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: generateMeetingSummary
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - roomId: Mongo Room id (socket rooms without one are skipped)
+// - options.delayMs: How long to wait for in-flight transcript writes
+//
+// RETURNS: The stored summary, or null when there was nothing to summarize
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const generateMeetingSummary=(roomId, {delayMs=SUMMARY_DELAY_MS}={}) =>
+{
+    if (!mongoose.isValidObjectId(roomId)) return Promise.resolve(null);
+
+    const key=roomId.toString();
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const running=buildSummary(key, delayMs)
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, running);
+
+    return running;
+};
+
+const buildSummary=async (roomId, delayMs) =>
+{
+    if (delayMs>0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+    const room=await roomModel.findById(roomId);
+    if (!room) return null;
+
+    const segments=await getSummarySegments(room);
+    if (segments.length===0) return null;
+
+    const provider=getSummaryProvider();
+    await roomModel.updateOne({_id: roomId}, {$set: {"summary.status": "pending"}});
+
+    try
+    {
+        const result=await provider.summarize({segments, language: SUMMARY_LANGUAGE, roomName: room.name});
+
+        const summary={
+            status: "ready",
+            language: SUMMARY_LANGUAGE,
+            provider: provider.name||"custom",
+            text: result.summary,
+            decisions: result.decisions||[],
+            actionItems: result.actionItems||[],
+            translations: [],
+            generatedAt: new Date(),
+            error: null,
+        };
+
+        if (TRANSLATE_SUMMARIES)
+        {
+            for (const language of await getParticipantLanguages(room))
+            {
+                if (language===SUMMARY_LANGUAGE) continue;
+
+                try
+                {
+                    summary.translations.push(await translateSummary(room, summary, language, room.createdBy));
+                } catch (err)
+                {
+                    if (!(err instanceof QuotaExceededError)) throw err;
+                    break;
+                    // Out of quota - the rest are made on request next month
+                }
+            }
+        }
+
+        await roomModel.updateOne({_id: roomId}, {$set: {summary}});
+        console.log(`📝 Summary ready for room ${roomId} (${summary.translations.length} translations)`);
+
+        return summary;
+    } catch (err)
+    {
+        console.error(`Could not summarize room ${roomId}:`, err.message);
+        await roomModel.updateOne(
+            {_id: roomId},
+            {$set: {"summary.status": "failed", "summary.error": err.message}}
+        );
+        return null;
+    }
+};
+
+// The latest meeting, in SUMMARY_LANGUAGE - or as spoken, once the room
+// can't pay for translating it
+const getSummarySegments=async (room) =>
+{
+    try
+    {
+        return await getTranscriptSegments(room._id, SUMMARY_LANGUAGE, {userId: room.createdBy});
+    } catch (err)
+    {
+        if (!(err instanceof QuotaExceededError)) throw err;
+        return getTranscriptSegments(room._id, "original");
+    }
+};
+
+const getParticipantLanguages=async (room) =>
+{
+    // Creator, invited participants and everyone who actually joined
+    const participants=await participantModel.find({roomId: room._id}).select("userId");
+    const userIds=[room.createdBy, ...room.participants, ...participants.map((participant) => participant.userId)];
+
+    const users=await userModel.find({_id: {$in: userIds}}).select("preferred_language");
+    return [...new Set(users.map((user) => user.preferred_language).filter(isSupportedLanguage))];
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: translateSummary
+// RETURNS: { language, text, decisions, actionItems } in "language"
+// Billed to userId as textCharacters (throws QuotaExceededError)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const translateSummary=async (room, summary, language, userId) =>
+{
+    const translate=(text) => translateRoomText(text, {
+        roomId: room._id,
+        userId,
+        from: summary.language,
+        to: language,
+        metric: "textCharacters",
+    });
+
+    const decisions=[];
+    for (const decision of summary.decisions) decisions.push(await translate(decision));
+
+    const actionItems=[];
+    for (const item of summary.actionItems) actionItems.push({text: await translate(item.text), owner: item.owner});
+
+    return {language, text: await translate(summary.text), decisions, actionItems};
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: getMeetingSummary
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - room: Room document
+// - language: Wanted language (null = the language it was written in)
+// - userId: Who a missing translation is billed to
+//
+// RETURNS: { status, language, text, decisions, actionItems, generatedAt }
+// or null when the room has no summary. Missing translations are made
+// (and stored) on first request
+// THROWS: QuotaExceededError when one is needed and the room is over quota
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const getMeetingSummary=async (room, language=null, {userId}={}) =>
+{
+    const summary=room.summary;
+    if (!summary?.status) return null;
+
+    const base={status: summary.status, provider: summary.provider, generatedAt: summary.generatedAt};
+
+    if (summary.status!=="ready")
+    {
+        return {...base, error: summary.error||null};
+    }
+
+    const original={
+        language: summary.language,
+        text: summary.text,
+        decisions: summary.decisions,
+        actionItems: summary.actionItems.map(({text, owner}) => ({text, owner})),
+    };
+
+    if (!language||language===summary.language) return {...base, ...original};
+    if (!isSupportedLanguage(language)) throw new Error(`Unsupported language: ${language}`);
+    // Each new language is stored on the Room - only ones we support
+
+    let translation=summary.translations.find((candidate) => candidate.language===language);
+    if (!translation)
+    {
+        translation=await translateSummary(room, original, language, userId);
+        await roomModel.updateOne({_id: room._id}, {$push: {"summary.translations": translation}});
+    }
+
+    return {
+        ...base,
+        language,
+        text: translation.text,
+        decisions: translation.decisions,
+        actionItems: translation.actionItems.map(({text, owner}) => ({text, owner})),
+    };
+};
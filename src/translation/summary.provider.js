@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/summary.provider.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Turn a meeting transcript into a summary (LLM providers plug in here)
+//
+// THE PROVIDER INTERFACE:
+// - summarize({ segments, language, roomName }) → { summary, decisions, actionItems }
+//   segments:    [{ speakerName, text, startMs, endMs }] all in "language"
+//   summary:     A short paragraph
+//   decisions:   [String]
+//   actionItems: [{ text, owner }] - owner is a speaker name or null
+//
+// CHOOSING A PROVIDER:
+// - SUMMARY_PROVIDER env variable (default: "local")
+// - Providers call registerSummaryProvider("name", factory) before first use
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASS: LocalSummaryProvider
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Offline stand-in - no model, just templates and keyword matching:
+// - summary:     Who spoke, for how long, and the first things said
+// - decisions:   Lines with "agree", "decided", "let us" ...
+// - actionItems: Lines with "will", "need to", "tomorrow" ... owned by the speaker
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DECISION_PATTERN=/\b(agree|agreed|decided|decision|let us|let's|approved|go with)\b/i;
+const ACTION_PATTERN=/\b(will|need to|needs to|todo|to do|action|follow up|tomorrow|by (monday|tuesday|wednesday|thursday|friday))\b/i;
+
+const OPENING_LINES=3;
+// How many of the first things said go into the summary
+
+export class LocalSummaryProvider
+{
+    constructor()
+    {
+        this.name="local";
+    }
+
+    async summarize({segments=[], roomName=""})
+    {
+        if (segments.length===0)
+        {
+            return {summary: "Nothing was said in this meeting.", decisions: [], actionItems: []};
+        }
+
+        const speakers=[...new Set(segments.map((segment) => segment.speakerName||"Unknown"))];
+        const durationMs=Math.max(...segments.map((segment) => segment.endMs))-Math.min(...segments.map((segment) => segment.startMs));
+        const minutes=Math.max(1, Math.round(durationMs/60000));
+
+        const opening=segments
+            .slice(0, OPENING_LINES)
+            .map((segment) => `${segment.speakerName||"Unknown"}: "${segment.text}"`)
+            .join(" ");
+
+        const summary=[
+            `${roomName? `"${roomName}" ran`:"The meeting ran"} about ${minutes} minute${minutes===1? "":"s"} with ${speakers.length} speaker${speakers.length===1? "":"s"} (${speakers.join(", ")}).`,
+            `It opened with ${opening}`,
+        ].join(" ");
+
+        const decisions=segments
+            .filter((segment) => DECISION_PATTERN.test(segment.text))
+            .map((segment) => segment.text);
+
+        const actionItems=segments
+            .filter((segment) => ACTION_PATTERN.test(segment.text)&&!DECISION_PATTERN.test(segment.text))
+            .map((segment) => ({text: segment.text, owner: segment.speakerName||null}));
+
+        return {summary, decisions, actionItems};
+    }
+}
+
+const providerFactories=new Map([
+    ["local", () => new LocalSummaryProvider()],
+]);
+
+let activeProvider=null;
+
+const assertProvider=(provider, name) =>
+{
+    if (typeof provider?.summarize!=="function")
+    {
+        throw new Error(`Summary provider "${name}" is missing summarize()`);
+    }
+    return provider;
+};
+
+export const registerSummaryProvider=(name, factory) =>
+{
+    providerFactories.set(name, factory);
+};
+
+export const getSummaryProvider=() =>
+{
+    if (activeProvider) return activeProvider;
+
+    const name=process.env.SUMMARY_PROVIDER||"local";
+    const factory=providerFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown summary provider: ${name}`);
+    }
+
+    activeProvider=assertProvider(factory(), name);
+    return activeProvider;
+};
+
+export const setSummaryProvider=(provider) =>
+{
+    activeProvider=provider? assertProvider(provider, provider.name||"custom"):null;
+};
@@ -0,0 +1,188 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/text.translator.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Translate short texts (chat messages) with a pluggable provider
+//
+// THE PROVIDER INTERFACE:
+// - detectLanguage(text)      → { language, confidence }
+// - translate(text, { from, to }) → { text, from, to }
+//
+// CHOOSING A PROVIDER:
+// - TEXT_TRANSLATOR env variable (default: "local", the dictionary stand-in)
+// - Providers call registerTextTranslator("name", factory) before first use
+//
+// ROOM TEXT:
+// - translateRoomText() is how chat, captions, transcripts and summaries get
+//   translated: room glossary applied, monthly quota checked, characters
+//   metered (usage.manager.js)
+//
+// CACHE:
+// - Chat repeats itself ("ok", "thanks", "can you hear me?")
+// - Every (from, to, text) result is kept in memory, oldest dropped first
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {LocalTranslationEngine} from "./local.engine.js";
+import {translateForRoom} from "./glossary.manager.js";
+import {QuotaExceededError, checkTranslationAllowed, recordUsage} from "./usage.manager.js";
+
+const PROVIDER_METHODS=["detectLanguage", "translate"];
+
+const providerFactories=new Map([
+    ["local", () => new LocalTranslationEngine()],
+    // The local engine's dictionary doubles as the text stand-in
+]);
+
+let activeProvider=null;
+
+const cache=new Map();
+// STRUCTURE: "from|to|text" → translated text
+
+const MAX_CACHE_ENTRIES=Number(process.env.TEXT_TRANSLATION_CACHE_SIZE)||5000;
+
+const assertProvider=(provider, name) =>
+{
+    for (const method of PROVIDER_METHODS)
+    {
+        if (typeof provider?.[method]!=="function")
+        {
+            throw new Error(`Text translator "${name}" is missing ${method}()`);
+        }
+    }
+    return provider;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Provider selection
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const registerTextTranslator=(name, factory) =>
+{
+    providerFactories.set(name, factory);
+};
+
+export const getTextTranslator=() =>
+{
+    if (activeProvider) return activeProvider;
+
+    const name=process.env.TEXT_TRANSLATOR||"local";
+    const factory=providerFactories.get(name);
+
+    if (!factory)
+    {
+        throw new Error(`Unknown text translator: ${name}`);
+    }
+
+    activeProvider=assertProvider(factory(), name);
+    return activeProvider;
+};
+
+export const setTextTranslator=(provider) =>
+{
+    activeProvider=provider? assertProvider(provider, provider.name||"custom"):null;
+    cache.clear();
+    // Cached results came from the old provider
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: detectLanguage
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - text: The text to inspect
+// - fallback: Language to assume when the provider can't tell
+//
+// RETURNS: { language, confidence }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const detectLanguage=async (text, fallback=null) =>
+{
+    const detected=await getTextTranslator().detectLanguage(text);
+
+    if (!detected?.language)
+    {
+        return {language: fallback, confidence: 0};
+    }
+
+    return detected;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: translateText
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// RETURNS: { text, from, to, cached }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const translateText=async (text, {from, to}) =>
+{
+    if (!text||!from||!to||from===to)
+    {
+        return {text, from, to, cached: false};
+    }
+
+    const key=`${from}|${to}|${text}`;
+
+    if (cache.has(key))
+    {
+        const translated=cache.get(key);
+        cache.delete(key);
+        cache.set(key, translated);
+        // Re-insert so it counts as recently used
+
+        return {text: translated, from, to, cached: true};
+    }
+
+    const result=await getTextTranslator().translate(text, {from, to});
+
+    cache.set(key, result.text);
+    while (cache.size>MAX_CACHE_ENTRIES)
+    {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return {text: result.text, from, to, cached: false};
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: translateRoomText
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - text: What to translate
+// - roomId: Whose glossary and quota apply
+// - userId: Who the characters are billed to
+// - from / to: Language pair
+// - metric: "chatCharacters" or "textCharacters"
+// - translate: (text, { from, to }) → { text, cached } - the text translator
+//   unless the caller needs the speech engine's
+//
+// RETURNS: The translated text
+// THROWS: QuotaExceededError once the room has used up a monthly quota
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const translateRoomText=async (text, {roomId, userId, from, to, metric, translate=translateText}) =>
+{
+    if (!await checkTranslationAllowed(roomId)) throw new QuotaExceededError();
+
+    const languages={from, to};
+    let characters=0;
+
+    const translated=await translateForRoom(roomId, text, languages, async (masked) =>
+    {
+        const translation=await translate(masked, languages);
+        if (!translation.cached) characters+=masked.length;
+        return translation.text;
+    });
+
+    recordUsage({roomId, userId, [metric]: characters}).catch((err) =>
+    {
+        console.error(`Could not record ${metric} for room ${roomId}:`, err.message);
+    });
+
+    return translated;
+};
@@ -0,0 +1,93 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/transcript.format.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Turn transcript segments into downloadable files
+//
+// SEGMENT SHAPE (input):
+// { speakerName, speakerId, language, text, startMs, endMs }
+//
+// FORMATS:
+// - srt:  SubRip subtitles         (00:00:01,000 --> 00:00:04,000)
+// - vtt:  WebVTT subtitles         (00:00:01.000 --> 00:00:04.000)
+// - txt:  Plain text, one line per segment
+// - json: The segments as JSON
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const TRANSCRIPT_FORMATS={
+    srt: {contentType: "application/x-subrip; charset=utf-8", extension: "srt"},
+    vtt: {contentType: "text/vtt; charset=utf-8", extension: "vtt"},
+    txt: {contentType: "text/plain; charset=utf-8", extension: "txt"},
+    json: {contentType: "application/json; charset=utf-8", extension: "json"},
+};
+
+const pad=(value, length=2) => String(value).padStart(length, "0");
+
+// 3723004 → "01:02:03" + separator + "004"
+const formatTimestamp=(ms, separator) =>
+{
+    const total=Math.max(0, Math.round(ms));
+    const hours=Math.floor(total/3600000);
+    const minutes=Math.floor((total%3600000)/60000);
+    const seconds=Math.floor((total%60000)/1000);
+    const millis=total%1000;
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+const speakerOf=(segment) => segment.speakerName||"Speaker";
+
+export const toSrt=(segments) =>
+    segments
+        .map((segment, index) => [
+            index+1,
+            `${formatTimestamp(segment.startMs, ",")} --> ${formatTimestamp(segment.endMs, ",")}`,
+            `${speakerOf(segment)}: ${segment.text}`,
+        ].join("\n"))
+        .join("\n\n")+"\n";
+
+// Cue text is markup in WebVTT: "<" starts a tag, "&" an entity and "-->"
+// would read as a timing line
+const escapeVtt=(text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+export const toVtt=(segments) =>
+    ["WEBVTT", ...segments.map((segment) => [
+        `${formatTimestamp(segment.startMs, ".")} --> ${formatTimestamp(segment.endMs, ".")}`,
+        `<v ${escapeVtt(speakerOf(segment))}>${escapeVtt(segment.text)}`,
+    ].join("\n"))].join("\n\n")+"\n";
+
+export const toTxt=(segments) =>
+    segments
+        .map((segment) => `[${formatTimestamp(segment.startMs, ".").slice(0, 8)}] ${speakerOf(segment)}: ${segment.text}`)
+        .join("\n")+"\n";
+
+export const toJson=(segments) =>
+    JSON.stringify(segments.map((segment) => ({
+        speakerId: segment.speakerId,
+        speakerName: segment.speakerName,
+        language: segment.language,
+        text: segment.text,
+        startMs: segment.startMs,
+        endMs: segment.endMs,
+    })), null, 2);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: formatTranscript
+// PURPOSE: Format segments by name ("srt" | "vtt" | "txt" | "json")
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const formatTranscript=(segments, format) =>
+{
+    switch (format)
+    {
+        case "srt": return toSrt(segments);
+        case "vtt": return toVtt(segments);
+        case "txt": return toTxt(segments);
+        case "json": return toJson(segments);
+        default: throw new Error(`Unsupported transcript format: ${format}`);
+    }
+};
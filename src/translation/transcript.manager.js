@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/transcript.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Keep what was said in a meeting after the meeting ends
+//
+// - saveTranscriptSegment(): Stores one final caption in the Transcript collection
+// - getTranscriptMeetings(): The meetings a room has transcripts for
+// - getTranscriptSegments(): Reads one meeting's transcript, in the original
+//   languages or translated into one language (translations are cached
+//   on the segment, so each one is only translated once)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import mongoose from "mongoose";
+import transcriptModel from "../model/transcript.model.js";
+import {getEngine} from "./engine.registry.js";
+import {translateRoomText} from "./text.translator.js";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: saveTranscriptSegment
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - transcript: A final "transcript" event from the translation pipeline
+// - speakerId: The speaker's userId
+// - meetingStartedAt: When the live meeting it belongs to began (ms)
+//
+// Times are stored as dates - the in-memory meeting is gone once everyone
+// leaves, and the same room can be met in again later
+// Skipped for socket rooms that aren't a Mongo Room id
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const saveTranscriptSegment=async (transcript, {speakerId, meetingStartedAt}) =>
+{
+    if (!mongoose.isValidObjectId(transcript.roomId)) return null;
+    if (!mongoose.isValidObjectId(speakerId)) return null;
+
+    return transcriptModel.findOneAndUpdate(
+        {roomId: transcript.roomId, segmentId: transcript.segmentId},
+        {
+            $set: {
+                speakerId,
+                speakerName: transcript.userName,
+                language: transcript.language,
+                text: transcript.text,
+                meetingStartedAt: new Date(meetingStartedAt??transcript.startedAt),
+                startedAt: new Date(transcript.startedAt),
+                endedAt: new Date(transcript.endedAt),
+            },
+        },
+        {upsert: true, new: true}
+    );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getTranscriptMeetings
+// PURPOSE: When each meeting held in the room began, oldest first
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getTranscriptMeetings=async (roomId) =>
+{
+    const starts=await transcriptModel.distinct("meetingStartedAt", {roomId});
+    return starts.sort((a, b) => a-b);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: getTranscriptSegments
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - roomId: Mongo Room id
+// - language: Target language, or null/"original" for the spoken languages
+// - meetingStartedAt: Which meeting (a start from getTranscriptMeetings) -
+//   the latest one if not given
+// - userId: Who new translations are billed to (textCharacters)
+//
+// THROWS: QuotaExceededError when a translation is needed and the room is
+// over its quota
+//
+// RETURNS: Array of { speakerId, speakerName, language, text, startMs, endMs }
+// startMs / endMs count from the start of the meeting
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const getTranscriptSegments=async (roomId, language=null, {meetingStartedAt, userId}={}) =>
+{
+    const meeting=meetingStartedAt
+        ? new Date(meetingStartedAt)
+        :(await getTranscriptMeetings(roomId)).at(-1);
+    if (!meeting) return [];
+
+    const segments=await transcriptModel.find({roomId, meetingStartedAt: meeting}).sort({startedAt: 1});
+    const wantsOriginal=!language||language==="original";
+
+    const result=[];
+
+    for (const segment of segments)
+    {
+        let text=segment.text;
+
+        if (!wantsOriginal&&segment.language!==language)
+        {
+            text=await getSegmentTranslation(segment, language, userId);
+        }
+
+        result.push({
+            speakerId: segment.speakerId,
+            speakerName: segment.speakerName,
+            language: wantsOriginal? segment.language:language,
+            text,
+            startMs: Math.max(0, segment.startedAt-meeting),
+            endMs: Math.max(0, segment.endedAt-meeting),
+        });
+    }
+
+    return result;
+};
+
+const getSegmentTranslation=async (segment, language, userId) =>
+{
+    const cached=segment.translations.find((translation) => translation.language===language);
+    if (cached) return cached.text;
+
+    const text=await translateRoomText(segment.text, {
+        roomId: segment.roomId,
+        userId,
+        from: segment.language,
+        to: language,
+        metric: "textCharacters",
+        translate: (masked, languages) => getEngine().translate(masked, languages),
+    });
+
+    await transcriptModel.updateOne(
+        {_id: segment._id},
+        {$push: {translations: {language, text}}}
+    );
+
+    return text;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: clearTranscriptTranslations
+// PURPOSE: Drop cached translations (the room's glossary changed)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const clearTranscriptTranslations=async (roomId) =>
+{
+    await transcriptModel.updateMany({roomId}, {$set: {translations: []}});
+};
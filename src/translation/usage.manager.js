@@ -0,0 +1,289 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/usage.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Meter what translation costs us, and stop when a room runs out
+//
+// METRICS (per room, per user, per UTC day in the Usage collection):
+// - audioSeconds:   Speech transcribed + translated (interim caption passes too)
+// - chatCharacters: Chat text machine-translated (cache hits don't count)
+// - textCharacters: Captions, transcripts and summaries machine-translated
+// - ttsCharacters:  Text synthesized into translated speech
+//
+// MONTHLY QUOTAS (per room, 0 / unset = unlimited):
+// - TRANSLATION_QUOTA_AUDIO_SECONDS
+// - TRANSLATION_QUOTA_CHAT_CHARACTERS
+// - TRANSLATION_QUOTA_TEXT_CHARACTERS
+// - TRANSLATION_QUOTA_TTS_CHARACTERS
+//
+// When a room goes over any of them, usageEvents emits "quotaexceeded" once
+// and isTranslationAllowed() says no until the next calendar month (UTC)
+//
+// Text is translated through translateRoomText() (text.translator.js),
+// which checks and meters in one place
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {EventEmitter} from "events";
+import mongoose from "mongoose";
+import usageModel from "../model/usage.model.js";
+
+export const USAGE_METRICS=["audioSeconds", "chatCharacters", "textCharacters", "ttsCharacters"];
+
+const QUOTA_ENV={
+    audioSeconds: "TRANSLATION_QUOTA_AUDIO_SECONDS",
+    chatCharacters: "TRANSLATION_QUOTA_CHAT_CHARACTERS",
+    textCharacters: "TRANSLATION_QUOTA_TEXT_CHARACTERS",
+    ttsCharacters: "TRANSLATION_QUOTA_TTS_CHARACTERS",
+};
+
+export class QuotaExceededError extends Error
+{
+    constructor(message="This room has used up its translation quota for the month")
+    {
+        super(message);
+        this.name="QuotaExceededError";
+        this.status=429;
+    }
+}
+
+export const usageEvents=new EventEmitter();
+// "quotaexceeded": { roomId, metric, used, limit, month, resetsAt }
+
+const roomMonths=new Map();
+// WHAT: This month's running totals per room (so quota checks need no query)
+// STRUCTURE: roomId → { month: "2024-05", totals, exceeded, loading }
+
+const emptyTotals=() => Object.fromEntries(USAGE_METRICS.map((metric) => [metric, 0]));
+
+const startOfDay=(date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const startOfMonth=(date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const startOfNextMonth=(date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth()+1, 1));
+const monthKey=(date) => startOfMonth(date).toISOString().slice(0, 7);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getQuotaLimits
+// RETURNS: { audioSeconds, chatCharacters, textCharacters, ttsCharacters } - 0 = unlimited
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getQuotaLimits=() => Object.fromEntries(
+    USAGE_METRICS.map((metric) => [metric, Math.max(0, Number(process.env[QUOTA_ENV[metric]])||0)])
+);
+
+const findExceededMetric=(totals) =>
+{
+    const limits=getQuotaLimits();
+    return USAGE_METRICS.find((metric) => limits[metric]>0&&totals[metric]>=limits[metric])||null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: loadRoomMonth
+// PURPOSE: This month's totals for a room (loaded from Mongo once per month)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const loadRoomMonth=(roomId) =>
+{
+    const key=roomId.toString();
+    const now=new Date();
+    const month=monthKey(now);
+
+    const cached=roomMonths.get(key);
+    if (cached?.month===month) return cached.loading;
+
+    const state={month, totals: emptyTotals(), exceeded: null, loading: null};
+
+    state.loading=usageModel.aggregate([
+        {$match: {roomId: new mongoose.Types.ObjectId(key), day: {$gte: startOfMonth(now)}}},
+        {$group: {_id: null, ...Object.fromEntries(USAGE_METRICS.map((metric) => [metric, {$sum: `$${metric}`}]))}},
+    ])
+        .then(([row]) =>
+        {
+            for (const metric of USAGE_METRICS)
+            {
+                state.totals[metric]+=row?.[metric]||0;
+            }
+            state.exceeded=findExceededMetric(state.totals);
+            return state;
+        })
+        .catch((err) =>
+        {
+            console.error(`Could not load usage for room ${key}:`, err.message);
+            return state;
+            // Count from zero rather than block translation
+        });
+
+    roomMonths.set(key, state);
+    return state.loading;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: recordUsage
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - roomId / userId: Who to bill (skipped unless both are Mongo ids)
+// - audioSeconds / chatCharacters / textCharacters / ttsCharacters: Amounts to add
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const recordUsage=async ({roomId, userId, ...amounts}) =>
+{
+    if (!mongoose.isValidObjectId(roomId)||!mongoose.isValidObjectId(userId)) return;
+
+    const increments=Object.fromEntries(
+        USAGE_METRICS
+            .filter((metric) => amounts[metric]>0)
+            .map((metric) => [metric, amounts[metric]])
+    );
+    if (Object.keys(increments).length===0) return;
+
+    const state=await loadRoomMonth(roomId);
+
+    for (const [metric, amount] of Object.entries(increments))
+    {
+        state.totals[metric]+=amount;
+    }
+
+    await usageModel.updateOne(
+        {roomId, userId, day: startOfDay(new Date())},
+        {$inc: increments},
+        {upsert: true}
+    );
+
+    // ─── Over quota? Tell the room once ───
+    if (state.exceeded) return;
+
+    const metric=findExceededMetric(state.totals);
+    if (!metric) return;
+
+    state.exceeded=metric;
+
+    usageEvents.emit("quotaexceeded", {
+        roomId: roomId.toString(),
+        metric,
+        used: state.totals[metric],
+        limit: getQuotaLimits()[metric],
+        month: state.month,
+        resetsAt: startOfNextMonth(new Date()),
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: forgetRoomUsage
+// PURPOSE: Drop a deleted room's running totals
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const forgetRoomUsage=(roomId) =>
+{
+    roomMonths.delete(roomId.toString());
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: isTranslationAllowed
+// PURPOSE: false once the room used up a monthly quota
+// Synchronous - answers from the cache and starts loading it if needed
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const isTranslationAllowed=(roomId) =>
+{
+    if (!mongoose.isValidObjectId(roomId)) return true;
+
+    const state=roomMonths.get(roomId.toString());
+    if (!state||state.month!==monthKey(new Date()))
+    {
+        loadRoomMonth(roomId);
+        return true;
+    }
+
+    return !state.exceeded;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: checkTranslationAllowed
+// PURPOSE: isTranslationAllowed(), but waits for the month's totals to load
+// (REST requests can afford the query; live audio can't)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const checkTranslationAllowed=async (roomId) =>
+{
+    if (!mongoose.isValidObjectId(roomId)) return true;
+
+    const state=await loadRoomMonth(roomId);
+    return !state.exceeded;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getQuotaStatus
+// RETURNS: { month, limits, used, exceeded, resetsAt } for one room
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getQuotaStatus=async (roomId) =>
+{
+    const state=await loadRoomMonth(roomId);
+
+    return {
+        month: state.month,
+        limits: getQuotaLimits(),
+        used: {...state.totals},
+        exceeded: state.exceeded,
+        resetsAt: startOfNextMonth(new Date()),
+    };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: getUsageReport
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - filter: { roomId } or { userId }
+// - from / to: Date range (to is exclusive; whole UTC days)
+// - groupBy: "userId" (room reports) or "roomId" (user reports)
+//
+// RETURNS: { from, to, totals, byDay: [...], byRoom | byUser: [...] }
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const getUsageReport=async (filter, {from, to, groupBy}) =>
+{
+    const match={day: {$gte: startOfDay(from), $lt: to}};
+    for (const [field, value] of Object.entries(filter))
+    {
+        match[field]=new mongoose.Types.ObjectId(value.toString());
+    }
+
+    const sums=Object.fromEntries(USAGE_METRICS.map((metric) => [metric, {$sum: `$${metric}`}]));
+    const fields=Object.fromEntries(USAGE_METRICS.map((metric) => [metric, 1]));
+
+    const [result]=await usageModel.aggregate([
+        {$match: match},
+        {
+            $facet: {
+                totals: [{$group: {_id: null, ...sums}}],
+                byDay: [
+                    {$group: {_id: "$day", ...sums}},
+                    {$sort: {_id: 1}},
+                    {$project: {_id: 0, day: "$_id", ...fields}},
+                ],
+                byGroup: [
+                    {$group: {_id: `$${groupBy}`, ...sums}},
+                    {$sort: {audioSeconds: -1}},
+                    {$project: {_id: 0, [groupBy]: "$_id", ...fields}},
+                ],
+            },
+        },
+    ]);
+
+    const totals=emptyTotals();
+    for (const metric of USAGE_METRICS)
+    {
+        totals[metric]=result.totals[0]?.[metric]||0;
+    }
+
+    return {
+        from,
+        to,
+        totals,
+        byDay: result.byDay,
+        [groupBy==="userId"? "byUser":"byRoom"]: result.byGroup,
+    };
+};
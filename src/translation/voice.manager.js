@@ -0,0 +1,147 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation/voice.manager.js
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Make translated speech sound like the voice the speaker picked
+//
+// - The voice catalog comes from the active engine's listVoices()
+// - User.preferred_voice is ONE voice ("en-US-Wavenet-D"), but it is only
+//   valid for one language. resolveVoice() maps it onto each target language:
+//   1. The voice itself, if the provider has it for that language
+//   2. Otherwise a voice of the same gender in that language
+//   3. Otherwise the first voice listed for that language
+//   4. null = the provider's default voice
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {getEngine} from "./engine.registry.js";
+import {translateText} from "./text.translator.js";
+
+const catalogs=new WeakMap();
+// STRUCTURE: engine instance → Promise of every voice it offers
+// WHY WeakMap? Swapping the engine (setEngine) drops its catalog with it
+
+const PREVIEW_TEXT="hello everyone, can you hear me";
+// Sample sentence for previews (English, translated into the voice's language)
+
+const loadVoices=(engine) =>
+{
+    if (typeof engine.listVoices!=="function") return Promise.resolve([]);
+
+    if (!catalogs.has(engine))
+    {
+        const loading=Promise.resolve(engine.listVoices())
+            .then((voices) => voices||[])
+            .catch((err) =>
+            {
+                catalogs.delete(engine);
+                console.error("Could not load the voice catalog:", err.message);
+                return [];
+            });
+
+        catalogs.set(engine, loading);
+    }
+
+    return catalogs.get(engine);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: listVoices
+// PURPOSE: Voices the active provider offers (for one language, or all)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const listVoices=async (language=null) =>
+{
+    const voices=await loadVoices(getEngine());
+    return voices.filter((voice) => !language||voice.language===language);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: getVoiceCatalog
+// RETURNS: { language: [voices] } - every language the provider can speak
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const getVoiceCatalog=async () =>
+{
+    const catalog={};
+    for (const voice of await listVoices())
+    {
+        (catalog[voice.language]||=[]).push(voice);
+    }
+    return catalog;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FUNCTION: findVoice
+// RETURNS: The catalog entry for a voice id, or null
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const findVoice=async (voiceId) =>
+{
+    if (!voiceId) return null;
+    const voices=await listVoices();
+    return voices.find((voice) => voice.id===voiceId)||null;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: resolveVoice
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PARAMETERS:
+// - voiceId: The speaker's preferred voice (may be null)
+// - language: The language the speech will be synthesized in
+//
+// RETURNS: A voice id for that language, or null for the provider default
+//
+// EXAMPLE (local catalog):
+// resolveVoice("en-US-Wavenet-D", "en") → "en-US-Wavenet-D"
+// resolveVoice("en-US-Wavenet-D", "fr") → "fr-FR-Wavenet-B" (also male)
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const resolveVoice=async (voiceId, language) =>
+{
+    const voices=await listVoices(language);
+    if (voices.length===0) return null;
+
+    const exact=voices.find((voice) => voice.id===voiceId);
+    if (exact) return exact.id;
+
+    const preferred=await findVoice(voiceId);
+    const sameGender=preferred&&voices.find((voice) => voice.gender===preferred.gender);
+
+    return (sameGender||voices[0]).id;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION: previewVoice
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// PURPOSE: Synthesize a short sample so users can hear a voice before picking it
+//
+// PARAMETERS:
+// - voice: Voice id to preview
+// - language: Language to speak (defaults to the voice's own language)
+// - text: What to say (defaults to PREVIEW_TEXT translated into language)
+//
+// RETURNS: { voice, language, text, frames } - frames are 20ms Opus frames
+//
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const previewVoice=async ({voice: voiceId, language, text}) =>
+{
+    const voice=await findVoice(voiceId);
+    const spokenLanguage=language||voice?.language||"en";
+
+    const sample=text||(await translateText(PREVIEW_TEXT, {from: "en", to: spokenLanguage})).text;
+    const resolved=await resolveVoice(voiceId, spokenLanguage);
+
+    const speech=await getEngine().synthesize(sample, {language: spokenLanguage, voice: resolved});
+
+    return {
+        voice: resolved,
+        language: spokenLanguage,
+        text: sample,
+        frames: speech.frames,
+    };
+};
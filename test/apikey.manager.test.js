@@ -0,0 +1,140 @@
+import {after, before, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import apiKeyModel from "../src/model/apikey.model.js";
+import {apiKeyEvents, createApiKey, revokeApiKey, rotateApiKey, validateScopes, verifyApiKey} from "../src/auth/apikey.manager.js";
+import {authMiddleware, authWithScope} from "../src/middleware/auth.middleware.js";
+
+const USER="64b0000000000000000000aa";
+
+// In-memory ApiKey collection - just the queries the manager makes
+let keys;
+
+const original={
+    create: apiKeyModel.create,
+    findOne: apiKeyModel.findOne,
+    findOneAndUpdate: apiKeyModel.findOneAndUpdate,
+    updateOne: apiKeyModel.updateOne,
+};
+
+before(() =>
+{
+    apiKeyModel.create=async (fields) =>
+    {
+        const apiKey={_id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...fields};
+        keys.push(apiKey);
+        return apiKey;
+    };
+    apiKeyModel.findOne=async ({keyId}) => keys.find((apiKey) => apiKey.keyId===keyId)||null;
+    apiKeyModel.findOneAndUpdate=async ({_id, userId}, {$set}) =>
+    {
+        const apiKey=keys.find((candidate) =>
+            String(candidate._id)===String(_id)&&String(candidate.userId)===String(userId)&&!candidate.revokedAt);
+        return apiKey? Object.assign(apiKey, $set):null;
+    };
+    apiKeyModel.updateOne=async () => ({modifiedCount: 1});
+});
+
+beforeEach(() =>
+{
+    keys=[];
+});
+
+after(() => Object.assign(apiKeyModel, original));
+
+// Runs the middleware with the key as a bearer token, returns the status (200 = let through)
+const request=async (middleware, key) =>
+{
+    const req={method: "GET", headers: {authorization: `Bearer ${key}`}, cookies: {}, get: () => undefined};
+
+    let status=200;
+    const res={
+        status(code)
+        {
+            status=code;
+            return this;
+        },
+        json: () => res,
+    };
+
+    await middleware(req, res, () => {});
+    return {status, user: req.user};
+};
+
+test("scopes must be known, and admin scopes need an admin", () =>
+{
+    assert.equal(validateScopes([], {role: "user"}), "At least one scope is required");
+    assert.equal(validateScopes(["rooms:delete"], {role: "user"}), "Unknown scope: rooms:delete");
+    assert.equal(validateScopes(["admin:read"], {role: "user"}), "Only admins can create keys with admin scopes");
+    assert.equal(validateScopes(["admin:read"], {role: "admin"}), null);
+    assert.equal(validateScopes(["rooms:read", "meetings:join-as-bot"], {role: "user"}), null);
+});
+
+test("a key acts as its owner, with its scopes", async () =>
+{
+    const {key}=await createApiKey(USER, {name: "Recorder", scopes: ["rooms:read"]});
+    const {secretHash}=keys[0];
+
+    assert.ok(!secretHash.includes(key.split(".")[1]));
+    assert.deepEqual(await verifyApiKey(key), {
+        id: USER,
+        keyId: keys[0].keyId,
+        name: "Recorder",
+        scopes: ["rooms:read"],
+        expiresAt: null,
+        apiKey: true,
+    });
+});
+
+test("routes only let in keys with the scope they name", async () =>
+{
+    const {key}=await createApiKey(USER, {name: "Recorder", scopes: ["rooms:read"]});
+
+    const allowed=await request(authWithScope("rooms:read"), key);
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.user.id, USER);
+
+    assert.equal((await request(authWithScope("rooms:write"), key)).status, 403);
+    // Routes without a scope take no API keys at all
+    assert.equal((await request(authMiddleware, key)).status, 403);
+});
+
+test("wrong secrets, revoked and expired keys are refused", async () =>
+{
+    const {key, apiKey}=await createApiKey(USER, {name: "Recorder", scopes: ["rooms:read"]});
+
+    await assert.rejects(verifyApiKey(`${key.split(".")[0]}.wrong`), /Invalid API key/);
+    await assert.rejects(verifyApiKey("mfk_nothing"), /Invalid API key/);
+
+    const expired=await createApiKey(USER, {name: "Old", scopes: ["rooms:read"], expiresAt: new Date(Date.now()-1000)});
+    await assert.rejects(verifyApiKey(expired.key), /expired/);
+
+    const events=[];
+    const listener=(event) => events.push(event);
+    apiKeyEvents.on("revoked", listener);
+    await revokeApiKey(USER, apiKey.id);
+    apiKeyEvents.off("revoked", listener);
+
+    await assert.rejects(verifyApiKey(key), /revoked/);
+    assert.equal((await request(authWithScope("rooms:read"), key)).status, 401);
+    // Bots connected with it are told to leave
+    assert.deepEqual(events, [{keyId: apiKey.keyId, userId: USER}]);
+});
+
+test("rotating keeps the key but retires the old secret", async () =>
+{
+    const {key, apiKey}=await createApiKey(USER, {name: "Recorder", scopes: ["rooms:read"]});
+    const rotated=await rotateApiKey(USER, apiKey.id);
+
+    assert.equal(rotated.apiKey.keyId, apiKey.keyId);
+    await assert.rejects(verifyApiKey(key), /Invalid API key/);
+    assert.equal((await verifyApiKey(rotated.key)).keyId, apiKey.keyId);
+});
+
+test("only the owner can rotate or revoke a key", async () =>
+{
+    const {apiKey}=await createApiKey(USER, {name: "Recorder", scopes: ["rooms:read"]});
+
+    assert.equal(await rotateApiKey("64b0000000000000000000ff", apiKey.id), null);
+    assert.equal(await revokeApiKey("64b0000000000000000000ff", apiKey.id), null);
+});
@@ -0,0 +1,105 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import OpusScript from "opusscript";
+import {LocalAudioMixer} from "../src/translation/audio.mixer.js";
+
+const SAMPLES=960;
+// 20ms at 48 kHz
+const FRAMES=25;
+
+const ORIGINAL_HZ=440;
+const TRANSLATION_HZ=1200;
+
+// 20ms stereo 16-bit PCM of a sine tone, continuing from earlier frames
+const tone=(hz, amplitude, frameIndex) =>
+{
+    const pcm=Buffer.alloc(SAMPLES*4);
+
+    for (let i=0; i<SAMPLES; i++)
+    {
+        const sample=Math.round(amplitude*Math.sin(2*Math.PI*hz*(frameIndex*SAMPLES+i)/48000));
+        pcm.writeInt16LE(sample, i*4);
+        pcm.writeInt16LE(sample, i*4+2);
+    }
+    return pcm;
+};
+
+const encodeTone=(hz, amplitude) =>
+{
+    const encoder=new OpusScript(48000, 2, OpusScript.Application.AUDIO);
+    const frames=Array.from({length: FRAMES}, (_, index) => encoder.encode(tone(hz, amplitude, index), SAMPLES));
+    encoder.delete();
+    return frames;
+};
+
+const decodeAll=(frames) =>
+{
+    const decoder=new OpusScript(48000, 2, OpusScript.Application.AUDIO);
+    const pcm=Buffer.concat(frames.map((frame) => decoder.decode(frame)));
+    decoder.delete();
+    return pcm;
+};
+
+// Amplitude of one frequency in the left channel (Goertzel), skipping the
+// first frames while the codecs settle
+const amplitudeAt=(pcm, hz) =>
+{
+    const samples=[];
+    for (let offset=SAMPLES*4*5; offset<pcm.length; offset+=4) samples.push(pcm.readInt16LE(offset));
+
+    const coefficient=2*Math.cos(2*Math.PI*hz/48000);
+    let previous=0;
+    let beforePrevious=0;
+
+    for (const sample of samples)
+    {
+        const current=sample+coefficient*previous-beforePrevious;
+        beforePrevious=previous;
+        previous=current;
+    }
+
+    const power=previous**2+beforePrevious**2-coefficient*previous*beforePrevious;
+    return 2*Math.sqrt(power)/samples.length;
+};
+
+test("the original is heard underneath the translation at backgroundGain", () =>
+{
+    const original=encodeTone(ORIGINAL_HZ, 8000);
+    const translation=encodeTone(TRANSLATION_HZ, 8000);
+
+    const mixer=new LocalAudioMixer();
+    const mixed=translation.map((frame, index) => mixer.mix(frame, original[index], {backgroundGain: 0.2}));
+    mixer.close();
+
+    const alone=amplitudeAt(decodeAll(original), ORIGINAL_HZ);
+    const underneath=amplitudeAt(decodeAll(mixed), ORIGINAL_HZ);
+    const speech=amplitudeAt(decodeAll(mixed), TRANSLATION_HZ);
+
+    assert.ok(alone>7000, `original alone: ${alone}`);
+    // Still audible, turned down to about a fifth
+    assert.ok(underneath>alone*0.15&&underneath<alone*0.25, `original under the translation: ${underneath} of ${alone}`);
+    // The translation itself stays at full level
+    assert.ok(speech>7000, `translation: ${speech}`);
+});
+
+test("backgroundGain 0 leaves only the translation", () =>
+{
+    const original=encodeTone(ORIGINAL_HZ, 8000);
+    const translation=encodeTone(TRANSLATION_HZ, 8000);
+
+    const mixer=new LocalAudioMixer();
+    const mixed=translation.map((frame, index) => mixer.mix(frame, original[index], {backgroundGain: 0}));
+    mixer.close();
+
+    assert.ok(amplitudeAt(decodeAll(mixed), ORIGINAL_HZ)<200);
+});
+
+test("a silent translation frame lets the original through untouched", () =>
+{
+    const [original]=encodeTone(ORIGINAL_HZ, 8000);
+    const silence=Buffer.from([0xf8, 0xff, 0xfe]);
+
+    const mixer=new LocalAudioMixer();
+    assert.equal(mixer.mix(silence, original), original);
+    mixer.close();
+});
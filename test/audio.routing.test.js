@@ -0,0 +1,55 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {chooseListenerAudio} from "../src/mediasoup/audio.routing.js";
+
+const SPEECH={producerId: "mic-1", source: {kind: "audio", peerId: "speaker"}, speaker: {languageSpoken: "en"}};
+
+// Translated producers that exist right now: source:language(:mixed) → producer id
+const translations=new Map([
+    ["mic-1:hi", "mic-1-hi"],
+    ["mic-1:fr", "mic-1-fr"],
+    ["mic-1:fr:mixed", "mic-1-fr-mixed"],
+]);
+const findTranslation=(producerId, language, {mixed=false}={}) =>
+    translations.get(`${producerId}:${language}${mixed? ":mixed":""}`)||null;
+
+const listener=(targetLanguage, audioMixMode="translation") => ({targetLanguage, audioMixMode, interpreter: null});
+
+test("listeners hear the speaker in their target language", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("hi"), SPEECH, findTranslation), {producerId: "mic-1-hi", language: "hi", mix: "translation"});
+});
+
+test("listeners of the speaker's own language hear the original", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("en"), SPEECH, findTranslation), {producerId: "mic-1", language: null});
+});
+
+test("the original plays until a translation exists", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("de"), SPEECH, findTranslation), {producerId: "mic-1", language: null});
+});
+
+test("\"original\" mode never translates", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("hi", "original"), SPEECH, findTranslation), {producerId: "mic-1", language: null});
+});
+
+test("\"mixed\" mode gets the mixed stream, or the plain translation without one", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("fr", "mixed"), SPEECH, findTranslation), {producerId: "mic-1-fr-mixed", language: "fr", mix: "mixed"});
+    assert.deepEqual(chooseListenerAudio(listener("hi", "mixed"), SPEECH, findTranslation), {producerId: "mic-1-hi", language: "hi", mix: "translation"});
+});
+
+test("video and unknown producers are passed through", () =>
+{
+    const video={...SPEECH, source: {kind: "video", peerId: "speaker"}};
+
+    assert.deepEqual(chooseListenerAudio(listener("hi"), video, findTranslation), {producerId: "mic-1", language: null});
+    assert.deepEqual(chooseListenerAudio(listener("hi"), {producerId: "mic-1"}, findTranslation), {producerId: "mic-1", language: null});
+});
+
+test("a speaker who already left is heard as they were", () =>
+{
+    assert.deepEqual(chooseListenerAudio(listener("hi"), {...SPEECH, speaker: null}, findTranslation), {producerId: "mic-1", language: null});
+});
@@ -0,0 +1,76 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import {fanOutCaption} from "../src/translation/caption.manager.js";
+import {setEngine} from "../src/translation/engine.registry.js";
+
+const translated=[];
+
+before(() =>
+{
+    setEngine({
+        name: "test",
+        transcribe: async () => ({text: ""}),
+        synthesize: async () => [],
+        translate: async (text, {to}) =>
+        {
+            translated.push(to);
+            return {text: `[${to}] ${text}`};
+        },
+    });
+});
+
+after(() => setEngine(null));
+
+// Collects what a socket was sent
+const fakeSocket=() =>
+{
+    const sent=[];
+    return {sent, emit: (event, payload) => sent.push({event, payload})};
+};
+
+const transcript=(overrides={}) => ({
+    roomId: "not-a-mongo-room",
+    segmentId: `segment-${Math.random()}`,
+    peerId: "peer-1",
+    userName: "Asha",
+    language: "en",
+    text: "Hello",
+    isFinal: false,
+    startedAt: 1000,
+    endedAt: 2000,
+    ...overrides,
+});
+
+test("each recipient gets the caption in their language, each language translated once", async () =>
+{
+    translated.length=0;
+    const [french, german, english, alsoFrench]=[fakeSocket(), fakeSocket(), fakeSocket(), fakeSocket()];
+
+    await fanOutCaption(transcript(), [
+        {socket: french, targetLanguage: "fr"},
+        {socket: german, targetLanguage: "de"},
+        {socket: english, targetLanguage: "en"},
+        {socket: alsoFrench, targetLanguage: "fr"},
+    ]);
+
+    assert.deepEqual(translated.sort(), ["de", "fr"]);
+    assert.equal(french.sent[0].event, "captionPartial");
+    assert.equal(french.sent[0].payload.text, "[fr] Hello");
+    assert.equal(alsoFrench.sent[0].payload.text, "[fr] Hello");
+    assert.equal(german.sent[0].payload.text, "[de] Hello");
+    assert.equal(english.sent[0].payload.text, "Hello");
+    assert.equal(french.sent[0].payload.originalText, "Hello");
+    assert.equal(french.sent[0].payload.originalLanguage, "en");
+});
+
+test("partials that arrive after the final caption are dropped", async () =>
+{
+    const socket=fakeSocket();
+    const segmentId="segment-late";
+
+    await fanOutCaption(transcript({segmentId, isFinal: true, text: "Hello there"}), [{socket, targetLanguage: "en"}]);
+    await fanOutCaption(transcript({segmentId, text: "Hello"}), [{socket, targetLanguage: "en"}]);
+
+    assert.deepEqual(socket.sent.map(({event}) => event), ["captionFinal"]);
+    assert.equal(socket.sent[0].payload.text, "Hello there");
+});
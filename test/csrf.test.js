@@ -0,0 +1,85 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import sessionModel from "../src/model/session.model.js";
+import {authMiddleware} from "../src/middleware/auth.middleware.js";
+import {getCsrfToken, isValidCsrfToken} from "../src/auth/cookie.manager.js";
+
+const USER="64b0000000000000000000aa";
+const SESSION="64b0000000000000000000bb";
+const OTHER_SESSION="64b0000000000000000000cc";
+
+const original={findById: sessionModel.findById, updateOne: sessionModel.updateOne};
+
+let accessToken;
+
+before(() =>
+{
+    process.env.JWT_SECRET||="test-secret";
+    accessToken=jwt.sign({id: USER, sid: SESSION}, process.env.JWT_SECRET, {expiresIn: "5m"});
+
+    sessionModel.findById=() => ({select: async () => ({expiresAt: new Date(Date.now()+60000)})});
+    sessionModel.updateOne=async () => ({modifiedCount: 1});
+});
+
+after(() => Object.assign(sessionModel, original));
+
+// Runs authMiddleware, returns the status it answered with (200 = let through)
+const authenticate=async ({method="POST", cookie=false, bearer=false, csrf}={}) =>
+{
+    const headers={};
+    if (bearer) headers.authorization=`Bearer ${accessToken}`;
+    if (csrf!==undefined) headers["x-csrf-token"]=csrf;
+
+    const req={
+        method,
+        headers,
+        cookies: cookie? {token: accessToken}:{},
+        get: (name) => headers[name.toLowerCase()],
+    };
+
+    let status=200;
+    const res={
+        status(code)
+        {
+            status=code;
+            return this;
+        },
+        json: () => res,
+    };
+
+    await authMiddleware(req, res, () => {});
+    return status;
+};
+
+test("the CSRF token belongs to one session", () =>
+{
+    const token=getCsrfToken(SESSION);
+
+    assert.ok(isValidCsrfToken(SESSION, token));
+    assert.ok(!isValidCsrfToken(OTHER_SESSION, token));
+    assert.ok(!isValidCsrfToken(SESSION, token.slice(1)));
+    assert.ok(!isValidCsrfToken(SESSION, undefined));
+});
+
+test("cookie-authenticated changes need the X-CSRF-Token header", async () =>
+{
+    assert.equal(await authenticate({cookie: true}), 403);
+    assert.equal(await authenticate({cookie: true, csrf: getCsrfToken(OTHER_SESSION)}), 403);
+    assert.equal(await authenticate({cookie: true, csrf: getCsrfToken(SESSION)}), 200);
+});
+
+test("cookie-authenticated reads need no CSRF token", async () =>
+{
+    assert.equal(await authenticate({method: "GET", cookie: true}), 200);
+});
+
+test("bearer tokens need no CSRF token - browsers never send them on their own", async () =>
+{
+    assert.equal(await authenticate({bearer: true}), 200);
+});
+
+test("no token at all is a 401", async () =>
+{
+    assert.equal(await authenticate(), 401);
+});
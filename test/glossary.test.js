@@ -0,0 +1,84 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {csvToGlossary, glossaryToCsv, translateWithGlossary} from "../src/translation/glossary.manager.js";
+
+const GLOSSARY={
+    entries: [
+        {sourceLanguage: "en", targetLanguage: "fr", source: "MeetFlow", target: "MeetFlow Live"},
+        {sourceLanguage: "en", targetLanguage: "fr", source: "MeetFlow Pro", target: "MeetFlow Pro FR"},
+        {sourceLanguage: "en", targetLanguage: "de", source: "room", target: "Raum"},
+    ],
+    doNotTranslate: ["mediasoup"],
+};
+
+// Stand-in engine: upper-cases everything, so masked terms are easy to spot
+const shout=async (text) => text.toUpperCase();
+
+test("glossary terms and do-not-translate terms survive translation", async () =>
+{
+    const sent=[];
+    const translated=await translateWithGlossary(
+        "meetflow runs on mediasoup",
+        {from: "en", to: "fr", glossary: GLOSSARY},
+        async (text) =>
+        {
+            sent.push(text);
+            return shout(text);
+        }
+    );
+
+    assert.deepEqual(sent, ["__1__ runs on __0__"]);
+    // Longest term is masked first
+    assert.equal(translated, "MeetFlow Live RUNS ON mediasoup");
+});
+
+test("longer terms win and only whole words match", async () =>
+{
+    const translated=await translateWithGlossary(
+        "MeetFlow Pro beats MeetFlowX",
+        {from: "en", to: "fr", glossary: GLOSSARY},
+        shout
+    );
+
+    assert.equal(translated, "MeetFlow Pro FR BEATS MEETFLOWX");
+});
+
+test("entries only apply to their own language pair", async () =>
+{
+    const translated=await translateWithGlossary("the room", {from: "en", to: "fr", glossary: GLOSSARY}, shout);
+    assert.equal(translated, "THE ROOM");
+});
+
+test("CSV export and import round-trip, quotes and commas included", () =>
+{
+    const glossary={
+        entries: [{sourceLanguage: "en", targetLanguage: "fr", source: "Hello, \"world\"", target: "Bonjour\nle monde"}],
+        doNotTranslate: ["mediasoup", "Meet,Flow"],
+    };
+
+    const csv=glossaryToCsv(glossary);
+
+    assert.ok(csv.startsWith("type,source_language,target_language,source,target\n"));
+    assert.ok(csv.includes("\"Hello, \"\"world\"\"\""));
+    assert.deepEqual(csvToGlossary(csv), glossary);
+});
+
+test("CSV import accepts a BOM and CRLF line endings", () =>
+{
+    const csv="﻿type,source_language,target_language,source,target\r\nglossary,en,fr,MeetFlow,MeetFlow Live\r\ndnt,,,mediasoup,\r\n";
+
+    assert.deepEqual(csvToGlossary(csv), {
+        entries: [{sourceLanguage: "en", targetLanguage: "fr", source: "MeetFlow", target: "MeetFlow Live"}],
+        doNotTranslate: ["mediasoup"],
+    });
+});
+
+test("CSV import reports what is wrong and where", () =>
+{
+    const header="type,source_language,target_language,source,target\n";
+
+    assert.throws(() => csvToGlossary("a,b,c\n"), /CSV header must be/);
+    assert.throws(() => csvToGlossary(`${header}glossary,en,,MeetFlow,x\n`), /Line 2: glossary rows need/);
+    assert.throws(() => csvToGlossary(`${header}dnt,,,mediasoup,\nother,,,x,\n`), /Line 3: type must be/);
+    assert.throws(() => csvToGlossary(`${header}dnt,,,"unterminated\n`), /Unterminated quoted value/);
+});
@@ -0,0 +1,62 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {getHostRank, pickNextHost, pickOutrankingHost, sortHostCandidates} from "../src/mediasoup/host.election.js";
+
+const config={createdBy: "creator", coHosts: new Set(["cohost"])};
+
+const peer=(userId, joinedAt, isBot=false) => ({userId, joinedAt, isBot});
+
+test("the creator outranks co-hosts, who outrank everyone else", () =>
+{
+    assert.equal(getHostRank(config, "creator"), 0);
+    assert.equal(getHostRank(config, "cohost"), 1);
+    assert.equal(getHostRank(config, "guest"), 2);
+});
+
+test("candidates are ranked, then ordered by who has been there longest, without bots", () =>
+{
+    const candidates=sortHostCandidates(config, [
+        peer("late-guest", 30),
+        peer("recorder", 1, true),
+        peer("cohost", 40),
+        peer("early-guest", 10),
+    ]);
+
+    assert.deepEqual(candidates.map(({userId}) => userId), ["cohost", "early-guest", "late-guest"]);
+});
+
+test("the creator joining takes over from a co-host", () =>
+{
+    const peers=[peer("cohost", 1), peer("creator", 2)];
+
+    assert.equal(pickOutrankingHost(config, peers, "cohost"), "creator");
+});
+
+test("a guest who arrives first never takes over on joining", () =>
+{
+    assert.equal(pickOutrankingHost(config, [peer("guest", 1)], null), null);
+});
+
+test("a co-host does not take over from the creator, nor from another co-host", () =>
+{
+    const twoCoHosts={createdBy: "creator", coHosts: new Set(["cohost", "other-cohost"])};
+
+    assert.equal(pickOutrankingHost(config, [peer("creator", 1), peer("cohost", 2)], "creator"), null);
+    assert.equal(pickOutrankingHost(twoCoHosts, [peer("other-cohost", 1), peer("cohost", 2)], "other-cohost"), null);
+});
+
+test("when the host leaves a co-host takes over, else whoever has been there longest", () =>
+{
+    assert.equal(pickNextHost(config, [peer("guest", 1), peer("cohost", 5)], "creator"), "cohost");
+    assert.equal(pickNextHost(config, [peer("late-guest", 9), peer("early-guest", 2)], "creator"), "early-guest");
+});
+
+test("a host back within the grace period stays host", () =>
+{
+    assert.equal(pickNextHost(config, [peer("cohost", 1), peer("creator", 8)], "creator"), "creator");
+});
+
+test("with only bots left nobody hosts", () =>
+{
+    assert.equal(pickNextHost(config, [peer("recorder", 1, true)], "creator"), null);
+});
@@ -0,0 +1,51 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {chooseListenerAudio, isAudioHeard} from "../src/mediasoup/audio.routing.js";
+
+const floor={source: {kind: "audio", peerId: "speaker"}, speaker: {languageSpoken: "en"}};
+const frenchChannel={source: {kind: "audio", peerId: "interpreter", appData: {source: "interpretation", language: "fr"}}, speaker: {languageSpoken: "en"}};
+
+const listener=(targetLanguage, interpreter=null) => ({targetLanguage, audioMixMode: "translation", interpreter});
+
+const liveIn=(...languages) => (language) => languages.includes(language);
+
+test("while a French interpreter is live, French listeners hear them instead of the floor", () =>
+{
+    assert.equal(isAudioHeard(listener("fr"), frenchChannel, liveIn("fr")), true);
+    assert.equal(isAudioHeard(listener("fr"), floor, liveIn("fr")), false);
+});
+
+test("listeners of other languages keep the floor and never hear the channel", () =>
+{
+    assert.equal(isAudioHeard(listener("hi"), floor, liveIn("fr")), true);
+    assert.equal(isAudioHeard(listener("hi"), frenchChannel, liveIn("fr")), false);
+});
+
+test("the floor comes back once the interpreter stops", () =>
+{
+    assert.equal(isAudioHeard(listener("fr"), floor, liveIn()), true);
+});
+
+test("speakers of the listener's own language are never switched out", () =>
+{
+    const frenchSpeaker={...floor, speaker: {languageSpoken: "fr"}};
+
+    assert.equal(isAudioHeard(listener("fr"), frenchSpeaker, liveIn("fr")), true);
+});
+
+test("interpreters hear the untranslated floor, not other interpreters", () =>
+{
+    const interpreter=listener("fr", {from: "en", to: "fr"});
+
+    assert.equal(isAudioHeard(interpreter, floor, liveIn("fr")), true);
+    assert.equal(isAudioHeard(interpreter, frenchChannel, liveIn("fr")), false);
+    assert.deepEqual(
+        chooseListenerAudio(interpreter, {producerId: "mic-1", ...floor}, () => "mic-1-fr"),
+        {producerId: "mic-1", language: null}
+    );
+});
+
+test("video is never switched", () =>
+{
+    assert.equal(isAudioHeard(listener("fr"), {...floor, source: {kind: "video", peerId: "speaker"}}, liveIn("fr")), true);
+});
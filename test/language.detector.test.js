@@ -0,0 +1,55 @@
+import {afterEach, test} from "node:test";
+import assert from "node:assert/strict";
+import {LanguageConfirmation, LocalLanguageDetector, getLanguageDetector, setLanguageDetector} from "../src/translation/language.detector.js";
+
+const FRAME=Buffer.alloc(40);
+
+afterEach(() => setLanguageDetector(null));
+
+test("a language switch needs two confident detections in a row", () =>
+{
+    const confirmation=new LanguageConfirmation();
+
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.9}, "en"), null);
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.95}, "en"), "fr");
+});
+
+test("a detection of another language starts the count again", () =>
+{
+    const confirmation=new LanguageConfirmation();
+
+    confirmation.observe({language: "fr", confidence: 0.9}, "en");
+    assert.equal(confirmation.observe({language: "de", confidence: 0.9}, "en"), null);
+    assert.equal(confirmation.observe({language: "de", confidence: 0.9}, "en"), "de");
+});
+
+test("unsure detections and the current language break the streak", () =>
+{
+    const confirmation=new LanguageConfirmation();
+
+    confirmation.observe({language: "fr", confidence: 0.9}, "en");
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.5}, "en"), null);
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.9}, "en"), null);
+
+    assert.equal(confirmation.observe({language: "en", confidence: 1}, "en"), null);
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.9}, "en"), null);
+
+    assert.equal(confirmation.observe({}, "en"), null);
+    assert.equal(confirmation.observe({language: "fr", confidence: 0.9}, "en"), null);
+});
+
+test("the local detector agrees with the hint unless a language is forced", async () =>
+{
+    assert.deepEqual(await new LocalLanguageDetector().identify({frames: [FRAME]}, {hint: "en"}), {language: "en", confidence: 1});
+    assert.deepEqual(await new LocalLanguageDetector({forcedLanguage: "fr"}).identify({frames: [FRAME]}, {hint: "en"}), {language: "fr", confidence: 1});
+    assert.deepEqual(await new LocalLanguageDetector().identify({frames: []}, {hint: "en"}), {language: null, confidence: 0});
+});
+
+test("custom detectors must implement identify()", () =>
+{
+    assert.throws(() => setLanguageDetector({name: "broken"}), /"broken" is missing identify\(\)/);
+
+    const detector={name: "test", identify: async () => ({language: "fr", confidence: 1})};
+    setLanguageDetector(detector);
+    assert.equal(getLanguageDetector(), detector);
+});
@@ -0,0 +1,50 @@
+import {after, test} from "node:test";
+import assert from "node:assert/strict";
+
+const ENV_KEYS=["LOGIN_FREE_ATTEMPTS", "LOGIN_MAX_DELAY_SECONDS"];
+const savedEnv=Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+after(() =>
+{
+    for (const key of ENV_KEYS)
+    {
+        if (savedEnv[key]===undefined) delete process.env[key];
+        else process.env[key]=savedEnv[key];
+    }
+});
+
+// Limits are read at import, so each setup gets its own copy of the module
+const importWith=async (env) =>
+{
+    for (const key of ENV_KEYS) delete process.env[key];
+    Object.assign(process.env, env);
+
+    const {delayAfter}=await import(`../src/auth/login.guard.js?${new URLSearchParams(env)}`);
+    return delayAfter;
+};
+
+test("the first failures are free, then the wait doubles up to the cap", async () =>
+{
+    const delayAfter=await importWith({});
+
+    assert.deepEqual(
+        [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((failures) => delayAfter(failures)),
+        [0, 0, 0, 1000, 2000, 4000, 8000, 16000, 30000, 30000]
+    );
+});
+
+test("LOGIN_FREE_ATTEMPTS and LOGIN_MAX_DELAY_SECONDS change the curve", async () =>
+{
+    const delayAfter=await importWith({LOGIN_FREE_ATTEMPTS: "5", LOGIN_MAX_DELAY_SECONDS: "3"});
+
+    assert.equal(delayAfter(5), 0);
+    assert.equal(delayAfter(6), 1000);
+    assert.equal(delayAfter(8), 3000);
+});
+
+test("LOGIN_FREE_ATTEMPTS=0 delays from the first failure", async () =>
+{
+    const delayAfter=await importWith({LOGIN_FREE_ATTEMPTS: "0"});
+
+    assert.equal(delayAfter(1), 1000);
+});
@@ -0,0 +1,63 @@
+import {after, test} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {FileMailer, sendMail, setMailer} from "../src/auth/mailer.js";
+
+const savedFrom=process.env.MAIL_FROM;
+
+after(() =>
+{
+    setMailer(null);
+    if (savedFrom===undefined) delete process.env.MAIL_FROM;
+    else process.env.MAIL_FROM=savedFrom;
+});
+
+test("sendMail sends from MAIL_FROM", async () =>
+{
+    process.env.MAIL_FROM="Support <support@example.com>";
+    // MAIL_FROM is read at import, so this copy of the module picks it up
+    const {sendMail: sendFromSupport, setMailer: setSupportMailer}=await import("../src/auth/mailer.js?from=support");
+
+    const sent=[];
+    setSupportMailer({name: "memory", send: async (message) => sent.push(message)});
+    await sendFromSupport({to: "asha@example.com", subject: "Hi", text: "Hello"});
+
+    assert.equal(sent[0].from, "Support <support@example.com>");
+    assert.equal(sent[0].to, "asha@example.com");
+});
+
+test("sendMail falls back to the default sender", async () =>
+{
+    const sent=[];
+    setMailer({name: "memory", send: async (message) => sent.push(message)});
+    await sendMail({to: "asha@example.com", subject: "Hi", text: "Hello"});
+
+    assert.equal(sent[0].from, savedFrom||"MeetFlow <no-reply@meetflow.local>");
+});
+
+test("the file mailer writes each mail to the outbox", async () =>
+{
+    const directory=await fs.mkdtemp(path.join(os.tmpdir(), "meetflow-mailer-test-"));
+
+    try
+    {
+        const {id}=await new FileMailer(directory).send({from: "a@example.com", to: "b@example.com", subject: "Reset", text: "Link"});
+
+        const [file]=await fs.readdir(directory);
+        const mail=JSON.parse(await fs.readFile(path.join(directory, file), "utf8"));
+
+        assert.ok(file.endsWith(`-${id}.json`));
+        assert.equal(mail.to, "b@example.com");
+        assert.equal(mail.subject, "Reset");
+    } finally
+    {
+        await fs.rm(directory, {recursive: true, force: true});
+    }
+});
+
+test("mailers without send() are refused", () =>
+{
+    assert.throws(() => setMailer({name: "broken"}), /Mailer "broken" is missing send\(\)/);
+});
@@ -0,0 +1,135 @@
+import {afterEach, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import participantModel from "../src/model/participant.model.js";
+import roomModel from "../src/model/room.model.js";
+import userModel from "../src/model/user.model.js";
+import {addParticipant, getParticipantById, getParticipantsByRoomId} from "../src/controllers/participant.controller.js";
+
+const ROOM="64b000000000000000000020";
+const CREATOR="64b0000000000000000000aa";
+const MEMBER="64b0000000000000000000bb";
+const STRANGER="64b0000000000000000000cc";
+const PARTICIPANT="64b000000000000000000030";
+
+let room;
+let created;
+
+const original={
+    roomFindOne: roomModel.findOne,
+    roomFindById: roomModel.findById,
+    roomUpdate: roomModel.findByIdAndUpdate,
+    participantFindOne: participantModel.findOne,
+    participantFindById: participantModel.findById,
+    participantExists: participantModel.exists,
+    participantCreate: participantModel.create,
+    userExists: userModel.exists,
+};
+
+beforeEach(() =>
+{
+    room={_id: ROOM, createdBy: CREATOR, participants: [MEMBER], isActive: true, settings: {allowSelfJoin: false}};
+    created=[];
+
+    roomModel.findOne=async () => room;
+    roomModel.findById=() => ({select: async () => room});
+    roomModel.findByIdAndUpdate=async () => room;
+    participantModel.findOne=async () => null;
+    participantModel.findById=async () => ({_id: PARTICIPANT, roomId: ROOM, userId: MEMBER});
+    participantModel.exists=async () => null;
+    participantModel.create=async (participant) =>
+    {
+        created.push(participant);
+        return participant;
+    };
+    userModel.exists=async () => ({_id: MEMBER});
+});
+
+afterEach(() =>
+{
+    Object.assign(roomModel, {findOne: original.roomFindOne, findById: original.roomFindById, findByIdAndUpdate: original.roomUpdate});
+    Object.assign(participantModel, {
+        findOne: original.participantFindOne,
+        findById: original.participantFindById,
+        exists: original.participantExists,
+        create: original.participantCreate,
+    });
+    userModel.exists=original.userExists;
+});
+
+const call=async (handler, userId, {body={}, params={}}={}) =>
+{
+    const res={
+        status(code)
+        {
+            this.statusCode=code;
+            return this;
+        },
+        json(body)
+        {
+            this.body=body;
+            return this;
+        },
+    };
+    await handler({user: {id: userId}, body, params}, res);
+    return res;
+};
+
+test("the creator adds anyone", async () =>
+{
+    const res=await call(addParticipant, CREATOR, {body: {roomId: ROOM, userId: STRANGER}});
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(created, [{roomId: ROOM, userId: STRANGER}]);
+});
+
+test("adding yourself is refused unless the room allows it", async () =>
+{
+    const res=await call(addParticipant, STRANGER, {body: {roomId: ROOM}});
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(created, []);
+});
+
+test("rooms with allowSelfJoin take people adding themselves, userId or not", async () =>
+{
+    room.settings.allowSelfJoin=true;
+
+    assert.equal((await call(addParticipant, STRANGER, {body: {roomId: ROOM}})).statusCode, 200);
+    assert.equal((await call(addParticipant, STRANGER, {body: {roomId: ROOM, userId: STRANGER}})).statusCode, 200);
+    assert.deepEqual(created.map(({userId}) => userId), [STRANGER, STRANGER]);
+});
+
+test("allowSelfJoin never lets someone add another user", async () =>
+{
+    room.settings.allowSelfJoin=true;
+
+    const res=await call(addParticipant, STRANGER, {body: {roomId: ROOM, userId: MEMBER}});
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(created, []);
+});
+
+test("ended rooms take no one adding themselves", async () =>
+{
+    room.settings.allowSelfJoin=true;
+    room.isActive=false;
+
+    assert.equal((await call(addParticipant, STRANGER, {body: {roomId: ROOM}})).statusCode, 403);
+});
+
+test("only members of the room see its participants", async () =>
+{
+    for (const userId of [CREATOR, MEMBER])
+    {
+        assert.equal((await call(getParticipantsByRoomId, userId, {params: {id: ROOM}})).statusCode, 200);
+        assert.equal((await call(getParticipantById, userId, {params: {id: PARTICIPANT}})).statusCode, 200);
+    }
+
+    const list=await call(getParticipantsByRoomId, STRANGER, {params: {id: ROOM}});
+    const single=await call(getParticipantById, STRANGER, {params: {id: PARTICIPANT}});
+
+    assert.equal(list.statusCode, 403);
+    assert.equal(list.body.participants, undefined);
+    assert.equal(single.statusCode, 403);
+    assert.equal(single.body.participant, undefined);
+});
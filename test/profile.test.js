@@ -0,0 +1,77 @@
+import {after, test} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {AVATAR_MAX_BYTES, deleteAvatar, getAvatarPath, saveAvatar, validateAvatar} from "../src/auth/avatar.manager.js";
+import {getSupportedLanguages, isSupportedLanguage} from "../src/translation/languages.js";
+
+const USER="64b0000000000000000000aa";
+
+const PNG=Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+const JPEG=Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(16)]);
+
+const original={dir: process.env.AVATAR_DIR, languages: process.env.SUPPORTED_LANGUAGES};
+
+after(() =>
+{
+    for (const [name, value] of [["AVATAR_DIR", original.dir], ["SUPPORTED_LANGUAGES", original.languages]])
+    {
+        if (value===undefined) delete process.env[name];
+        else process.env[name]=value;
+    }
+});
+
+test("avatars are checked by their bytes, not the type the client claims", () =>
+{
+    assert.equal(validateAvatar(PNG, "image/png"), null);
+    assert.equal(validateAvatar(JPEG, "image/jpeg"), null);
+
+    assert.equal(validateAvatar(JPEG, "image/png"), "File is not a valid image/png image");
+    assert.match(validateAvatar(PNG, "image/gif"), /^Image must be one of: image\/png, image\/jpeg, image\/webp$/);
+    assert.equal(validateAvatar(Buffer.alloc(0), "image/png"), "Image is required");
+    assert.equal(validateAvatar("not a buffer", "image/png"), "Image is required");
+});
+
+test("avatars over the size limit are refused", () =>
+{
+    const huge=Buffer.concat([PNG, Buffer.alloc(AVATAR_MAX_BYTES)]);
+
+    assert.match(validateAvatar(huge, "image/png"), /^Image must be at most \d+ KB$/);
+});
+
+test("a new avatar replaces the old one whatever its type", async () =>
+{
+    process.env.AVATAR_DIR=await fs.mkdtemp(path.join(os.tmpdir(), "avatars-"));
+
+    await saveAvatar(USER, JPEG, "image/jpeg");
+    await saveAvatar(USER, PNG, "image/png");
+
+    assert.deepEqual(await fs.readdir(process.env.AVATAR_DIR), [`${USER}.png`]);
+    assert.equal(getAvatarPath(USER, "image/png"), path.join(process.env.AVATAR_DIR, `${USER}.png`));
+    assert.equal(getAvatarPath(USER, "image/gif"), null);
+
+    await deleteAvatar(USER);
+    assert.deepEqual(await fs.readdir(process.env.AVATAR_DIR), []);
+
+    await fs.rm(process.env.AVATAR_DIR, {recursive: true});
+});
+
+test("only listed languages can be picked", () =>
+{
+    delete process.env.SUPPORTED_LANGUAGES;
+
+    assert.ok(isSupportedLanguage("hi"));
+    assert.ok(!isSupportedLanguage("xx"));
+    assert.ok(!isSupportedLanguage(undefined));
+    assert.ok(!isSupportedLanguage(["en"]));
+});
+
+test("SUPPORTED_LANGUAGES narrows or extends the list", () =>
+{
+    process.env.SUPPORTED_LANGUAGES="en, JA";
+
+    assert.deepEqual(getSupportedLanguages(), [{code: "en", name: "English"}, {code: "ja", name: "ja"}]);
+    assert.ok(isSupportedLanguage("ja"));
+    assert.ok(!isSupportedLanguage("hi"));
+});
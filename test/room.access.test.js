@@ -0,0 +1,109 @@
+import {afterEach, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import participantModel from "../src/model/participant.model.js";
+import roomModel from "../src/model/room.model.js";
+import {isRoomMember, loadJoinableRoom, recordParticipantJoin, validateRoomSettings} from "../src/mediasoup/room.access.js";
+
+const ROOM="64b000000000000000000020";
+const CREATOR="64b0000000000000000000aa";
+const MEMBER="64b0000000000000000000bb";
+const LISTED="64b0000000000000000000dd";
+const STRANGER="64b0000000000000000000cc";
+
+let room;
+let participantRecords;
+
+const original={
+    findById: roomModel.findById,
+    exists: participantModel.exists,
+    findOneAndUpdate: participantModel.findOneAndUpdate,
+};
+
+beforeEach(() =>
+{
+    room={
+        _id: ROOM,
+        createdBy: CREATOR,
+        participants: [LISTED],
+        isActive: true,
+        settings: {allowBots: true, languageSpoken: "en", targetLanguage: "hi"},
+    };
+    // MEMBER only has a Participant record, not a place in room.participants
+    participantRecords=[{roomId: ROOM, userId: MEMBER}];
+
+    roomModel.findById=() => ({select: async () => room});
+    participantModel.exists=async ({roomId, userId}) =>
+        participantRecords.some((record) => record.roomId===String(roomId)&&record.userId===userId)||null;
+});
+
+afterEach(() =>
+{
+    roomModel.findById=original.findById;
+    Object.assign(participantModel, {exists: original.exists, findOneAndUpdate: original.findOneAndUpdate});
+});
+
+test("the creator, listed participants and Participant records are members", async () =>
+{
+    assert.equal(await isRoomMember(room, CREATOR), true);
+    assert.equal(await isRoomMember(room, LISTED), true);
+    assert.equal(await isRoomMember(room, MEMBER), true);
+    assert.equal(await isRoomMember(room, STRANGER), false);
+});
+
+test("members join active rooms", async () =>
+{
+    assert.deepEqual(await loadJoinableRoom(ROOM, {id: MEMBER}), {room});
+});
+
+test("made-up, missing and ended rooms all look the same", async () =>
+{
+    assert.deepEqual(await loadJoinableRoom("room-abc", {id: MEMBER}), {error: "Room not found"});
+
+    room.isActive=false;
+    assert.deepEqual(await loadJoinableRoom(ROOM, {id: MEMBER}), {error: "Room not found"});
+
+    room=null;
+    assert.deepEqual(await loadJoinableRoom(ROOM, {id: MEMBER}), {error: "Room not found"});
+});
+
+test("people who aren't in the room can't join its meeting", async () =>
+{
+    assert.deepEqual(await loadJoinableRoom(ROOM, {id: STRANGER}), {error: "You are not a participant of this room"});
+});
+
+test("bots join only rooms that allow them", async () =>
+{
+    const bot={id: CREATOR, isBot: true};
+    assert.deepEqual(await loadJoinableRoom(ROOM, bot), {room});
+
+    room.settings.allowBots=false;
+    assert.deepEqual(await loadJoinableRoom(ROOM, bot), {error: "Bots are not allowed in this room"});
+});
+
+test("first-time joiners get the room's languages unless they sent their own", async () =>
+{
+    const updates=[];
+    participantModel.findOneAndUpdate=async (filter, update) => updates.push(update.$setOnInsert);
+
+    await recordParticipantJoin(room, MEMBER);
+    await recordParticipantJoin(room, MEMBER, {languageSpoken: "fr"});
+
+    assert.deepEqual(updates, [
+        {languageSpoken: "en", targetLanguage: "hi"},
+        {languageSpoken: "fr", targetLanguage: "hi"},
+    ]);
+});
+
+test("room settings are checked field by field", () =>
+{
+    assert.deepEqual(validateRoomSettings(undefined), {settings: {}});
+    assert.deepEqual(validateRoomSettings({maxParticipants: 10, languageSpoken: "fr", allowSelfJoin: true, extra: 1}), {
+        settings: {maxParticipants: 10, languageSpoken: "fr", allowSelfJoin: true},
+    });
+
+    assert.match(validateRoomSettings([]).error, /must be an object/);
+    assert.match(validateRoomSettings({maxParticipants: 1}).error, /from 2 to 150/);
+    assert.match(validateRoomSettings({maxParticipants: 500}).error, /from 2 to 150/);
+    assert.match(validateRoomSettings({targetLanguage: "klingon"}).error, /Unsupported language for targetLanguage/);
+    assert.match(validateRoomSettings({allowBots: "yes"}).error, /allowBots must be true or false/);
+});
@@ -0,0 +1,73 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {buildRtpPacket, parseRtpPacket} from "../src/mediasoup/rtp.packet.js";
+
+const PAYLOAD=Buffer.from([0xfc, 0xff, 0xfe, 0x01, 0x02]);
+
+test("a built packet parses back to the same fields", () =>
+{
+    const packet=buildRtpPacket({
+        marker: true,
+        payloadType: 100,
+        sequenceNumber: 65535,
+        timestamp: 4294967295,
+        ssrc: 0x12345678,
+        payload: PAYLOAD,
+    });
+
+    assert.equal(packet.length, 12+PAYLOAD.length);
+    assert.equal(packet[0], 0x80);
+
+    const parsed=parseRtpPacket(packet);
+    assert.equal(parsed.marker, true);
+    assert.equal(parsed.payloadType, 100);
+    assert.equal(parsed.sequenceNumber, 65535);
+    assert.equal(parsed.timestamp, 4294967295);
+    assert.equal(parsed.ssrc, 0x12345678);
+    assert.deepEqual(parsed.payload, PAYLOAD);
+});
+
+test("sequence numbers and timestamps wrap instead of overflowing", () =>
+{
+    const parsed=parseRtpPacket(buildRtpPacket({payloadType: 100, sequenceNumber: 65536+7, timestamp: 2**32+960, ssrc: 1, payload: PAYLOAD}));
+
+    assert.equal(parsed.sequenceNumber, 7);
+    assert.equal(parsed.timestamp, 960);
+    assert.equal(parsed.marker, false);
+});
+
+test("CSRCs, header extensions and padding are skipped", () =>
+{
+    const header=Buffer.from([
+        0xb1, 0x64, 0x00, 0x01,  // V=2, padding, extension, 1 CSRC | PT 100
+        0x00, 0x00, 0x03, 0xc0,  // timestamp 960
+        0x00, 0x00, 0x00, 0x2a,  // SSRC 42
+        0x00, 0x00, 0x00, 0x01,  // CSRC
+        0xbe, 0xde, 0x00, 0x01,  // one-byte extension header, 1 word
+        0x10, 0xaa, 0x00, 0x00,  // extension data
+    ]);
+    const padding=Buffer.from([0x00, 0x00, 0x03]);
+
+    const parsed=parseRtpPacket(Buffer.concat([header, PAYLOAD, padding]));
+
+    assert.equal(parsed.ssrc, 42);
+    assert.deepEqual(parsed.payload, PAYLOAD);
+});
+
+test("RTCP, other versions and truncated packets are rejected", () =>
+{
+    const rtcp=Buffer.alloc(12);
+    rtcp[0]=0x80;
+    rtcp[1]=200;
+    // sender report
+
+    const versionOne=buildRtpPacket({payloadType: 100, sequenceNumber: 1, timestamp: 1, ssrc: 1, payload: PAYLOAD});
+    versionOne[0]=0x40;
+
+    const truncatedExtension=Buffer.from([0x90, 0x64, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0xbe, 0xde]);
+
+    assert.equal(parseRtpPacket(rtcp), null);
+    assert.equal(parseRtpPacket(versionOne), null);
+    assert.equal(parseRtpPacket(Buffer.alloc(11)), null);
+    assert.equal(parseRtpPacket(truncatedExtension), null);
+});
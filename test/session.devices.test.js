@@ -0,0 +1,119 @@
+import {after, before, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import sessionModel from "../src/model/session.model.js";
+import {listUserSessions, revokeSession, revokeUserSessions, sessionEvents, verifyAccessToken} from "../src/auth/session.manager.js";
+
+const USER="64b0000000000000000000aa";
+const LAPTOP="64b0000000000000000000b1";
+const PHONE="64b0000000000000000000b2";
+const TABLET="64b0000000000000000000b3";
+
+let revokedAt;
+let writes;
+let revokedEvents;
+
+const original={
+    find: sessionModel.find,
+    findById: sessionModel.findById,
+    findOneAndUpdate: sessionModel.findOneAndUpdate,
+    updateMany: sessionModel.updateMany,
+    updateOne: sessionModel.updateOne,
+};
+
+const listener=(event) => revokedEvents.push(event);
+
+before(() =>
+{
+    process.env.JWT_SECRET||="test-secret";
+
+    sessionModel.find=(filter) =>
+    {
+        const ids=[LAPTOP, PHONE, TABLET].filter((id) => !revokedAt.has(id)&&id!==filter._id?.$ne);
+        const query=Promise.resolve(ids.map((_id) => ({_id})));
+        query.select=() => query;
+        query.sort=(sort) => ({select: (fields) => ({lean: async () => ({filter, sort, fields})})});
+        return query;
+    };
+    sessionModel.findById=(id) => ({select: async () => ({expiresAt: new Date(Date.now()+60000), revokedAt: revokedAt.get(String(id))})});
+    sessionModel.findOneAndUpdate=async ({_id}) =>
+    {
+        if (revokedAt.has(String(_id))) return null;
+        revokedAt.set(String(_id), new Date());
+        return {_id, userId: USER};
+    };
+    sessionModel.updateMany=async (filter) =>
+    {
+        for (const id of [LAPTOP, PHONE, TABLET]) if (id!==filter._id?.$ne) revokedAt.set(id, new Date());
+        return {modifiedCount: 1};
+    };
+    sessionModel.updateOne=async (filter, update) => writes.push(update.$set.lastUsedAt);
+
+    sessionEvents.on("revoked", listener);
+});
+
+beforeEach(() =>
+{
+    revokedAt=new Map();
+    writes=[];
+    revokedEvents=[];
+});
+
+after(() =>
+{
+    Object.assign(sessionModel, original);
+    sessionEvents.off("revoked", listener);
+});
+
+const accessToken=(sid) => jwt.sign({id: USER, sid}, process.env.JWT_SECRET, {expiresIn: "5m"});
+
+test("the device list shows working sessions, most recently used first", async () =>
+{
+    const {filter, sort, fields}=await listUserSessions(USER);
+
+    assert.equal(filter.userId, USER);
+    assert.equal(filter.revokedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.deepEqual(sort, {lastUsedAt: -1});
+    // Never the refresh token hash
+    assert.ok(!fields.includes("refreshTokenHash"));
+});
+
+test("revoking a device stops its access token at once and tells its sockets", async () =>
+{
+    const token=accessToken(LAPTOP);
+    await verifyAccessToken(token);
+
+    await revokeSession(LAPTOP, "revoked by user");
+
+    await assert.rejects(verifyAccessToken(token), /Session has been revoked/);
+    assert.deepEqual(revokedEvents, [{sessionId: LAPTOP, userId: USER, reason: "revoked by user"}]);
+});
+
+test("revoking a device twice tells nobody the second time", async () =>
+{
+    await revokeSession(TABLET);
+    await revokeSession(TABLET);
+
+    assert.equal(revokedEvents.length, 1);
+});
+
+test("\"log out other devices\" keeps the current one", async () =>
+{
+    const revoked=await revokeUserSessions(USER, {except: PHONE, reason: "revoked by user"});
+
+    assert.deepEqual(revoked, [LAPTOP, TABLET]);
+    assert.deepEqual(revokedEvents.map(({sessionId}) => sessionId), [LAPTOP, TABLET]);
+    assert.equal((await verifyAccessToken(accessToken(PHONE))).sid, PHONE);
+});
+
+test("\"last seen\" is written at most once a minute", async () =>
+{
+    const token=accessToken("64b0000000000000000000b4");
+
+    await verifyAccessToken(token);
+    await verifyAccessToken(token);
+    await verifyAccessToken(token);
+
+    assert.equal(writes.length, 1);
+});
@@ -0,0 +1,120 @@
+import {after, before, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import sessionModel from "../src/model/session.model.js";
+import {AuthError, createSession, rotateRefreshToken, sessionEvents, verifyAccessToken} from "../src/auth/session.manager.js";
+
+const USER="64b0000000000000000000aa";
+
+// In-memory Session collection - just the queries the manager makes
+let sessions;
+
+const matches=(session, filter) => Object.entries(filter).every(([field, value]) =>
+    value===null? !session[field]:String(session[field])===String(value)
+);
+
+const original={
+    create: sessionModel.create,
+    findById: sessionModel.findById,
+    findOneAndUpdate: sessionModel.findOneAndUpdate,
+    updateOne: sessionModel.updateOne,
+};
+
+before(() =>
+{
+    process.env.JWT_SECRET||="test-secret";
+
+    sessionModel.create=async (fields) =>
+    {
+        const session={_id: new mongoose.Types.ObjectId(), ...fields};
+        sessions.set(session._id.toString(), session);
+        return {...session};
+    };
+    sessionModel.findById=(id) =>
+    {
+        const found=sessions.get(String(id));
+        const result=Promise.resolve(found&&{...found});
+        result.select=async () => found&&{...found};
+        return result;
+    };
+    sessionModel.findOneAndUpdate=async (filter, {$set}, {new: returnNew}={}) =>
+    {
+        const session=[...sessions.values()].find((candidate) => matches(candidate, filter));
+        if (!session) return null;
+
+        const before={...session};
+        Object.assign(session, $set);
+        return returnNew? {...session}:before;
+    };
+    sessionModel.updateOne=async () => ({modifiedCount: 1});
+});
+
+beforeEach(() =>
+{
+    sessions=new Map();
+});
+
+after(() => Object.assign(sessionModel, original));
+
+test("each refresh hands out a new refresh token and a working access token", async () =>
+{
+    const login=await createSession(USER);
+    const refreshed=await rotateRefreshToken(login.refreshToken);
+
+    assert.equal(refreshed.sessionId, login.sessionId);
+    assert.notEqual(refreshed.refreshToken, login.refreshToken);
+    assert.equal((await verifyAccessToken(refreshed.accessToken)).id, USER);
+});
+
+test("only a hash of the refresh token is stored", async () =>
+{
+    const {refreshToken, sessionId}=await createSession(USER);
+    const secret=refreshToken.split(".")[1];
+
+    assert.ok(!JSON.stringify(sessions.get(sessionId)).includes(secret));
+});
+
+test("a refresh token replayed after the grace window revokes the whole session", async () =>
+{
+    const login=await createSession(USER);
+    const refreshed=await rotateRefreshToken(login.refreshToken);
+    sessions.get(login.sessionId).rotatedAt=new Date(Date.now()-60000);
+
+    const revoked=[];
+    const listener=(event) => revoked.push(event);
+    sessionEvents.on("revoked", listener);
+
+    await assert.rejects(
+        rotateRefreshToken(login.refreshToken),
+        (err) => err instanceof AuthError&&/reuse detected/.test(err.message)
+    );
+    sessionEvents.off("revoked", listener);
+
+    assert.deepEqual(revoked, [{sessionId: login.sessionId, userId: USER, reason: "refresh token reuse"}]);
+    // The thief AND the real user are logged out
+    await assert.rejects(rotateRefreshToken(refreshed.refreshToken), /revoked/);
+    await assert.rejects(verifyAccessToken(refreshed.accessToken), /revoked/);
+});
+
+test("two tabs refreshing at once both get an access token, only one a refresh token", async () =>
+{
+    const login=await createSession(USER);
+
+    const first=await rotateRefreshToken(login.refreshToken);
+    const second=await rotateRefreshToken(login.refreshToken);
+
+    assert.ok(first.refreshToken);
+    assert.equal(second.refreshToken, null);
+    assert.ok(second.accessToken);
+    assert.ok(await rotateRefreshToken(first.refreshToken));
+});
+
+test("malformed, unknown and expired refresh tokens are refused", async () =>
+{
+    await assert.rejects(rotateRefreshToken("nonsense"), /Invalid refresh token/);
+    await assert.rejects(rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`), /Invalid refresh token/);
+
+    const login=await createSession(USER);
+    sessions.get(login.sessionId).expiresAt=new Date(Date.now()-1000);
+    await assert.rejects(rotateRefreshToken(login.refreshToken), /expired/);
+});
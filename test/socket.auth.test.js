@@ -0,0 +1,161 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import {EventEmitter} from "events";
+import jwt from "jsonwebtoken";
+import apiKeyModel from "../src/model/apikey.model.js";
+import sessionModel from "../src/model/session.model.js";
+import {attachSocketAuth} from "../src/socket/socket.auth.js";
+import {apiKeyEvents} from "../src/auth/apikey.manager.js";
+import {sessionEvents} from "../src/auth/session.manager.js";
+import {getHandshakeToken} from "../src/auth/cookie.manager.js";
+
+const USER="64b0000000000000000000aa";
+const SESSION="64b0000000000000000000bb";
+const REVOKED_SESSION="64b0000000000000000000cc";
+const FRONTEND="https://app.example.com";
+
+const original={
+    findSession: sessionModel.findById,
+    updateSession: sessionModel.updateOne,
+    findKey: apiKeyModel.findOne,
+    updateKey: apiKeyModel.updateOne,
+};
+
+// The one handshake middleware and connection handler attachSocketAuth adds
+let handshake;
+let onConnection;
+const sockets=new Map();
+
+before(() =>
+{
+    process.env.JWT_SECRET||="test-secret";
+
+    sessionModel.findById=(id) => ({
+        select: async () => ({
+            expiresAt: new Date(Date.now()+60000),
+            revokedAt: String(id)===REVOKED_SESSION? new Date():null,
+        }),
+    });
+    sessionModel.updateOne=async () => ({modifiedCount: 1});
+    // Bot keys - the secret is sha256("secret")
+    apiKeyModel.findOne=async ({keyId}) => ({
+        _id: keyId,
+        keyId,
+        userId: USER,
+        name: keyId,
+        secretHash: "2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b",
+        scopes: keyId==="bot"? ["meetings:join-as-bot"]:["rooms:read"],
+    });
+    apiKeyModel.updateOne=async () => ({modifiedCount: 1});
+
+    const io={
+        use: (middleware) => handshake=middleware,
+        on: (event, handler) => onConnection=handler,
+        of: () => ({sockets}),
+    };
+    attachSocketAuth(io, {allowedOrigins: [FRONTEND]});
+});
+
+after(() =>
+{
+    Object.assign(sessionModel, {findById: original.findSession, updateOne: original.updateSession});
+    Object.assign(apiKeyModel, {findOne: original.findKey, updateOne: original.updateKey});
+    for (const socket of sockets.values()) clearTimeout(socket.data.expiryTimer);
+});
+
+const accessToken=(sid, expiresIn="5m") => jwt.sign({id: USER, sid}, process.env.JWT_SECRET, {expiresIn});
+
+// Runs the handshake; a socket that gets through is connected and kept in `sockets`
+const connect=async ({auth={}, headers={}}={}) =>
+{
+    const socket=new EventEmitter();
+    socket.id=`socket-${sockets.size}`;
+    socket.data={};
+    socket.handshake={auth, headers, address: "127.0.0.1"};
+    socket.sent=[];
+    socket.emit=(event, payload) => socket.sent.push({event, payload});
+    socket.disconnect=() => socket.disconnected=true;
+
+    const error=await new Promise((resolve) => handshake(socket, resolve));
+    if (error) return {error};
+
+    sockets.set(socket.id, socket);
+    onConnection(socket);
+    return {socket};
+};
+
+test("the handshake finds the token in the auth payload, then the header, then the cookie", () =>
+{
+    assert.deepEqual(getHandshakeToken({auth: {token: "a"}, headers: {authorization: "Bearer b", cookie: "token=c"}}), {token: "a", source: "auth"});
+    assert.deepEqual(getHandshakeToken({headers: {authorization: "Bearer b", cookie: "token=c"}}), {token: "b", source: "bearer"});
+    assert.deepEqual(getHandshakeToken({headers: {cookie: "theme=dark; token=c%3D"}}), {token: "c=", source: "cookie"});
+});
+
+test("a valid access token connects, as the user it belongs to", async () =>
+{
+    const {socket, error}=await connect({auth: {token: accessToken(SESSION)}});
+
+    assert.equal(error, undefined);
+    assert.equal(socket.data.user.id, USER);
+    assert.equal(socket.data.user.sid, SESSION);
+    assert.equal(socket.data.user.isBot, false);
+});
+
+test("no token, a bad token or a revoked session is refused with a 401", async () =>
+{
+    for (const auth of [{}, {token: "not-a-jwt"}, {token: accessToken(REVOKED_SESSION)}])
+    {
+        const {error}=await connect({auth});
+        assert.match(error.message, /^Unauthorized - /);
+        assert.equal(error.data.status, 401);
+    }
+});
+
+test("cookies only count from allowed origins", async () =>
+{
+    const cookie=`token=${accessToken(SESSION)}`;
+
+    const foreign=await connect({headers: {cookie, origin: "https://evil.example"}});
+    assert.equal(foreign.error.data.status, 403);
+
+    const {socket}=await connect({headers: {cookie, origin: FRONTEND}});
+    assert.equal(socket.data.user.id, USER);
+});
+
+test("API keys need the meetings:join-as-bot scope", async () =>
+{
+    const {socket}=await connect({auth: {token: "mfk_bot.secret"}});
+    assert.equal(socket.data.user.isBot, true);
+
+    const {error}=await connect({auth: {token: "mfk_reader.secret"}});
+    assert.equal(error.data.status, 403);
+});
+
+test("revoking a session or key disconnects its sockets, and only those", async () =>
+{
+    const {socket: user}=await connect({auth: {token: accessToken(SESSION)}});
+    const {socket: bot}=await connect({auth: {token: "mfk_bot.secret"}});
+
+    sessionEvents.emit("revoked", {sessionId: SESSION, userId: USER, reason: "logout"});
+    assert.ok(user.disconnected);
+    assert.deepEqual(user.sent, [{event: "sessionRevoked", payload: {reason: "logout"}}]);
+    assert.ok(!bot.disconnected);
+
+    apiKeyEvents.emit("revoked", {keyId: "bot", userId: USER});
+    assert.ok(bot.disconnected);
+});
+
+test("an expired token ends the socket unless a fresh one was sent", async () =>
+{
+    const {socket: stale}=await connect({auth: {token: accessToken(SESSION, "1s")}});
+    const {socket: renewed}=await connect({auth: {token: accessToken(SESSION, "1s")}});
+
+    const reply=await new Promise((resolve) => renewed.listeners("reauthenticate")[0]({token: accessToken(SESSION)}, resolve));
+    assert.ok(reply.expiresAt>new Date(Date.now()+60000));
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    assert.deepEqual(stale.sent, [{event: "tokenExpired", payload: {reason: "Token expired"}}]);
+    assert.ok(!renewed.disconnected);
+    clearTimeout(renewed.data.expiryTimer);
+});
@@ -0,0 +1,135 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mockIdpRoutes from "../src/auth/mock.idp.js";
+import auditModel from "../src/model/audit.model.js";
+import userModel from "../src/model/user.model.js";
+import {buildAuthorizationRequest, completeAuthorization, findOrCreateSsoUser, registerSsoProvider} from "../src/auth/sso.manager.js";
+import {AuthError} from "../src/auth/session.manager.js";
+
+const REDIRECT_URI="http://localhost:3000/api/auth/sso/mock-test/callback";
+
+let server;
+
+before(async () =>
+{
+    process.env.JWT_SECRET||="test-secret";
+    delete process.env.API_URL;
+    // The mock IdP would name API_URL as its issuer otherwise
+
+    const app=express();
+    app.use("/mock-idp", mockIdpRoutes);
+    server=http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    registerSsoProvider("mock-test", {
+        issuer: `http://127.0.0.1:${server.address().port}/mock-idp`,
+        clientId: "meetflow-test",
+        clientSecret: "mock-secret",
+    });
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// What the browser does: open the IdP's page, get sent back to our callback
+const authorize=async (url) =>
+{
+    const response=await fetch(url, {redirect: "manual"});
+    assert.equal(response.status, 302);
+
+    const callback=new URL(response.headers.get("location"));
+    assert.equal(`${callback.origin}${callback.pathname}`, REDIRECT_URI);
+    return {code: callback.searchParams.get("code"), state: callback.searchParams.get("state")};
+};
+
+test("login → IdP → callback yields the verified id_token claims", async () =>
+{
+    const {url, stateToken}=await buildAuthorizationRequest("mock-test", {redirectUri: REDIRECT_URI, returnTo: "/rooms"});
+
+    const request=new URL(url);
+    assert.equal(request.searchParams.get("code_challenge_method"), "S256");
+    assert.ok(request.searchParams.get("code_challenge"));
+    assert.equal(request.searchParams.get("code_verifier"), null);
+    // The verifier never leaves the server (it rides in the signed state cookie)
+
+    request.searchParams.set("login_hint", "asha@example.com");
+    const {code, state}=await authorize(request);
+
+    const {claims, returnTo}=await completeAuthorization("mock-test", {code, state, stateToken, redirectUri: REDIRECT_URI});
+
+    assert.equal(claims.email, "asha@example.com");
+    assert.equal(claims.email_verified, true);
+    assert.equal(claims.aud, "meetflow-test");
+    assert.equal(returnTo, "/rooms");
+});
+
+test("a code is refused with the wrong PKCE verifier", async () =>
+{
+    const {url, stateToken}=await buildAuthorizationRequest("mock-test", {redirectUri: REDIRECT_URI});
+    const {code, state}=await authorize(url);
+
+    const {iat, exp, ...expected}=jwt.decode(stateToken);
+    const forged=jwt.sign({...expected, codeVerifier: "not-the-verifier"}, process.env.JWT_SECRET);
+
+    await assert.rejects(
+        completeAuthorization("mock-test", {code, state, stateToken: forged, redirectUri: REDIRECT_URI}),
+        (err) => err instanceof AuthError&&/token exchange failed: invalid_grant/.test(err.message)
+    );
+});
+
+test("a callback with someone else's state is refused", async () =>
+{
+    const first=await buildAuthorizationRequest("mock-test", {redirectUri: REDIRECT_URI});
+    const second=await buildAuthorizationRequest("mock-test", {redirectUri: REDIRECT_URI});
+    const {code, state}=await authorize(first.url);
+
+    await assert.rejects(
+        completeAuthorization("mock-test", {code, state, stateToken: second.stateToken, redirectUri: REDIRECT_URI}),
+        /SSO state mismatch/
+    );
+});
+
+test("codes are single use", async () =>
+{
+    const {url, stateToken}=await buildAuthorizationRequest("mock-test", {redirectUri: REDIRECT_URI});
+    const {code, state}=await authorize(url);
+
+    await completeAuthorization("mock-test", {code, state, stateToken, redirectUri: REDIRECT_URI});
+    await assert.rejects(
+        completeAuthorization("mock-test", {code, state, stateToken, redirectUri: REDIRECT_URI}),
+        /invalid_grant/
+    );
+});
+
+test("new SSO users only get a preferred language we support", async () =>
+{
+    const created=[];
+    const original={findOne: userModel.findOne, create: userModel.create, audit: auditModel.create};
+
+    userModel.findOne=async () => null;
+    userModel.create=async (fields) =>
+    {
+        created.push(fields);
+        return {_id: "64b0000000000000000000aa", ...fields};
+    };
+    auditModel.create=async () => ({});
+
+    try
+    {
+        const claims={email: "asha@example.com", email_verified: true, name: "Asha"};
+
+        await findOrCreateSsoUser("mock-test", {...claims, sub: "1", locale: "fr-CA"});
+        await findOrCreateSsoUser("mock-test", {...claims, sub: "2", locale: "<script>"});
+        await findOrCreateSsoUser("mock-test", {...claims, sub: "3"});
+    } finally
+    {
+        Object.assign(userModel, {findOne: original.findOne, create: original.create});
+        auditModel.create=original.audit;
+    }
+
+    assert.equal(created[0].preferred_language, "fr");
+    assert.equal("preferred_language" in created[1], false);
+    assert.equal("preferred_language" in created[2], false);
+});
@@ -0,0 +1,89 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import roomModel from "../src/model/room.model.js";
+import usageModel from "../src/model/usage.model.js";
+import {getMeetingSummary} from "../src/translation/summary.manager.js";
+import {setTextTranslator} from "../src/translation/text.translator.js";
+
+const USER="64b0000000000000000000aa";
+
+const stored=[];
+const billed=[];
+
+const original={
+    updateOne: roomModel.updateOne,
+    findById: roomModel.findById,
+    aggregate: usageModel.aggregate,
+    usageUpdateOne: usageModel.updateOne,
+};
+
+before(() =>
+{
+    roomModel.updateOne=async (filter, update) => stored.push(update.$push["summary.translations"]);
+    roomModel.findById=() => ({select: async () => null});
+    usageModel.aggregate=async () => [];
+    usageModel.updateOne=async (filter, update) => billed.push({userId: filter.userId, ...update.$inc});
+
+    setTextTranslator({
+        name: "test",
+        detectLanguage: async () => ({language: "en", confidence: 1}),
+        translate: async (text, {to}) => ({text: `[${to}] ${text}`}),
+    });
+});
+
+after(() =>
+{
+    Object.assign(roomModel, {updateOne: original.updateOne, findById: original.findById});
+    Object.assign(usageModel, {aggregate: original.aggregate, updateOne: original.usageUpdateOne});
+    setTextTranslator(null);
+});
+
+const room=() => ({
+    _id: "64b000000000000000000020",
+    summary: {
+        status: "ready",
+        provider: "local",
+        language: "en",
+        text: "We shipped",
+        decisions: ["Ship on Monday"],
+        actionItems: [{text: "Write the notes", owner: "Asha"}],
+        translations: [],
+        generatedAt: new Date("2026-10-05T10:00:00Z"),
+    },
+});
+
+test("a new language is translated once, stored and billed to whoever asked", async () =>
+{
+    stored.length=0;
+    billed.length=0;
+
+    const summary=await getMeetingSummary(room(), "fr", {userId: USER});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(summary.text, "[fr] We shipped");
+    assert.deepEqual(summary.decisions, ["[fr] Ship on Monday"]);
+    assert.deepEqual(summary.actionItems, [{text: "[fr] Write the notes", owner: "Asha"}]);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].language, "fr");
+    assert.equal(billed.reduce((total, entry) => total+entry.textCharacters, 0), "We shippedShip on MondayWrite the notes".length);
+    assert.ok(billed.every((entry) => entry.userId===USER));
+});
+
+test("unsupported languages are refused before anything is translated or stored", async () =>
+{
+    stored.length=0;
+
+    await assert.rejects(getMeetingSummary(room(), "not-a-language", {userId: USER}), /Unsupported language: not-a-language/);
+    assert.equal(stored.length, 0);
+});
+
+test("the original comes back untouched", async () =>
+{
+    stored.length=0;
+
+    const summary=await getMeetingSummary(room(), null);
+
+    assert.equal(summary.language, "en");
+    assert.equal(summary.text, "We shipped");
+    assert.equal(stored.length, 0);
+});
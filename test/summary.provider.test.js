@@ -0,0 +1,30 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {LocalSummaryProvider} from "../src/translation/summary.provider.js";
+
+const provider=new LocalSummaryProvider();
+
+test("decisions and action items are picked out of what was said", async () =>
+{
+    const result=await provider.summarize({
+        roomName: "Weekly sync",
+        segments: [
+            {speakerName: "Asha", text: "Let's start with the release", startMs: 0, endMs: 3000},
+            {speakerName: "Ben", text: "We agreed to ship on Monday", startMs: 60000, endMs: 64000},
+            {speakerName: "Asha", text: "I will update the changelog tomorrow", startMs: 150000, endMs: 155000},
+        ],
+    });
+
+    assert.match(result.summary, /^"Weekly sync" ran about 3 minutes with 2 speakers \(Asha, Ben\)\./);
+    assert.deepEqual(result.decisions, ["Let's start with the release", "We agreed to ship on Monday"]);
+    assert.deepEqual(result.actionItems, [{text: "I will update the changelog tomorrow", owner: "Asha"}]);
+});
+
+test("an empty meeting still gets a summary", async () =>
+{
+    const result=await provider.summarize({segments: []});
+
+    assert.equal(result.summary, "Nothing was said in this meeting.");
+    assert.deepEqual(result.decisions, []);
+    assert.deepEqual(result.actionItems, []);
+});
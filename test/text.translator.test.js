@@ -0,0 +1,86 @@
+import {afterEach, test} from "node:test";
+import assert from "node:assert/strict";
+import {detectLanguage, setTextTranslator, translateText} from "../src/translation/text.translator.js";
+
+// A provider that shows what reached it
+const countingTranslator=() =>
+{
+    const calls=[];
+    return {
+        calls,
+        name: "test",
+        detectLanguage: async (text) => ({language: /bonjour/i.test(text)? "fr":null, confidence: 0.9}),
+        translate: async (text, {to}) =>
+        {
+            calls.push(text);
+            return {text: `${text} [${to}]`};
+        },
+    };
+};
+
+afterEach(() => setTextTranslator(null));
+
+test("chat is translated once per language pair, then served from the cache", async () =>
+{
+    const translator=countingTranslator();
+    setTextTranslator(translator);
+
+    assert.deepEqual(await translateText("thanks", {from: "en", to: "fr"}), {text: "thanks [fr]", from: "en", to: "fr", cached: false});
+    assert.deepEqual(await translateText("thanks", {from: "en", to: "fr"}), {text: "thanks [fr]", from: "en", to: "fr", cached: true});
+    await translateText("thanks", {from: "en", to: "de"});
+
+    assert.deepEqual(translator.calls, ["thanks", "thanks"]);
+});
+
+test("text already in the recipient's language is passed through", async () =>
+{
+    const translator=countingTranslator();
+    setTextTranslator(translator);
+
+    assert.deepEqual(await translateText("hello", {from: "en", to: "en"}), {text: "hello", from: "en", to: "en", cached: false});
+    assert.deepEqual(translator.calls, []);
+});
+
+test("switching providers empties the cache", async () =>
+{
+    setTextTranslator(countingTranslator());
+    await translateText("thanks", {from: "en", to: "fr"});
+
+    const next=countingTranslator();
+    setTextTranslator(next);
+    await translateText("thanks", {from: "en", to: "fr"});
+
+    assert.deepEqual(next.calls, ["thanks"]);
+});
+
+test("the oldest entries leave the cache first", async () =>
+{
+    process.env.TEXT_TRANSLATION_CACHE_SIZE="2";
+    const fresh=await import("../src/translation/text.translator.js?cache=2");
+    delete process.env.TEXT_TRANSLATION_CACHE_SIZE;
+
+    const translator=countingTranslator();
+    fresh.setTextTranslator(translator);
+
+    for (const text of ["one", "two", "one", "three", "one", "two"])
+    {
+        await fresh.translateText(text, {from: "en", to: "fr"});
+    }
+
+    // "one" stayed because it was used again - "two" was the oldest when "three" came
+    assert.deepEqual(translator.calls, ["one", "two", "three", "two"]);
+    fresh.setTextTranslator(null);
+});
+
+test("detection falls back to the sender's language when the provider can't tell", async () =>
+{
+    setTextTranslator(countingTranslator());
+
+    assert.deepEqual(await detectLanguage("Bonjour à tous", "en"), {language: "fr", confidence: 0.9});
+    assert.deepEqual(await detectLanguage("ok", "en"), {language: "en", confidence: 0});
+});
+
+test("providers must implement the whole interface", () =>
+{
+    assert.throws(() => setTextTranslator({name: "half", translate: async () => ({})}), /"half" is missing detectLanguage\(\)/);
+});
@@ -0,0 +1,63 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {buildOtpauthUri, currentStep, generateCode, generateSecret, verifyCode} from "../src/auth/totp.js";
+
+const RFC_SECRET="GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+// base32 of the RFC 6238 SHA-1 seed "12345678901234567890"
+
+// RFC 6238 appendix B (SHA-1) - the 8-digit codes, last 6 digits
+const RFC_VECTORS=[
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+];
+
+test("codes match the RFC 6238 test vectors", () =>
+{
+    for (const [seconds, code] of RFC_VECTORS)
+    {
+        assert.equal(generateCode(RFC_SECRET, currentStep(seconds*1000)), code, `T=${seconds}`);
+    }
+});
+
+test("lower-case and spaced secrets decode the same", () =>
+{
+    const step=currentStep(59000);
+    assert.equal(generateCode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq", step), "287082");
+});
+
+test("the current code and its neighbours verify, with their step", () =>
+{
+    const secret=generateSecret();
+    const now=currentStep();
+
+    assert.equal(verifyCode(secret, generateCode(secret, now)), now);
+    assert.equal(verifyCode(secret, generateCode(secret, now-1)), now-1);
+    assert.equal(verifyCode(secret, generateCode(secret, now+1)), now+1);
+    assert.equal(verifyCode(secret, generateCode(secret, now-3)), null);
+});
+
+test("malformed codes are refused", () =>
+{
+    const secret=generateSecret();
+    const code=generateCode(secret);
+
+    assert.equal(verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`), currentStep());
+    assert.equal(verifyCode(secret, "12345"), null);
+    assert.equal(verifyCode(secret, "abcdef"), null);
+    assert.equal(verifyCode(secret, undefined), null);
+});
+
+test("secrets are 20 bytes of base32 and go into the otpauth URI", () =>
+{
+    const secret=generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+
+    const uri=new URL(buildOtpauthUri({secret, account: "asha@example.com", issuer: "MeetFlow"}));
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.searchParams.get("secret"), secret);
+    assert.equal(uri.searchParams.get("issuer"), "MeetFlow");
+});
@@ -0,0 +1,65 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {TRANSCRIPT_FORMATS, formatTranscript} from "../src/translation/transcript.format.js";
+
+const SEGMENTS=[
+    {speakerId: "u1", speakerName: "Asha", language: "en", text: "Hello everyone", startMs: 1000, endMs: 4000},
+    {speakerId: "u2", speakerName: null, language: "fr", text: "Bonjour", startMs: 3723004, endMs: 3725500.4},
+];
+
+test("SRT numbers cues and uses commas before the milliseconds", () =>
+{
+    assert.equal(formatTranscript(SEGMENTS, "srt"), [
+        "1",
+        "00:00:01,000 --> 00:00:04,000",
+        "Asha: Hello everyone",
+        "",
+        "2",
+        "01:02:03,004 --> 01:02:05,500",
+        "Speaker: Bonjour",
+        "",
+    ].join("\n"));
+});
+
+test("WebVTT has the header, dots and voice tags", () =>
+{
+    assert.equal(formatTranscript(SEGMENTS, "vtt"), [
+        "WEBVTT",
+        "",
+        "00:00:01.000 --> 00:00:04.000",
+        "<v Asha>Hello everyone",
+        "",
+        "01:02:03.004 --> 01:02:05.500",
+        "<v Speaker>Bonjour",
+        "",
+    ].join("\n"));
+});
+
+test("WebVTT escapes markup and arrows in cue text and speaker names", () =>
+{
+    const vtt=formatTranscript([
+        {speakerName: "Ben <Ops>", text: "a --> b & <b>bold</b>", startMs: 0, endMs: 1000},
+    ], "vtt");
+
+    assert.equal(vtt.split("\n")[3], "<v Ben &lt;Ops&gt;>a --&gt; b &amp; &lt;b&gt;bold&lt;/b&gt;");
+});
+
+test("TXT is one line per segment", () =>
+{
+    assert.equal(formatTranscript(SEGMENTS, "txt"), "[00:00:01] Asha: Hello everyone\n[01:02:03] Speaker: Bonjour\n");
+});
+
+test("JSON keeps only the segment fields", () =>
+{
+    const parsed=JSON.parse(formatTranscript([{...SEGMENTS[0], translations: [], _id: "x"}], "json"));
+    assert.deepEqual(parsed, [SEGMENTS[0]]);
+});
+
+test("every listed format can be produced, others are refused", () =>
+{
+    for (const format of Object.keys(TRANSCRIPT_FORMATS))
+    {
+        assert.equal(typeof formatTranscript([], format), "string");
+    }
+    assert.throws(() => formatTranscript(SEGMENTS, "docx"), /Unsupported transcript format: docx/);
+});
@@ -0,0 +1,83 @@
+import {afterEach, test} from "node:test";
+import assert from "node:assert/strict";
+import transcriptModel from "../src/model/transcript.model.js";
+import {getTranscriptMeetings, getTranscriptSegments} from "../src/translation/transcript.manager.js";
+
+const ROOM="64b000000000000000000001";
+const WEEK=7*24*60*60*1000;
+
+const firstMeeting=new Date("2026-10-05T09:00:00Z");
+const secondMeeting=new Date(firstMeeting.getTime()+WEEK);
+
+const segment=(meetingStartedAt, offsetMs, text) => ({
+    roomId: ROOM,
+    speakerId: "64b0000000000000000000aa",
+    speakerName: "Asha",
+    language: "en",
+    text,
+    meetingStartedAt,
+    startedAt: new Date(meetingStartedAt.getTime()+offsetMs),
+    endedAt: new Date(meetingStartedAt.getTime()+offsetMs+2000),
+    translations: [],
+});
+
+const STORED=[
+    segment(secondMeeting, 5000, "Welcome back"),
+    segment(firstMeeting, 1000, "Hello"),
+    segment(firstMeeting, 60000, "See you next week"),
+];
+
+// In-memory stand-ins for the two queries the manager makes
+const original={distinct: transcriptModel.distinct, find: transcriptModel.find};
+
+const useStored=() =>
+{
+    transcriptModel.distinct=async (field, {roomId}) =>
+        [...new Set(STORED.filter((stored) => stored.roomId===roomId).map((stored) => stored[field].getTime()))]
+            .map((time) => new Date(time));
+
+    transcriptModel.find=({roomId, meetingStartedAt}) => ({
+        sort: async () => STORED
+            .filter((stored) => stored.roomId===roomId&&stored.meetingStartedAt.getTime()===meetingStartedAt.getTime())
+            .sort((a, b) => a.startedAt-b.startedAt),
+    });
+};
+
+afterEach(() => Object.assign(transcriptModel, original));
+
+test("meetings are listed oldest first", async () =>
+{
+    useStored();
+
+    assert.deepEqual(await getTranscriptMeetings(ROOM), [firstMeeting, secondMeeting]);
+});
+
+test("the latest meeting is read by default, timed from its own start", async () =>
+{
+    useStored();
+
+    const segments=await getTranscriptSegments(ROOM);
+
+    assert.deepEqual(segments.map(({text, startMs, endMs}) => ({text, startMs, endMs})), [
+        {text: "Welcome back", startMs: 5000, endMs: 7000},
+    ]);
+});
+
+test("an earlier meeting can be picked and keeps its own offsets", async () =>
+{
+    useStored();
+
+    const segments=await getTranscriptSegments(ROOM, "original", {meetingStartedAt: firstMeeting.toISOString()});
+
+    assert.deepEqual(segments.map(({text, startMs}) => ({text, startMs})), [
+        {text: "Hello", startMs: 1000},
+        {text: "See you next week", startMs: 60000},
+    ]);
+});
+
+test("a room without transcripts has no segments", async () =>
+{
+    useStored();
+
+    assert.deepEqual(await getTranscriptSegments("64b000000000000000000002"), []);
+});
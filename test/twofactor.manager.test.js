@@ -0,0 +1,91 @@
+import {after, beforeEach, test} from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import auditModel from "../src/model/audit.model.js";
+import sessionModel from "../src/model/session.model.js";
+import userModel from "../src/model/user.model.js";
+import {disableTwoFactor} from "../src/auth/twofactor.manager.js";
+import {generateCode, generateSecret} from "../src/auth/totp.js";
+import {AuthError} from "../src/auth/session.manager.js";
+
+const USER="64b0000000000000000000aa";
+const SESSION="64b0000000000000000000bb";
+const SECRET=generateSecret();
+
+let user;
+let session;
+let updates;
+
+const original={
+    findUser: userModel.findById,
+    updateUser: userModel.updateOne,
+    findSession: sessionModel.findById,
+    audit: auditModel.create,
+};
+
+beforeEach(() =>
+{
+    user={_id: USER, email: "asha@example.com", password: null, two_factor: {enabled: true, secret: SECRET}};
+    session={authenticatedAt: new Date()};
+    updates=[];
+
+    userModel.findById=() => ({select: async () => user});
+    userModel.updateOne=async (filter, update) =>
+    {
+        updates.push(update);
+        return {modifiedCount: 1};
+    };
+    sessionModel.findById=() => ({select: async () => session});
+    auditModel.create=async () => ({});
+});
+
+after(() =>
+{
+    Object.assign(userModel, {findById: original.findUser, updateOne: original.updateUser});
+    sessionModel.findById=original.findSession;
+    auditModel.create=original.audit;
+});
+
+const turnedOff=() => updates.some((update) => update.$set?.["two_factor.enabled"]===false);
+
+test("an SSO-only account can turn 2FA off right after signing in", async () =>
+{
+    await disableTwoFactor(USER, {code: generateCode(SECRET), sessionId: SESSION});
+
+    assert.ok(turnedOff());
+});
+
+test("an SSO-only account with an old login must sign in again", async () =>
+{
+    session={authenticatedAt: new Date(Date.now()-60*60*1000)};
+
+    await assert.rejects(
+        disableTwoFactor(USER, {code: generateCode(SECRET), sessionId: SESSION}),
+        (err) => err instanceof AuthError&&err.status===403&&/Sign in again with SSO/.test(err.message)
+    );
+    assert.ok(!turnedOff());
+});
+
+test("typing the email no longer stands in for the password", async () =>
+{
+    session=null;
+
+    await assert.rejects(
+        disableTwoFactor(USER, {email: "asha@example.com", code: generateCode(SECRET)}),
+        /Sign in again with SSO/
+    );
+    assert.ok(!turnedOff());
+});
+
+test("password accounts still need the password, however recent the login", async () =>
+{
+    user.password=await bcrypt.hash("correct horse", 4);
+
+    await assert.rejects(
+        disableTwoFactor(USER, {password: "wrong", code: generateCode(SECRET), sessionId: SESSION}),
+        /Incorrect password/
+    );
+
+    await disableTwoFactor(USER, {password: "correct horse", code: generateCode(SECRET), sessionId: SESSION});
+    assert.ok(turnedOff());
+});
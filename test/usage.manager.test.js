@@ -0,0 +1,111 @@
+import {after, before, test} from "node:test";
+import assert from "node:assert/strict";
+import roomModel from "../src/model/room.model.js";
+import usageModel from "../src/model/usage.model.js";
+import {QuotaExceededError, isTranslationAllowed, usageEvents} from "../src/translation/usage.manager.js";
+import {setTextTranslator, translateRoomText} from "../src/translation/text.translator.js";
+
+const ROOM="64b000000000000000000010";
+const FULL_ROOM="64b000000000000000000011";
+const USER="64b0000000000000000000aa";
+
+const recorded=[];
+const translatorCalls=[];
+
+// Usage already stored this month, per room
+const monthTotals={
+    [ROOM]: {chatCharacters: 0, textCharacters: 0},
+    [FULL_ROOM]: {chatCharacters: 0, textCharacters: 100},
+};
+
+const original={
+    aggregate: usageModel.aggregate,
+    updateOne: usageModel.updateOne,
+    findById: roomModel.findById,
+    quota: process.env.TRANSLATION_QUOTA_TEXT_CHARACTERS,
+};
+
+before(() =>
+{
+    process.env.TRANSLATION_QUOTA_TEXT_CHARACTERS="100";
+
+    usageModel.aggregate=async ([{$match}]) => [monthTotals[$match.roomId.toString()]];
+    usageModel.updateOne=async (filter, update) => recorded.push({roomId: filter.roomId, ...update.$inc});
+    roomModel.findById=() => ({select: async () => ({glossary: {entries: [], doNotTranslate: ["MeetFlow"]}})});
+
+    setTextTranslator({
+        name: "test",
+        detectLanguage: async () => ({language: "en", confidence: 1}),
+        translate: async (text, {to}) =>
+        {
+            translatorCalls.push(text);
+            return {text: `${text} (${to})`};
+        },
+    });
+});
+
+after(() =>
+{
+    usageModel.aggregate=original.aggregate;
+    usageModel.updateOne=original.updateOne;
+    roomModel.findById=original.findById;
+    setTextTranslator(null);
+
+    if (original.quota===undefined) delete process.env.TRANSLATION_QUOTA_TEXT_CHARACTERS;
+    else process.env.TRANSLATION_QUOTA_TEXT_CHARACTERS=original.quota;
+});
+
+const translate=(text, roomId, metric="textCharacters") =>
+    translateRoomText(text, {roomId, userId: USER, from: "en", to: "fr", metric});
+
+test("translated characters are metered under the metric asked for", async () =>
+{
+    recorded.length=0;
+
+    // The do-not-translate term is masked before it reaches the translator
+    assert.equal(await translate("Hello MeetFlow", ROOM), "Hello MeetFlow (fr)");
+    assert.equal(await translate("Good morning", ROOM, "chatCharacters"), "Good morning (fr)");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual(recorded, [
+        {roomId: ROOM, textCharacters: "Hello __0__".length},
+        {roomId: ROOM, chatCharacters: "Good morning".length},
+    ]);
+});
+
+test("cache hits are free", async () =>
+{
+    recorded.length=0;
+
+    await translate("Good morning", ROOM, "chatCharacters");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual(recorded, []);
+});
+
+test("a room over its quota is refused before the translator is called", async () =>
+{
+    translatorCalls.length=0;
+
+    await assert.rejects(translate("Hello", FULL_ROOM), (err) => err instanceof QuotaExceededError&&err.status===429);
+    assert.deepEqual(translatorCalls, []);
+    assert.equal(isTranslationAllowed(FULL_ROOM), false);
+});
+
+test("going over the quota tells the room once and stops translation", async () =>
+{
+    const events=[];
+    const listener=(event) => events.push(event);
+    usageEvents.on("quotaexceeded", listener);
+
+    monthTotals[ROOM].textCharacters=0;
+    await translate("x".repeat(120), ROOM);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    usageEvents.off("quotaexceeded", listener);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].metric, "textCharacters");
+    assert.equal(events[0].limit, 100);
+    await assert.rejects(translate("again", ROOM), QuotaExceededError);
+});
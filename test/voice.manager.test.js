@@ -0,0 +1,76 @@
+import {afterEach, test} from "node:test";
+import assert from "node:assert/strict";
+import {setEngine} from "../src/translation/engine.registry.js";
+import {setTextTranslator} from "../src/translation/text.translator.js";
+import {findVoice, getVoiceCatalog, previewVoice, resolveVoice} from "../src/translation/voice.manager.js";
+import {LocalTranslationEngine} from "../src/translation/local.engine.js";
+
+afterEach(() =>
+{
+    setEngine(null);
+    setTextTranslator(null);
+});
+
+test("the preferred voice is used in its own language", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+
+    assert.equal(await resolveVoice("en-US-Wavenet-F", "en"), "en-US-Wavenet-F");
+});
+
+test("other languages get a voice of the same gender", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+
+    assert.equal(await resolveVoice("en-US-Wavenet-D", "fr"), "fr-FR-Wavenet-B");
+    assert.equal(await resolveVoice("en-US-Wavenet-F", "fr"), "fr-FR-Wavenet-A");
+});
+
+test("no or unknown preferred voice falls back to the language's first voice", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+
+    assert.equal(await resolveVoice(null, "de"), "de-DE-Wavenet-B");
+    assert.equal(await resolveVoice("xx-Unknown", "hi"), "hi-IN-Wavenet-B");
+});
+
+test("languages or engines without voices use the provider default", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+    assert.equal(await resolveVoice("en-US-Wavenet-D", "sw"), null);
+
+    const withoutVoices=new LocalTranslationEngine();
+    withoutVoices.listVoices=undefined;
+    setEngine(withoutVoices);
+
+    assert.equal(await resolveVoice("en-US-Wavenet-D", "fr"), null);
+    assert.deepEqual(await getVoiceCatalog(), {});
+});
+
+test("the catalog groups voices by language", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+
+    const catalog=await getVoiceCatalog();
+
+    assert.deepEqual(catalog.fr.map(({id}) => id), ["fr-FR-Wavenet-B", "fr-FR-Wavenet-A"]);
+    assert.deepEqual(await findVoice("hi-IN-Wavenet-A"), {id: "hi-IN-Wavenet-A", language: "hi", gender: "female", name: "Hindi A"});
+    assert.equal(await findVoice("nope"), null);
+});
+
+test("a preview speaks a translated sample in the voice", async () =>
+{
+    setEngine(new LocalTranslationEngine());
+    setTextTranslator({
+        name: "test",
+        detectLanguage: async () => ({language: "en", confidence: 1}),
+        translate: async (text, {to}) => ({text: `${to}: ${text}`}),
+    });
+
+    const preview=await previewVoice({voice: "fr-FR-Wavenet-A"});
+
+    assert.equal(preview.voice, "fr-FR-Wavenet-A");
+    assert.equal(preview.language, "fr");
+    assert.equal(preview.text, "fr: hello everyone, can you hear me");
+    assert.ok(preview.frames.length>0);
+});
@@ -0,0 +1,78 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import {createZip} from "../src/auth/zip.writer.js";
+
+// Reads the archive back the way unzip tools do: end record → central directory → files
+const readZip=(zip) =>
+{
+    const end=zip.length-22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50);
+
+    const count=zip.readUInt16LE(end+10);
+    let position=zip.readUInt32LE(end+16);
+    const files=[];
+
+    for (let i=0; i<count; i++)
+    {
+        assert.equal(zip.readUInt32LE(position), 0x02014b50);
+        const crc=zip.readUInt32LE(position+16);
+        const compressedSize=zip.readUInt32LE(position+20);
+        const size=zip.readUInt32LE(position+24);
+        const nameLength=zip.readUInt16LE(position+28);
+        const offset=zip.readUInt32LE(position+42);
+        const name=zip.toString("utf8", position+46, position+46+nameLength);
+
+        assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+        assert.equal(zip.readUInt16LE(offset+8), 8);
+        assert.equal(zip.readUInt32LE(offset+14), crc);
+        const dataStart=offset+30+zip.readUInt16LE(offset+26)+zip.readUInt16LE(offset+28);
+        const data=zlib.inflateRawSync(zip.subarray(dataStart, dataStart+compressedSize));
+
+        assert.equal(data.length, size);
+        assert.equal(zlib.crc32(data), crc);
+
+        files.push({name, data, flags: zip.readUInt16LE(position+8), time: zip.readUInt16LE(position+12), date: zip.readUInt16LE(position+14)});
+        position+=46+nameLength;
+    }
+
+    return files;
+};
+
+test("files come back out with the same names and contents", () =>
+{
+    const binary=Buffer.from([0, 1, 2, 255, 254]);
+    const files=readZip(createZip([
+        {name: "profile.json", data: JSON.stringify({name: "Asha"})},
+        {name: "avatars/ünïcode.bin", data: binary},
+        {name: "empty.txt", data: ""},
+    ]));
+
+    assert.deepEqual(files.map((file) => file.name), ["profile.json", "avatars/ünïcode.bin", "empty.txt"]);
+    assert.equal(files[0].data.toString(), "{\"name\":\"Asha\"}");
+    assert.deepEqual(files[1].data, binary);
+    assert.equal(files[2].data.length, 0);
+    assert.ok(files.every((file) => file.flags===0x0800));
+    // UTF-8 names
+});
+
+test("the CRC-32 is the standard one", () =>
+{
+    const [file]=readZip(createZip([{name: "check.txt", data: "123456789"}]));
+    assert.equal(zlib.crc32(file.data), 0xcbf43926);
+});
+
+test("modification time is stored as an MS-DOS date", () =>
+{
+    const [file]=readZip(createZip([{name: "a.txt", data: "a"}], {modifiedAt: new Date(2024, 1, 29, 13, 45, 31)}));
+
+    assert.equal(file.date, ((2024-1980)<<9)|(2<<5)|29);
+    assert.equal(file.time, (13<<11)|(45<<5)|15);
+});
+
+test("an archive without files is just the end record", () =>
+{
+    const zip=createZip([]);
+    assert.equal(zip.length, 22);
+    assert.deepEqual(readZip(zip), []);
+});